@@ -13,6 +13,26 @@ No - Minime
 Sun - Sol
 Moon - Luna`;
 
+// Strings packed into share links. Part of the link format: only append entries. The sample
+// deck is spelled out rather than taken from DEFAULT_CONTENT, so editing the sample later does
+// not break links made before.
+const LINK_DICTIONARY = [
+    'title',
+    'Basic Latin',
+    'rawContent',
+    `English - Latin
+Hello - Salve
+Goodbye - Vale
+Cat - Felis
+Dog - Canis
+Friend - Amicus
+Thank you - Gratias
+Yes - Ita
+No - Minime
+Sun - Sol
+Moon - Luna`
+];
+
 const DEFAULT_DATA = {
     title: 'Basic Latin',
     rawContent: DEFAULT_CONTENT,
@@ -24,9 +44,19 @@ class FlashcardsApp {
         this.lost = new Lost({
             storageKey: 'app-flashcards-v1',
             defaultData: DEFAULT_DATA,
+            // Unchanged sample content shrinks to a token in share links
+            dictionary: LINK_DICTIONARY,
+            // Deck links get pasted into chats and mails, which mangle '+', '/' and '='
+            urlSafe: true,
         });
 
-        this.lost.addEventListener('update', (e) => this.onUpdate(e.detail));
+        this.lost.addEventListener('currentchanged', (e) => this.onDeckSwitch(e.detail.item));
+        // Only react to the fields the quiz depends on (not to title edits or progress saves)
+        this.lost.watch('rawContent', (raw) => this.updateLabels(raw));
+        this.lost.watch('_session', (session) => {
+            // Our own saves come back here too
+            if (!Lost.deepEqual(session, this.session)) this.loadSession(session);
+        });
 
         this.ui = new LostUI(this.lost, {
             container: document.body,
@@ -45,9 +75,10 @@ class FlashcardsApp {
                 heading: 'Decks',
                 onNew: () => this.createDeck(),
                 title: (item) => item.title || 'Untitled Deck',
-                subline: (item) => {
+                subline: (item, id, isCurrent, meta) => {
                     const lineCount = item.rawContent ? item.rawContent.split('\n').length - 1 : 0;
-                    return `${Math.max(0, lineCount)} cards`;
+                    const edited = meta.updatedAt ? ` · edited ${LostUI.formatRelativeTime(meta.updatedAt)}` : '';
+                    return `${Math.max(0, lineCount)} cards${edited}`;
                 }
             }
         });
@@ -151,18 +182,22 @@ class FlashcardsApp {
         this.elements.config.dialog.showModal();
     }
 
-    onUpdate(item) {
+    onDeckSwitch(item) {
         if (!item) return;
-        
-        const isDeckSwitch = this.currentDeckId !== item.id;
-        this.currentDeckId = item.id;
-        
+        this.updateLabels(item.rawContent);
+        this.loadSession(item._session, true);
+    }
+
+    loadSession(session, isDeckSwitch = false) {
         // Load session from item or use default
         // We clone it to avoid mutating the stored object directly
-        this.session = item._session ? JSON.parse(JSON.stringify(item._session)) : { ...this.defaultSession };
+        this.session = session ? JSON.parse(JSON.stringify(session)) : { ...this.defaultSession };
+        this.render(isDeckSwitch);
+    }
 
+    updateLabels(rawContent) {
         // Update Headers in Selection Screen
-        const { headers } = this.parseDeck(item.rawContent);
+        const { headers } = this.parseDeck(rawContent);
         const sideA = headers[0] || 'Side A';
         const sideB = headers[1] || 'Side B';
 
@@ -172,8 +207,6 @@ class FlashcardsApp {
         // Update sub-labels
         this.elements.selection.frontBtn.querySelector('.label-sub').textContent = `to ${sideB}`;
         this.elements.selection.backBtn.querySelector('.label-sub').textContent = `to ${sideA}`;
-        
-        this.render(isDeckSwitch);
     }
 
     saveSession() {
@@ -282,10 +315,10 @@ class FlashcardsApp {
         const item = this.lost.getCurrent();
         if (!item) return;
 
-        const progress = { ...(item._progress || {}) };
-        
         const now = Date.now();
-        const cardStats = progress[cardId] || { seen: 0, right: 0, wrong: 0 };
+        // Card IDs may contain dots, so use an array path
+        const path = ['_progress', cardId];
+        const cardStats = { ...(Lost.getPath(item, path) || { seen: 0, right: 0, wrong: 0 }) };
         
         cardStats.seen = (cardStats.seen || 0) + 1;
         cardStats.lastSeen = now;
@@ -296,8 +329,7 @@ class FlashcardsApp {
             cardStats.wrong = (cardStats.wrong || 0) + 1;
         }
 
-        progress[cardId] = cardStats;
-        this.lost.update(item.id, { _progress: progress }, false);
+        this.lost.set(item.id, path, cardStats, false);
     }
 
     render(forceNoTransition = false) {
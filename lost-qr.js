@@ -0,0 +1,1117 @@
+/**
+ * QRCode: a zero-dependency QR code encoder and decoder (ISO/IEC 18004).
+ * Encodes text in byte mode (UTF-8), versions 1-40, error correction levels L, M, Q and H,
+ * and renders the result as SVG. Decodes QR codes in images (QRCode.decode).
+ * LostUI uses it to show share links as QR codes and to import scanned ones.
+ */
+
+// Error correction levels: table row and the two format bits
+const ECC_LEVELS = {
+  L: { index: 0, bits: 1 },
+  M: { index: 1, bits: 0 },
+  Q: { index: 2, bits: 3 },
+  H: { index: 3, bits: 2 }
+};
+
+// Error correction codewords per block, by level and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, by level and version (index 0 unused)
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Weights of the mask penalty rules
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// GF(2^8) exponent and logarithm tables for Reed-Solomon error correction
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = GF_EXP[i + 255] = x;
+  GF_LOG[x] = i;
+  x = (x << 1) ^ (x & 0x80 ? 0x11D : 0);
+}
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+export class QRCode {
+  /**
+   * Encode text as a QR code, using the smallest version that fits.
+   * @param {string} text - Text to encode (UTF-8, byte mode).
+   * @param {Object} [options]
+   * @param {string} [options.ecc='M'] - Error correction level: 'L' (7%), 'M' (15%), 'Q' (25%) or 'H' (30%).
+   * @param {number} [options.minVersion=1] - Smallest version (size) to use.
+   * @param {number} [options.maxVersion=40] - Largest version to use.
+   * @param {number} [options.mask=-1] - Mask pattern 0-7, or -1 to pick the best one.
+   * @returns {QRCode}
+   * @throws {RangeError} If the text does not fit into maxVersion.
+   */
+  static encode(text, { ecc = 'M', minVersion = 1, maxVersion = 40, mask = -1 } = {}) {
+    if (!ECC_LEVELS[ecc]) throw new RangeError(`Unknown error correction level: ${ecc}`);
+    const bytes = new TextEncoder().encode(text);
+
+    let version = minVersion;
+    for (; version <= maxVersion; version++) {
+      if (bytes.length <= QRCode.getCapacity(version, ecc)) break;
+    }
+    if (version > maxVersion) {
+      throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    // Mode indicator (byte mode), character count, data
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0x4, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => append(b, 8));
+
+    // Terminator, byte alignment, then alternating pad bytes
+    const capacityBits = QRCode.getNumDataCodewords(version, ecc) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return new QRCode(version, ecc, data, mask);
+  }
+
+  /**
+   * Number of bytes that fit into a QR code of the given version and level.
+   * @param {number} version - 1-40.
+   * @param {string} [ecc='M'] - Error correction level.
+   * @returns {number}
+   */
+  static getCapacity(version, ecc = 'M') {
+    const countBits = version <= 9 ? 8 : 16;
+    return Math.floor((QRCode.getNumDataCodewords(version, ecc) * 8 - 4 - countBits) / 8);
+  }
+
+  /**
+   * Data codewords (bytes before error correction) of a version and level.
+   * @param {number} version
+   * @param {string} ecc
+   * @returns {number}
+   */
+  static getNumDataCodewords(version, ecc) {
+    const level = ECC_LEVELS[ecc].index;
+    return Math.floor(QRCode.getNumRawDataModules(version) / 8)
+      - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+  }
+
+  /**
+   * Modules available for data and error correction (everything but function patterns).
+   * @param {number} version
+   * @returns {number}
+   */
+  static getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Use QRCode.encode instead.
+   * @param {number} version - 1-40.
+   * @param {string} ecc - Error correction level.
+   * @param {number[]|null} data - Data codewords, padded to capacity. Null only draws the
+   *   function patterns and keeps isFunction (used when decoding).
+   * @param {number} [mask=-1] - Mask pattern 0-7, or -1 to pick the best one.
+   */
+  constructor(version, ecc, data, mask = -1) {
+    this.version = version;
+    this.ecc = ecc;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    if (!data) return;
+    this.drawCodewords(this.addEccAndInterleave(data));
+
+    if (mask < 0) {
+      let bestPenalty = Infinity;
+      for (let candidate = 0; candidate < 8; candidate++) {
+        this.applyMask(candidate);
+        this.drawFormatBits(candidate);
+        const penalty = this.getPenaltyScore();
+        if (penalty < bestPenalty) {
+          mask = candidate;
+          bestPenalty = penalty;
+        }
+        this.applyMask(candidate); // XOR again to undo
+      }
+    }
+    this.mask = mask;
+    this.applyMask(mask);
+    this.drawFormatBits(mask);
+    this.isFunction = null;
+  }
+
+  /**
+   * Whether the module at (x, y) is dark.
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {boolean}
+   */
+  get(x, y) {
+    return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+  }
+
+  /**
+   * Render as an SVG document (one path, scales without blurring).
+   * @param {Object} [options]
+   * @param {number} [options.margin=4] - Quiet zone in modules (scanners need at least 4).
+   * @param {string} [options.dark='#000'] - Module color.
+   * @param {string} [options.light='#fff'] - Background color.
+   * @returns {string} SVG markup.
+   */
+  toSVG({ margin = 4, dark = '#000', light = '#fff' } = {}) {
+    const parts = [];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    }
+    const dimension = this.size + margin * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+      + `<rect width="100%" height="100%" fill="${light}"/>`
+      + `<path d="${parts.join('')}" fill="${dark}"/>`
+      + '</svg>';
+  }
+
+  // ----- Function Patterns -----
+  drawFunctionPatterns() {
+    const size = this.size;
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (they overwrite parts of the timing patterns)
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = this.getAlignmentPatternPositions();
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    // Reserve the format area (drawn for real once the mask is known), then the version
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  getAlignmentPatternPositions() {
+    if (this.version === 1) return [];
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * The 15 format bits: level and mask, protected by a BCH code.
+   * @param {string} ecc - Error correction level.
+   * @param {number} mask - Mask pattern 0-7.
+   * @returns {number}
+   */
+  static getFormatBits(ecc, mask) {
+    const data = (ECC_LEVELS[ecc].bits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+  }
+
+  drawFormatBits(mask) {
+    const bits = QRCode.getFormatBits(this.ecc, mask);
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+    // Copy next to the top left finder
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+    // Copy next to the other two finders
+    for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+    this.setFunctionModule(8, this.size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  // ----- Codewords -----
+  /**
+   * Split the data into blocks, add Reed-Solomon error correction to each and interleave them.
+   * @param {number[]} data - Data codewords.
+   * @returns {number[]} All codewords in placement order.
+   */
+  addEccAndInterleave(data) {
+    const level = ECC_LEVELS[this.ecc].index;
+    const numBlocks = ECC_BLOCKS[level][this.version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level][this.version];
+    const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = QRCode.reedSolomonDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = QRCode.reedSolomonRemainder(block, divisor);
+      // Short blocks get a placeholder so all blocks line up
+      if (i < numShortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Place the codewords in the zigzag pattern, skipping function modules.
+   * @param {number[]} data
+   */
+  drawCodewords(data) {
+    let i = 0;
+    this.forEachDataModule((x, y) => {
+      if (i < data.length * 8) {
+        this.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+        i++;
+      }
+    });
+  }
+
+  /**
+   * Visit the modules holding codewords in placement order: upwards and downwards
+   * in two-module columns from the right, skipping function modules.
+   * @param {Function} callback - Called with (x, y).
+   */
+  forEachDataModule(callback) {
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (!this.isFunction[y][x]) callback(x, y);
+        }
+      }
+    }
+  }
+
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QRCode.reedSolomonMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = QRCode.reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QRCode.reedSolomonMultiply(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  static reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // ----- Masking -----
+  /**
+   * Whether a mask pattern inverts the module at (x, y).
+   * @param {number} mask - Mask pattern 0-7.
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  static isMasked(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+      case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+      case 7: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+      default: throw new RangeError(`Invalid mask: ${mask}`);
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && QRCode.isMasked(mask, x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty of the current modules: long runs, 2x2 blocks, finder-like patterns and dark/light imbalance.
+   * @returns {number}
+   */
+  getPenaltyScore() {
+    const size = this.size;
+    let result = 0;
+
+    // Runs and finder-like patterns in rows and columns
+    for (const horizontal of [true, false]) {
+      for (let a = 0; a < size; a++) {
+        let runColor = false;
+        let runLength = 0;
+        const history = [0, 0, 0, 0, 0, 0, 0];
+        for (let b = 0; b < size; b++) {
+          const color = horizontal ? this.modules[a][b] : this.modules[b][a];
+          if (color === runColor) {
+            runLength++;
+            if (runLength === 5) result += PENALTY_N1;
+            else if (runLength > 5) result++;
+          } else {
+            this.addFinderHistory(runLength, history);
+            if (!runColor) result += this.countFinderPatterns(history) * PENALTY_N3;
+            runColor = color;
+            runLength = 1;
+          }
+        }
+        // Close the last run against the light border
+        if (runColor) {
+          this.addFinderHistory(runLength, history);
+          runLength = 0;
+        }
+        this.addFinderHistory(runLength + size, history);
+        result += this.countFinderPatterns(history) * PENALTY_N3;
+      }
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = this.modules[y][x];
+        if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+          result += PENALTY_N2;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    let dark = 0;
+    this.modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+    return result;
+  }
+
+  addFinderHistory(runLength, history) {
+    // The light border before the first run counts as part of it
+    if (history[0] === 0) runLength += this.size;
+    history.pop();
+    history.unshift(runLength);
+  }
+
+  countFinderPatterns(history) {
+    const n = history[1];
+    const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+    return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0)
+      + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+  }
+
+  // ----- Decoding -----
+  /**
+   * Decode the QR code in an image.
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels, e.g. the ImageData of a canvas.
+   * @returns {string|null} Text of the code, or null if none was found or it could not be read.
+   */
+  static decode(image) {
+    const { width, height } = image;
+    const bits = QRCode.binarize(image);
+    const triples = QRCode.pickFinderTriples(QRCode.findFinderPatterns(bits, width, height));
+    for (const finders of triples.slice(0, 3)) {
+      for (const modules of QRCode.sampleGrids(bits, width, height, finders)) {
+        const text = QRCode.decodeModules(modules);
+        if (text !== null) return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the text of a sampled QR code, correcting errors.
+   * @param {boolean[][]} modules - Rows of modules, true for dark (like QRCode#modules).
+   * @returns {string|null} Null if the modules are no readable QR code.
+   */
+  static decodeModules(modules) {
+    const version = (modules.length - 17) / 4;
+    if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+    const format = QRCode.readFormat(modules);
+    if (!format) return null;
+
+    const codewords = [];
+    let byte = 0;
+    let count = 0;
+    new QRCode(version, format.ecc, null).forEachDataModule((x, y) => {
+      byte = (byte << 1) | (modules[y][x] !== QRCode.isMasked(format.mask, x, y) ? 1 : 0);
+      if (++count % 8 === 0) {
+        codewords.push(byte);
+        byte = 0;
+      }
+    });
+
+    const data = QRCode.correctErrors(codewords, version, format.ecc);
+    return data ? QRCode.parseSegments(data, version) : null;
+  }
+
+  /**
+   * Turn an image into dark (1) and light (0) pixels, using the local brightness of 8x8 blocks
+   * so shadows and uneven lighting do not matter.
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+   * @returns {Uint8Array} One entry per pixel, row by row.
+   */
+  static binarize({ data, width, height }) {
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, j = 0; i < gray.length; i++, j += 4) {
+      gray[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+    }
+
+    const blockSize = 8;
+    const columns = Math.ceil(width / blockSize);
+    const rows = Math.ceil(height / blockSize);
+    const levels = new Float32Array(columns * rows);
+    for (let by = 0; by < rows; by++) {
+      for (let bx = 0; bx < columns; bx++) {
+        let sum = 0;
+        let pixels = 0;
+        let min = 255;
+        let max = 0;
+        for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+          for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+            const value = gray[y * width + x];
+            sum += value;
+            pixels++;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+          }
+        }
+        let level = sum / pixels;
+        // Flat blocks are light unless their neighbours say otherwise
+        if (max - min <= 24) {
+          level = min / 2;
+          if (bx > 0 && by > 0) {
+            const neighbours = (levels[(by - 1) * columns + bx] + 2 * levels[by * columns + bx - 1] + levels[(by - 1) * columns + bx - 1]) / 4;
+            if (min < neighbours) level = neighbours;
+          }
+        }
+        levels[by * columns + bx] = level;
+      }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < rows; by++) {
+      for (let bx = 0; bx < columns; bx++) {
+        let sum = 0;
+        let blocks = 0;
+        for (let y = Math.max(0, by - 2); y <= Math.min(rows - 1, by + 2); y++) {
+          for (let x = Math.max(0, bx - 2); x <= Math.min(columns - 1, bx + 2); x++) {
+            sum += levels[y * columns + x];
+            blocks++;
+          }
+        }
+        const threshold = sum / blocks;
+        for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+          for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+            bits[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+          }
+        }
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * Find finder pattern candidates: dark-light-dark-light-dark runs in the ratio 1:1:3:1:1,
+   * both horizontally and vertically.
+   * @param {Uint8Array} bits - See binarize.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Array<{x: number, y: number, size: number, count: number}>} Centers, module sizes
+   *   and the number of rows that found them.
+   */
+  static findFinderPatterns(bits, width, height) {
+    const found = [];
+    for (let y = 0; y < height; y++) {
+      const starts = [];
+      const lengths = [];
+      let start = 0;
+      for (let x = 1; x <= width; x++) {
+        if (x === width || bits[y * width + x] !== bits[y * width + start]) {
+          starts.push(start);
+          lengths.push(x - start);
+          start = x;
+        }
+      }
+
+      for (let k = 0; k + 4 < lengths.length; k++) {
+        if (!bits[y * width + starts[k]] || !QRCode.isFinderRatio(lengths, k)) continue;
+        const vertical = QRCode.crossCheck(bits, width, height, Math.floor(starts[k + 2] + lengths[k + 2] / 2), y, 0, 1);
+        if (!vertical) continue;
+        const horizontal = QRCode.crossCheck(bits, width, height, Math.floor(starts[k + 2] + lengths[k + 2] / 2), Math.floor(vertical.center), 1, 0);
+        if (!horizontal || 5 * Math.abs(vertical.total - horizontal.total) >= 2 * horizontal.total) continue;
+
+        const center = { x: horizontal.center, y: vertical.center, size: (vertical.total + horizontal.total) / 14 };
+        const existing = found.find(f => Math.abs(f.x - center.x) <= f.size && Math.abs(f.y - center.y) <= f.size
+          && Math.abs(f.size - center.size) <= Math.max(1, f.size));
+        if (existing) {
+          const count = existing.count;
+          existing.x = (existing.x * count + center.x) / (count + 1);
+          existing.y = (existing.y * count + center.y) / (count + 1);
+          existing.size = (existing.size * count + center.size) / (count + 1);
+          existing.count++;
+        } else {
+          found.push({ ...center, count: 1 });
+        }
+      }
+    }
+    return found;
+  }
+
+  // Whether the five runs from index k are in the ratio 1:1:3:1:1
+  static isFinderRatio(lengths, k = 0) {
+    const total = lengths[k] + lengths[k + 1] + lengths[k + 2] + lengths[k + 3] + lengths[k + 4];
+    if (total < 7) return false;
+    const module = total / 7;
+    const tolerance = module * 0.6;
+    return Math.abs(lengths[k + 2] - module * 3) < tolerance * 3
+      && Math.abs(lengths[k] - module) < tolerance && Math.abs(lengths[k + 1] - module) < tolerance
+      && Math.abs(lengths[k + 3] - module) < tolerance && Math.abs(lengths[k + 4] - module) < tolerance;
+  }
+
+  /**
+   * Measure a finder pattern through (x, y) in one direction.
+   * @returns {{center: number, total: number}|null} Center coordinate along the direction and pattern width.
+   */
+  static crossCheck(bits, width, height, x, y, dx, dy) {
+    const at = (i) => {
+      const px = x + dx * i;
+      const py = y + dy * i;
+      return px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] : -1;
+    };
+    if (at(0) !== 1) return null;
+
+    // Outwards from the center: rest of the center run, light run, dark run
+    const lengths = [0, 0, 0, 0, 0];
+    let i = 0;
+    for (const [index, color] of [[2, 1], [1, 0], [0, 1]]) {
+      while (at(i) === color) {
+        lengths[index]++;
+        i--;
+      }
+    }
+    const centerStart = -(lengths[2] - 1);
+    i = 1;
+    for (const [index, color] of [[2, 1], [3, 0], [4, 1]]) {
+      while (at(i) === color) {
+        lengths[index]++;
+        i++;
+      }
+    }
+    const centerEnd = centerStart + lengths[2];
+
+    if (lengths.some(length => length === 0) || !QRCode.isFinderRatio(lengths)) return null;
+    const offset = (centerStart + centerEnd) / 2;
+    return {
+      center: (dx ? x : y) + offset,
+      total: lengths.reduce((sum, length) => sum + length, 0)
+    };
+  }
+
+  /**
+   * Combine finder pattern candidates into possible codes, best first: similar module sizes
+   * and centers forming a right isosceles triangle.
+   * @param {Object[]} candidates - See findFinderPatterns.
+   * @returns {Array<{topLeft: Object, topRight: Object, bottomLeft: Object}>}
+   */
+  static pickFinderTriples(candidates) {
+    let pool = candidates.filter(c => c.count >= 2);
+    if (pool.length < 3) pool = candidates;
+    pool = pool.sort((a, b) => b.count - a.count).slice(0, 12);
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const triples = [];
+    for (let i = 0; i < pool.length; i++) {
+      for (let j = i + 1; j < pool.length; j++) {
+        for (let k = j + 1; k < pool.length; k++) {
+          const points = [pool[i], pool[j], pool[k]];
+          const sizes = points.map(p => p.size);
+          const sizeSpread = (Math.max(...sizes) - Math.min(...sizes)) / Math.max(...sizes);
+          if (sizeSpread > 0.5) continue;
+
+          // The top left finder is opposite the longest side
+          const sides = [distance(points[1], points[2]), distance(points[0], points[2]), distance(points[0], points[1])];
+          const corner = sides.indexOf(Math.max(...sides));
+          const topLeft = points[corner];
+          let [topRight, bottomLeft] = points.filter((_, n) => n !== corner);
+          const legA = distance(topLeft, topRight);
+          const legB = distance(topLeft, bottomLeft);
+          const hypotenuse = sides[corner];
+          const modules = (legA + legB) / 2 / (sizes.reduce((a, b) => a + b) / 3);
+          if (modules < 10 || modules > 180) continue;
+
+          // Clockwise order (y points down): top left, top right, bottom left
+          const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) - (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+          if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+          const score = Math.abs(legA - legB) / Math.max(legA, legB)
+            + Math.abs(hypotenuse - Math.hypot(legA, legB)) / hypotenuse
+            + sizeSpread;
+          triples.push({ score, topLeft, topRight, bottomLeft });
+        }
+      }
+    }
+    return triples.sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Sample the modules of a code located by its finder patterns. The size is estimated from the
+   * finder distance, so the neighbouring versions are tried too, each with and without correcting
+   * the perspective by the bottom right alignment pattern.
+   * @returns {boolean[][][]} Candidate module grids, most likely first.
+   */
+  static sampleGrids(bits, width, height, { topLeft, topRight, bottomLeft }) {
+    // Finder sizes are measured along rows and columns, which cross a rotated code at a slant
+    const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+    const slant = Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+    const moduleSize = (topLeft.size + topRight.size + bottomLeft.size) / 3 * slant;
+    const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) + Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+    const estimate = Math.round((span / moduleSize + 7 - 17) / 4);
+
+    const grids = [];
+    for (const version of [estimate, estimate - 1, estimate + 1]) {
+      if (version < 1 || version > 40) continue;
+      const size = version * 4 + 17;
+      const far = size - 3.5;
+      // Without more information the code is a parallelogram
+      const corner = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+      const affine = QRCode.perspective(
+        [3.5, 3.5, far, 3.5, far, far, 3.5, far],
+        [topLeft.x, topLeft.y, topRight.x, topRight.y, corner.x, corner.y, bottomLeft.x, bottomLeft.y]
+      );
+      if (version >= 2) {
+        const alignment = QRCode.findAlignmentPattern(bits, width, height, affine, size, moduleSize);
+        if (alignment) {
+          const transform = QRCode.perspective(
+            [3.5, 3.5, far, 3.5, size - 6.5, size - 6.5, 3.5, far],
+            [topLeft.x, topLeft.y, topRight.x, topRight.y, alignment.x, alignment.y, bottomLeft.x, bottomLeft.y]
+          );
+          grids.push(QRCode.sampleGrid(bits, width, height, transform, size));
+        }
+      }
+      grids.push(QRCode.sampleGrid(bits, width, height, affine, size));
+    }
+    return grids;
+  }
+
+  /**
+   * Look for the bottom right alignment pattern (dark center, light ring, dark ring) near
+   * where the transform expects it.
+   * @returns {{x: number, y: number}|null} Its center in the image.
+   */
+  static findAlignmentPattern(bits, width, height, transform, size, moduleSize) {
+    const [ex, ey] = transform(size - 6.5, size - 6.5);
+    const [rx, ry] = transform(size - 5.5, size - 6.5);
+    const [dx, dy] = transform(size - 6.5, size - 5.5);
+    const right = [rx - ex, ry - ey];
+    const down = [dx - ex, dy - ey];
+    const radius = Math.ceil(moduleSize * 4);
+
+    let best = -1;
+    let sumX = 0;
+    let sumY = 0;
+    let matches = 0;
+    for (let y = Math.round(ey) - radius; y <= Math.round(ey) + radius; y++) {
+      for (let x = Math.round(ex) - radius; x <= Math.round(ex) + radius; x++) {
+        let score = 0;
+        for (let j = -2; j <= 2; j++) {
+          for (let i = -2; i <= 2; i++) {
+            const px = Math.floor(x + 0.5 + i * right[0] + j * down[0]);
+            const py = Math.floor(y + 0.5 + i * right[1] + j * down[1]);
+            const dark = px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+            if (dark === (Math.max(Math.abs(i), Math.abs(j)) !== 1)) score++;
+          }
+        }
+        if (score > best) {
+          best = score;
+          sumX = sumY = matches = 0;
+        }
+        if (score === best) {
+          sumX += x;
+          sumY += y;
+          matches++;
+        }
+      }
+    }
+    return best >= 23 ? { x: sumX / matches + 0.5, y: sumY / matches + 0.5 } : null;
+  }
+
+  static sampleGrid(bits, width, height, transform, size) {
+    const modules = [];
+    for (let y = 0; y < size; y++) {
+      const row = [];
+      for (let x = 0; x < size; x++) {
+        const [px, py] = transform(x + 0.5, y + 0.5);
+        const ix = Math.floor(px);
+        const iy = Math.floor(py);
+        row.push(ix >= 0 && iy >= 0 && ix < width && iy < height && bits[iy * width + ix] === 1);
+      }
+      modules.push(row);
+    }
+    return modules;
+  }
+
+  /**
+   * Perspective transform mapping one quadrilateral onto another.
+   * @param {number[]} from - Corners x0, y0 ... x3, y3 (clockwise from top left).
+   * @param {number[]} to - Corresponding corners.
+   * @returns {Function} (x, y) => [x, y]
+   */
+  static perspective(from, to) {
+    const toSquare = QRCode.adjoint(QRCode.squareToQuad(from));
+    const fromSquare = QRCode.squareToQuad(to);
+    const apply = (m, x, y) => {
+      const w = m.a13 * x + m.a23 * y + m.a33;
+      return [(m.a11 * x + m.a21 * y + m.a31) / w, (m.a12 * x + m.a22 * y + m.a32) / w];
+    };
+    return (x, y) => apply(fromSquare, ...apply(toSquare, x, y));
+  }
+
+  static squareToQuad([x0, y0, x1, y1, x2, y2, x3, y3]) {
+    const dx1 = x1 - x2;
+    const dx2 = x3 - x2;
+    const dx3 = x0 - x1 + x2 - x3;
+    const dy1 = y1 - y2;
+    const dy2 = y3 - y2;
+    const dy3 = y0 - y1 + y2 - y3;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+    const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+    return {
+      a11: x1 - x0 + a13 * x1, a21: x3 - x0 + a23 * x3, a31: x0,
+      a12: y1 - y0 + a13 * y1, a22: y3 - y0 + a23 * y3, a32: y0,
+      a13, a23, a33: 1
+    };
+  }
+
+  // Inverse up to a factor, which the division in perspective() cancels
+  static adjoint(m) {
+    return {
+      a11: m.a22 * m.a33 - m.a23 * m.a32, a21: m.a23 * m.a31 - m.a21 * m.a33, a31: m.a21 * m.a32 - m.a22 * m.a31,
+      a12: m.a13 * m.a32 - m.a12 * m.a33, a22: m.a11 * m.a33 - m.a13 * m.a31, a32: m.a12 * m.a31 - m.a11 * m.a32,
+      a13: m.a12 * m.a23 - m.a13 * m.a22, a23: m.a13 * m.a21 - m.a11 * m.a23, a33: m.a11 * m.a22 - m.a12 * m.a21
+    };
+  }
+
+  /**
+   * Read level and mask from the closer of the two format bit copies.
+   * @param {boolean[][]} modules
+   * @returns {{ecc: string, mask: number}|null} Null if both copies have more than 3 errors.
+   */
+  static readFormat(modules) {
+    const size = modules.length;
+    let first = 0;
+    let second = 0;
+    for (let i = 0; i < 15; i++) {
+      let x = 8;
+      let y = i;
+      if (i === 6) y = 7;
+      else if (i === 7) y = 8;
+      else if (i === 8) [x, y] = [7, 8];
+      else if (i > 8) [x, y] = [14 - i, 8];
+      if (modules[y][x]) first |= 1 << i;
+
+      if (i < 8 ? modules[8][size - 1 - i] : modules[size - 15 + i][8]) second |= 1 << i;
+    }
+
+    let best = null;
+    let bestDistance = 4;
+    for (const ecc of Object.keys(ECC_LEVELS)) {
+      for (let mask = 0; mask < 8; mask++) {
+        const bits = QRCode.getFormatBits(ecc, mask);
+        for (const read of [first, second]) {
+          let distance = 0;
+          for (let diff = bits ^ read; diff; diff &= diff - 1) distance++;
+          if (distance < bestDistance) {
+            best = { ecc, mask };
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Undo the interleaving of addEccAndInterleave and correct each block.
+   * @param {number[]} codewords - All codewords read from the code.
+   * @param {number} version
+   * @param {string} ecc
+   * @returns {number[]|null} Data codewords, or null if there are too many errors.
+   */
+  static correctErrors(codewords, version, ecc) {
+    const level = ECC_LEVELS[ecc].index;
+    const numBlocks = ECC_BLOCKS[level][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const numShortBlocks = numBlocks - codewords.length % numBlocks;
+    const shortDataLength = Math.floor(codewords.length / numBlocks) - blockEccLength;
+
+    const blocks = Array.from({ length: numBlocks }, (_, i) => ({
+      dataLength: shortDataLength + (i < numShortBlocks ? 0 : 1),
+      codewords: []
+    }));
+    let k = 0;
+    for (let i = 0; i <= shortDataLength; i++) {
+      blocks.forEach(block => { if (i < block.dataLength) block.codewords.push(codewords[k++]); });
+    }
+    for (let i = 0; i < blockEccLength; i++) {
+      blocks.forEach(block => block.codewords.push(codewords[k++]));
+    }
+
+    const result = [];
+    for (const block of blocks) {
+      const corrected = QRCode.reedSolomonCorrect(block.codewords, blockEccLength);
+      if (!corrected) return null;
+      result.push(...corrected.slice(0, block.dataLength));
+    }
+    return result;
+  }
+
+  /**
+   * Correct up to eccLength / 2 wrong codewords of a block (Berlekamp-Massey, Chien search, Forney).
+   * @param {number[]} codewords - Data followed by error correction codewords.
+   * @param {number} eccLength
+   * @returns {number[]|null} Corrected codewords, or null if there are too many errors.
+   */
+  static reedSolomonCorrect(codewords, eccLength) {
+    const multiply = (a, b) => (a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0);
+    const divide = (a, b) => (a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0);
+    // Polynomials with the lowest degree first
+    const evaluate = (poly, x) => poly.reduceRight((sum, coefficient) => multiply(sum, x) ^ coefficient, 0);
+    const syndromesOf = (word) => {
+      const result = [];
+      for (let i = 0; i < eccLength; i++) result.push(word.reduce((sum, c) => multiply(sum, GF_EXP[i]) ^ c, 0));
+      return result;
+    };
+
+    const syndromes = syndromesOf(codewords);
+    if (syndromes.every(s => s === 0)) return codewords;
+
+    // Error locator polynomial
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    for (let n = 0; n < eccLength; n++) {
+      let discrepancy = syndromes[n];
+      for (let i = 1; i <= errors; i++) discrepancy ^= multiply(locator[i] || 0, syndromes[n - i]);
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+      const next = locator.slice();
+      const factor = divide(discrepancy, lastDiscrepancy);
+      previous.forEach((coefficient, i) => {
+        next[i + shift] = (next[i + shift] || 0) ^ multiply(factor, coefficient);
+      });
+      if (2 * errors <= n) {
+        errors = n + 1 - errors;
+        previous = locator;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = next;
+    }
+    if (errors * 2 > eccLength) return null;
+
+    // Error evaluator: syndromes * locator mod x^eccLength
+    const evaluator = new Array(eccLength).fill(0);
+    syndromes.forEach((s, i) => {
+      locator.forEach((l, j) => { if (i + j < eccLength) evaluator[i + j] ^= multiply(s, l || 0); });
+    });
+    // Formal derivative: only odd powers remain in GF(2^8)
+    const derivative = locator.slice(1).map((coefficient, i) => (i % 2 === 0 ? coefficient || 0 : 0));
+
+    const result = codewords.slice();
+    let found = 0;
+    for (let k = 0; k < codewords.length; k++) {
+      const power = codewords.length - 1 - k;
+      const inverse = GF_EXP[(255 - power) % 255];
+      if (evaluate(locator.map(c => c || 0), inverse) !== 0) continue;
+      const denominator = evaluate(derivative, inverse);
+      if (denominator === 0) return null;
+      result[k] ^= multiply(GF_EXP[power], divide(evaluate(evaluator, inverse), denominator));
+      found++;
+    }
+    if (found !== errors || syndromesOf(result).some(s => s !== 0)) return null;
+    return result;
+  }
+
+  /**
+   * Read the segments of the data codewords: numeric, alphanumeric and byte (UTF-8) mode.
+   * @param {number[]} data
+   * @param {number} version
+   * @returns {string|null} Null for unsupported modes (e.g. Kanji) or malformed data.
+   */
+  static parseSegments(data, version) {
+    const totalBits = data.length * 8;
+    let position = 0;
+    const read = (length) => {
+      if (position + length > totalBits) throw new RangeError('Unexpected end of data');
+      let value = 0;
+      for (let i = 0; i < length; i++, position++) {
+        value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+      }
+      return value;
+    };
+    const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    const bytes = [];
+    const pushText = (text) => { for (const ch of text) bytes.push(ch.charCodeAt(0)); };
+
+    try {
+      while (position + 4 <= totalBits) {
+        const mode = read(4);
+        if (mode === 0) break;
+
+        if (mode === 0x1) { // Numeric: 3 digits in 10 bits
+          let count = read([10, 12, 14][sizeClass]);
+          for (; count > 0; count -= 3) {
+            const digits = Math.min(count, 3);
+            const value = read([4, 7, 10][digits - 1]);
+            if (value >= 10 ** digits) return null;
+            pushText(String(value).padStart(digits, '0'));
+          }
+        } else if (mode === 0x2) { // Alphanumeric: 2 characters in 11 bits
+          let count = read([9, 11, 13][sizeClass]);
+          for (; count >= 2; count -= 2) {
+            const value = read(11);
+            if (value >= 45 * 45) return null;
+            pushText(ALPHANUMERIC[Math.floor(value / 45)] + ALPHANUMERIC[value % 45]);
+          }
+          if (count === 1) {
+            const value = read(6);
+            if (value >= 45) return null;
+            pushText(ALPHANUMERIC[value]);
+          }
+        } else if (mode === 0x4) { // Byte
+          const count = read([8, 16, 16][sizeClass]);
+          for (let i = 0; i < count; i++) bytes.push(read(8));
+        } else if (mode === 0x7) { // ECI designator: the text is read as UTF-8 anyway
+          const first = read(8);
+          if ((first & 0xC0) === 0x80) read(8);
+          else if ((first & 0xE0) === 0xC0) read(16);
+          else if (first & 0x80) return null;
+        } else {
+          return null;
+        }
+      }
+    } catch (e) {
+      return null;
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+  }
+}
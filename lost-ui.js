@@ -1,3 +1,295 @@
+import { QRCode } from './lost-qr.js';
+
+// Web Share Target: sw.js keeps what other apps share in this cache until the page picks it up
+const SHARE_TARGET_PARAM = 'share-target';
+const SHARE_TARGET_CACHE = 'lost-share-target';
+const SHARE_TARGET_DATA = '/lost-share-target/data';
+
+/**
+ * Prompter showing styled <dialog> elements instead of window.confirm/alert
+ * (see the prompter interface in lost.js). Every method returns a Promise.
+ */
+export class DialogPrompter {
+  /**
+   * @param {HTMLElement} [container=document.body] - Element the dialogs are added to.
+   */
+  constructor(container = document.body) {
+    this.container = container;
+  }
+
+  /**
+   * Show a dialog and resolve with the value of the clicked button.
+   * Closing it with Escape resolves with cancelValue.
+   * @param {Object} options
+   * @param {string} [options.title] - Heading.
+   * @param {string} options.message - Text (line breaks are kept).
+   * @param {{text: string, type: string}} [options.badge] - Label shown above the message,
+   *   styled by type (e.g. 'signed', 'unsigned', 'invalid' for link signatures).
+   * @param {HTMLElement} [options.content] - Extra content shown below the message.
+   * @param {Array<{label: string, value: *, primary?: boolean, danger?: boolean}>} options.buttons - Buttons.
+   *   A function value is called on click to compute the result.
+   * @param {*} [options.cancelValue] - Result when dismissed.
+   * @returns {Promise<*>}
+   */
+  open({ title, message, badge, content, buttons, cancelValue }) {
+    return new Promise((resolve) => {
+      const dialog = document.createElement('dialog');
+      dialog.className = 'lost-prompt';
+
+      if (title) {
+        const heading = document.createElement('div');
+        heading.className = 'lost-prompt-title';
+        heading.textContent = title;
+        dialog.appendChild(heading);
+      }
+
+      if (badge) {
+        const label = document.createElement('span');
+        label.className = `lost-prompt-badge ${badge.type || ''}`.trim();
+        label.textContent = badge.text;
+        dialog.appendChild(label);
+      }
+
+      const text = document.createElement('div');
+      text.className = 'lost-prompt-message';
+      text.textContent = message;
+      dialog.appendChild(text);
+      if (content) dialog.appendChild(content);
+
+      const footer = document.createElement('div');
+      footer.className = 'lost-prompt-buttons';
+      let result = cancelValue;
+      let focus = null;
+      buttons.forEach(({ label, value, primary, danger }) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'lost-prompt-btn';
+        if (primary) btn.classList.add('primary');
+        if (danger) btn.classList.add('danger');
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+          result = typeof value === 'function' ? value() : value;
+          dialog.close();
+        });
+        footer.appendChild(btn);
+        if (primary && !focus) focus = btn;
+      });
+      dialog.appendChild(footer);
+
+      dialog.addEventListener('close', () => {
+        dialog.remove();
+        resolve(result);
+      });
+      this.container.appendChild(dialog);
+      dialog.showModal();
+      if (focus) focus.focus();
+    });
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [options] - { title, confirmLabel, cancelLabel, danger, badge }.
+   * @returns {Promise<boolean>}
+   */
+  confirm(message, { title = '', confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false, badge = null } = {}) {
+    return this.open({
+      title,
+      message,
+      badge,
+      cancelValue: false,
+      buttons: [
+        { label: cancelLabel, value: false },
+        { label: confirmLabel, value: true, primary: true, danger }
+      ]
+    });
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [options] - { title, okLabel }.
+   * @returns {Promise<void>}
+   */
+  alert(message, { title = '', okLabel = 'OK' } = {}) {
+    return this.open({
+      title,
+      message,
+      cancelValue: undefined,
+      buttons: [{ label: okLabel, value: undefined, primary: true }]
+    });
+  }
+
+  /**
+   * @param {string} message
+   * @param {Array<{value: *, label: string}>} choices - Options, the first one is highlighted.
+   * @param {Object} [options] - { title, cancelLabel, badge }.
+   * @returns {Promise<*>} Value of the picked choice, or null if cancelled.
+   */
+  choice(message, choices, { title = '', cancelLabel = 'Cancel', badge = null } = {}) {
+    return this.open({
+      title,
+      message,
+      badge,
+      cancelValue: null,
+      buttons: [
+        ...choices.map((choice, i) => ({ label: choice.label, value: choice.value, primary: i === 0 })),
+        { label: cancelLabel, value: null }
+      ]
+    });
+  }
+
+  /**
+   * Let the user check any number of options, e.g. the items of a bundle.
+   * @param {string} message
+   * @param {Array<{value: *, label: string, detail?: string, checked?: boolean, disabled?: boolean}>} options
+   *   Options; detail is a short note next to the label.
+   * @param {Object} [settings] - { title, confirmLabel, cancelLabel }.
+   * @returns {Promise<Array|null>} Values of the checked options, or null if cancelled.
+   */
+  pick(message, options, { title = '', confirmLabel = 'OK', cancelLabel = 'Cancel' } = {}) {
+    const list = document.createElement('div');
+    list.className = 'lost-pick-list';
+    const boxes = options.map(({ label, detail, checked = true, disabled = false }) => {
+      const row = document.createElement('label');
+      row.className = 'lost-pick-option';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked && !disabled;
+      box.disabled = disabled;
+      const text = document.createElement('span');
+      text.className = 'lost-pick-label';
+      text.textContent = label;
+      row.append(box, text);
+      if (detail) {
+        const note = document.createElement('span');
+        note.className = 'lost-pick-detail';
+        note.textContent = detail;
+        row.appendChild(note);
+      }
+      list.appendChild(row);
+      return box;
+    });
+
+    return this.open({
+      title,
+      message,
+      content: list,
+      cancelValue: null,
+      buttons: [
+        { label: cancelLabel, value: null },
+        { label: confirmLabel, value: () => options.filter((option, i) => boxes[i].checked).map(option => option.value), primary: true }
+      ]
+    });
+  }
+
+  /**
+   * Show two versions of an item side by side and let the user decide how to combine them.
+   * @param {Object} options
+   * @param {string} [options.title] - Heading.
+   * @param {string} [options.message] - Explanation above the table.
+   * @param {Array<{key: string, local: *, remote: *}>} options.fields - Differing fields.
+   * @param {string} [options.localLabel='Mine'] - Name of the stored version.
+   * @param {string} [options.remoteLabel='Incoming'] - Name of the other version.
+   * @param {string} [options.copyLabel='Keep both'] - Label of the button keeping both versions.
+   * @param {{text: string, type: string}} [options.badge] - Label shown above the message.
+   * @returns {Promise<string|Object|null>} 'local', 'remote', 'copy', per-field picks
+   *   ({ [field]: 'local'|'remote' }), or null if cancelled.
+   */
+  merge({ title = 'Merge', message = '', fields = [], localLabel = 'Mine', remoteLabel = 'Incoming', copyLabel = 'Keep both', badge = null }) {
+    const buttons = [
+      { label: 'Cancel', value: null },
+      { label: copyLabel, value: 'copy' },
+      { label: `Keep ${localLabel.toLowerCase()}`, value: 'local' },
+      { label: `Use ${remoteLabel.toLowerCase()}`, value: 'remote', primary: fields.length === 0 }
+    ];
+    if (fields.length === 0) return this.open({ title, message, badge, buttons, cancelValue: null });
+
+    const name = 'lost-merge-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
+    const table = document.createElement('table');
+    table.className = 'lost-merge-table';
+    const head = table.createTHead().insertRow();
+    ['Field', localLabel, remoteLabel].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    const radios = {};
+    fields.forEach(({ key, local, remote }, i) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = key;
+      radios[key] = {};
+      [['local', local], ['remote', remote]].forEach(([side, value]) => {
+        const label = document.createElement('label');
+        label.className = 'lost-merge-option';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `${name}-${i}`;
+        radio.value = side;
+        radio.checked = side === 'remote';
+        const text = document.createElement('span');
+        text.className = 'lost-merge-value';
+        text.textContent = DialogPrompter.formatValue(value);
+        label.append(radio, text);
+        row.insertCell().appendChild(label);
+        radios[key][side] = radio;
+      });
+    });
+
+    const picks = () => {
+      const result = {};
+      fields.forEach(({ key }) => { result[key] = radios[key].remote.checked ? 'remote' : 'local'; });
+      return result;
+    };
+    buttons.push({ label: 'Apply selection', value: picks, primary: true });
+
+    return this.open({ title, message, badge, content: table, buttons, cancelValue: null });
+  }
+
+  /**
+   * Ask for a password.
+   * @param {string} message
+   * @param {Object} [options] - { title, confirmLabel, cancelLabel }.
+   * @returns {Promise<string|null>} Entered password, or null if cancelled or empty.
+   */
+  password(message, { title = '', confirmLabel = 'Unlock', cancelLabel = 'Cancel' } = {}) {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'lost-prompt-input';
+    input.autocomplete = 'off';
+
+    const answer = this.open({
+      title,
+      message,
+      content: input,
+      buttons: [
+        { label: cancelLabel, value: null },
+        { label: confirmLabel, value: () => input.value || null, primary: true }
+      ],
+      cancelValue: null
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      input.closest('dialog').querySelector('.lost-prompt-btn.primary').click();
+    });
+    input.focus();
+    return answer;
+  }
+
+  /**
+   * Short text preview of a field value.
+   * @param {*} value
+   * @returns {string}
+   */
+  static formatValue(value) {
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 120 ? text.slice(0, 117) + '...' : text;
+  }
+}
+
 export class LostUI {
   /**
    * Create a new LostUI instance.
@@ -6,6 +298,9 @@ export class LostUI {
    * @param {HTMLElement} [config.container=document.body] - Container to append UI to.
    * @param {string} [config.theme='system'] - Theme preference ('system', 'light', 'dark', 'auto').
    * @param {boolean} [config.showLightDarkButton=true] - Show theme toggle in header.
+   * @param {boolean} [config.showUndoRedoButtons=true] - Show undo/redo buttons in header (when Lost keeps history).
+   * @param {boolean} [config.keyboardShortcuts=true] - Bind Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) to undo/redo.
+   * @param {boolean} [config.dialogs=true] - Ask questions with styled dialogs (unless Lost was given its own prompter).
    * @param {Object} [config.header] - Header configuration.
    * @param {boolean} [config.header.visible=true] - Show header.
    * @param {string} [config.header.title='Lost App'] - App title.
@@ -15,9 +310,23 @@ export class LostUI {
    * @param {string} [config.sidebar.heading='Items'] - Sidebar heading text.
    * @param {Function} [config.sidebar.onNew] - Callback for "New" button.
    * @param {Function} [config.sidebar.title] - Function(item, id, isCurrent) returning list item title.
-   * @param {Function} [config.sidebar.subline] - Function(item, id, isCurrent) returning list item subline.
+   * @param {Function} [config.sidebar.subline] - Function(item, id, isCurrent, meta) returning list item subline.
+   *   meta is { createdAt, updatedAt, edits } (see Lost.getMeta).
+   * @param {string|Function} [config.sidebar.sort=null] - List order: null (as stored), 'updated' or 'created'
+   *   (newest first), or a compare function({ id, item, meta }, { id, item, meta }).
+   * @param {boolean} [config.sidebar.showTrash=true] - Show the "Recently deleted" section.
+   * @param {boolean} [config.sidebar.showScan=true] - Show the "Scan" button (import from a QR code).
+   * @param {boolean} [config.sidebar.showExport=true] - Show the "Export" button (download several items as one file).
+   * @param {boolean} [config.sidebar.showBackup=true] - Show "Back up everything" and "Restore backup" in the settings section.
+   * @param {string} [config.sidebar.settingsHeading='Settings'] - Heading of the settings section.
+   * @param {string} [config.sidebar.trashHeading='Recently deleted'] - Heading of the trash section.
    * @param {Object} [config.footer] - Footer configuration.
    * @param {boolean} [config.footer.visible=true] - Show footer (share box).
+   * @param {boolean} [config.nativeShare=true] - Show "Share" buttons opening the system share sheet (where the browser has one).
+   * @param {Object} [config.qr] - QR code configuration.
+   * @param {boolean} [config.qr.visible=true] - Show "QR" buttons in the share box and share dialog.
+   * @param {string} [config.qr.ecc='M'] - Error correction level: 'L', 'M', 'Q' or 'H'.
+   * @param {number} [config.qr.maxVersion=20] - Largest QR code (1-40); longer links are shown as a sequence of part codes.
    */
   constructor(lost, config = {}) {
     this.lost = lost;
@@ -30,6 +339,7 @@ export class LostUI {
       header: { ...defaults.header, ...(config.header || {}) },
       sidebar: { ...defaults.sidebar, ...providedSidebar },
       footer: { ...defaults.footer, ...(config.footer || {}) },
+      qr: { ...defaults.qr, ...(config.qr || {}) },
       theme: config.theme || defaults.theme,
       showLightDarkButton: config.showLightDarkButton !== undefined ? config.showLightDarkButton : defaults.showLightDarkButton
     };
@@ -63,6 +373,20 @@ export class LostUI {
     }
 
     this.elements = {};
+    // Route confirm/alert through styled dialogs unless the app brought its own prompter
+    if (this.config.dialogs && this.lost.prompter && this.lost.prompter.native) {
+      this.lost.prompter = new DialogPrompter(this.config.container);
+    }
+
+    // Opened by the share target (see receiveSharedData): remember it before Lost rewrites the URL
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(SHARE_TARGET_PARAM)) {
+      params.delete(SHARE_TARGET_PARAM);
+      const query = params.toString().replace(/=(?=&|$)/g, '');
+      window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+      this.pendingShareTarget = true;
+    }
+
     this.initTheme();
     this.build();
     this.bindEvents();
@@ -73,13 +397,34 @@ export class LostUI {
       if (item) {
         // Use safe access for title as it might be raw data if listener order varies
         this.setTitle(item.title);
-        this.updateSidebarList();
       }
     });
 
+    // Edits only re-render their own entry; anything changing the list rebuilds it
+    this.lost.addEventListener('itemupdated', (e) => this.updateSidebarItem(e.detail.id));
+    ['itemcreated', 'itemdeleted', 'currentchanged', 'sync'].forEach(type => {
+      this.lost.addEventListener(type, () => this.updateSidebarList());
+    });
+
     this.lost.addEventListener('updateUrl', (e) => {
       this.updateShareBox(e.detail);
     });
+    // Keep showing the previous URL, marked as outdated, while a new one is being encoded
+    this.lost.addEventListener('urlpending', () => {
+      if (this.elements.shareInput) this.elements.shareInput.classList.add('pending');
+    });
+
+    this.lost.addEventListener('history', (e) => {
+      // Any other change makes "undo the last delete" stale
+      if (e.detail.id !== this.lastDeletedId) this.lastDeletedId = null;
+      this.updateHistoryButtons();
+    });
+    this.lost.addEventListener('update', () => this.updateHistoryButtons());
+    this.lost.addEventListener('purged', () => this.updateTrashList());
+    this.lost.addEventListener('conflict', (e) => {
+      // Give app listeners the chance to resolve it first
+      setTimeout(() => this.resolveConflict(e.detail.id), 0);
+    });
   }
 
   static get defaultConfig() {
@@ -101,12 +446,28 @@ export class LostUI {
           return 'Untitled Item';
         },
         subline: () => '',
+        sort: null,
         onNew: null,
-        showImport: null
+        showImport: null,
+        showTrash: true,
+        trashHeading: 'Recently deleted',
+        showScan: true,
+        showExport: true,
+        showBackup: true,
+        settingsHeading: 'Settings'
       },
+      showUndoRedoButtons: true,
+      keyboardShortcuts: true,
+      dialogs: true,
+      nativeShare: true,
       footer: {
         visible: true,
         label: 'Share:'
+      },
+      qr: {
+        visible: true,
+        ecc: 'M',
+        maxVersion: 20
       }
     };
   }
@@ -226,6 +587,30 @@ export class LostUI {
       const actions = document.createElement('div');
       actions.className = 'header-actions';
 
+      if (this.config.showUndoRedoButtons && this.lost.historyLimit > 0) {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'action-btn';
+        undoBtn.type = 'button';
+        undoBtn.title = 'Undo (Ctrl+Z)';
+        undoBtn.setAttribute('aria-label', 'Undo');
+        undoBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 14l-4 -4l4 -4"></path><path d="M5 10h11a4 4 0 1 1 0 8h-1"></path></svg>';
+        undoBtn.addEventListener('click', () => this.undo());
+        actions.appendChild(undoBtn);
+        this.elements.undoBtn = undoBtn;
+
+        const redoBtn = document.createElement('button');
+        redoBtn.className = 'action-btn';
+        redoBtn.type = 'button';
+        redoBtn.title = 'Redo (Ctrl+Shift+Z)';
+        redoBtn.setAttribute('aria-label', 'Redo');
+        redoBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M15 14l4 -4l-4 -4"></path><path d="M19 10h-11a4 4 0 1 0 0 8h1"></path></svg>';
+        redoBtn.addEventListener('click', () => this.redo());
+        actions.appendChild(redoBtn);
+        this.elements.redoBtn = redoBtn;
+
+        this.updateHistoryButtons();
+      }
+
       // Extra Content (e.g. Configure button)
       if (this.config.header.extraContent) {
         const extra = this.config.header.extraContent();
@@ -289,6 +674,58 @@ export class LostUI {
       sidebar.appendChild(list);
       this.elements.sidebarList = list;
 
+      // Recently deleted
+      if (this.config.sidebar.showTrash && this.lost.trashRetention > 0) {
+        const trashSection = document.createElement('details');
+        trashSection.className = 'trash-section';
+        trashSection.style.display = 'none';
+
+        const trashSummary = document.createElement('summary');
+        trashSummary.textContent = this.config.sidebar.trashHeading;
+        trashSection.appendChild(trashSummary);
+
+        const trashList = document.createElement('div');
+        trashList.className = 'trash-list';
+        trashSection.appendChild(trashList);
+
+        const emptyTrashBtn = document.createElement('button');
+        emptyTrashBtn.className = 'empty-trash-btn';
+        emptyTrashBtn.textContent = 'Empty trash';
+        emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        trashSection.appendChild(emptyTrashBtn);
+
+        sidebar.appendChild(trashSection);
+        this.elements.trashSection = trashSection;
+        this.elements.trashList = trashList;
+      }
+
+      // Settings
+      if (this.config.sidebar.showBackup) {
+        const settingsSection = document.createElement('details');
+        settingsSection.className = 'settings-section';
+
+        const settingsSummary = document.createElement('summary');
+        settingsSummary.textContent = this.config.sidebar.settingsHeading;
+        settingsSection.appendChild(settingsSummary);
+
+        const backupBtn = document.createElement('button');
+        backupBtn.className = 'settings-btn';
+        backupBtn.textContent = 'Back up everything';
+        backupBtn.addEventListener('click', () => this.backupWorkspace());
+        settingsSection.appendChild(backupBtn);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'settings-btn';
+        restoreBtn.textContent = 'Restore backup';
+        restoreBtn.addEventListener('click', () => this.openRestoreDialog());
+        settingsSection.appendChild(restoreBtn);
+
+        sidebar.appendChild(settingsSection);
+        this.elements.settingsSection = settingsSection;
+        this.elements.backupBtn = backupBtn;
+        this.elements.restoreBtn = restoreBtn;
+      }
+
       // Footer (Buttons)
       const sbFooter = document.createElement('div');
       sbFooter.className = 'sidebar-footer';
@@ -303,6 +740,15 @@ export class LostUI {
         this.elements.importBtn = importBtn;
       }
 
+      if (this.config.sidebar.showScan) {
+        const scanBtn = document.createElement('button');
+        scanBtn.className = 'new-item-btn';
+        scanBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 7V5a2 2 0 0 1 2-2h2M17 3h2a2 2 0 0 1 2 2v2M21 17v2a2 2 0 0 1-2 2h-2M7 21H5a2 2 0 0 1-2-2v-2"></path><path d="M7 12h10"></path></svg> Scan';
+        scanBtn.addEventListener('click', () => this.scanQrCode());
+        sbFooter.appendChild(scanBtn);
+        this.elements.scanBtn = scanBtn;
+      }
+
       // Load from file button (shown when download is enabled)
       const loadFileBtn = document.createElement('button');
       loadFileBtn.className = 'new-item-btn';
@@ -312,6 +758,16 @@ export class LostUI {
       sbFooter.appendChild(loadFileBtn);
       this.elements.loadFileBtn = loadFileBtn;
 
+      if (this.config.sidebar.showExport) {
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'new-item-btn';
+        exportBtn.style.display = 'none'; // Shown like "Load from file"
+        exportBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><path d="m7 10 5 5 5-5"></path><path d="M12 15V3"></path></svg> Export';
+        exportBtn.addEventListener('click', () => this.exportItems());
+        sbFooter.appendChild(exportBtn);
+        this.elements.exportBtn = exportBtn;
+      }
+
       if (this.config.sidebar.onNew) {
         const newBtn = document.createElement('button');
         newBtn.className = 'new-item-btn';
@@ -364,6 +820,27 @@ export class LostUI {
       container.appendChild(downloadBtn);
       this.elements.downloadBtn = downloadBtn;
 
+      if (this.canShareNatively()) {
+        const nativeShareBtn = document.createElement('button');
+        nativeShareBtn.className = 'download-btn native-share-btn';
+        nativeShareBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"></path><polyline points="16 6 12 2 8 6"></polyline><line x1="12" y1="2" x2="12" y2="15"></line></svg> Share';
+        nativeShareBtn.title = 'Share with another app';
+        nativeShareBtn.addEventListener('click', () => this.handleNativeShare());
+        container.appendChild(nativeShareBtn);
+        this.elements.nativeShareBtn = nativeShareBtn;
+      }
+
+      if (this.config.qr.visible) {
+        const qrBtn = document.createElement('button');
+        qrBtn.className = 'download-btn qr-btn';
+        qrBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect><path d="M14 14h3v3h-3zM20 14v1M14 20h1M17 17v4h4v-4"></path></svg> QR';
+        qrBtn.title = 'Show QR code';
+        qrBtn.style.display = 'none';
+        qrBtn.addEventListener('click', () => this.handleQr());
+        container.appendChild(qrBtn);
+        this.elements.qrBtn = qrBtn;
+      }
+
       box.appendChild(container);
       footer.appendChild(box);
       c.appendChild(footer);
@@ -407,12 +884,40 @@ export class LostUI {
     shareDownloadBtn.addEventListener('click', () => this.handleDownload());
     urlContainer.appendChild(shareDownloadBtn);
     this.elements.shareDialogDownloadBtn = shareDownloadBtn;
+
+    if (this.canShareNatively()) {
+      const shareNativeBtn = document.createElement('button');
+      shareNativeBtn.className = 'download-btn native-share-btn';
+      shareNativeBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"></path><polyline points="16 6 12 2 8 6"></polyline><line x1="12" y1="2" x2="12" y2="15"></line></svg>';
+      shareNativeBtn.title = 'Share with another app';
+      shareNativeBtn.addEventListener('click', () => this.handleNativeShare());
+      urlContainer.appendChild(shareNativeBtn);
+      this.elements.shareDialogNativeBtn = shareNativeBtn;
+    }
+
+    if (this.config.qr.visible) {
+      const shareQrBtn = document.createElement('button');
+      shareQrBtn.className = 'download-btn qr-btn';
+      shareQrBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect><path d="M14 14h3v3h-3zM20 14v1M14 20h1M17 17v4h4v-4"></path></svg>';
+      shareQrBtn.title = 'Show QR code';
+      shareQrBtn.style.display = 'none';
+      shareQrBtn.addEventListener('click', () => this.handleQr());
+      urlContainer.appendChild(shareQrBtn);
+      this.elements.shareDialogQrBtn = shareQrBtn;
+    }
     
     shareDialog.appendChild(urlContainer);
+
+    const passwordInput = document.createElement('input');
+    passwordInput.type = 'password';
+    passwordInput.className = 'share-password-input';
+    passwordInput.placeholder = 'Password (optional)';
+    passwordInput.autocomplete = 'new-password';
+    shareDialog.appendChild(passwordInput);
     
     const hint = document.createElement('div');
     hint.className = 'hint';
-    hint.textContent = 'Share this link to let others import this item configuration.';
+    hint.textContent = 'Share this link to let others import this item configuration. With a password, the link is encrypted and can only be opened with it.';
     shareDialog.appendChild(hint);
     
     const dialogFooter = document.createElement('div');
@@ -431,6 +936,7 @@ export class LostUI {
     this.elements.shareDialogInput = shareUrlInput;
     this.elements.shareDialogCopyBtn = shareCopyBtn;
     this.bindCopyButton(shareCopyBtn, shareUrlInput);
+    this.bindPasswordInput(passwordInput);
     
     const closeHandler = () => {
         shareDialog.close();
@@ -444,6 +950,25 @@ export class LostUI {
     if (this.elements.sidebarOverlay) {
       this.elements.sidebarOverlay.addEventListener('click', () => this.closeSidebar());
     }
+    if (this.config.keyboardShortcuts) {
+      document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+  }
+
+  handleKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = (e.key || '').toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+    if (!isUndo && !isRedo) return;
+
+    // Text fields keep their native undo
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+    e.preventDefault();
+    if (isUndo) this.undo();
+    else this.redo();
   }
 
   // ----- Public API -----
@@ -454,6 +979,7 @@ export class LostUI {
   load() {
     window.addEventListener('load', () => {
       this.setupDropzone();
+      if (this.pendingShareTarget) this.receiveSharedData();
       setTimeout(() => {
         this.updateImportButtonVisibility();
       }, 100);
@@ -465,6 +991,8 @@ export class LostUI {
    * @param {Object|string} detail - The update detail (url or object).
    */
   updateShareBox(detail) {
+    if (this.elements.shareInput) this.elements.shareInput.classList.remove('pending');
+
     let url = detail;
     let canShare = true;
     let offerDownload = false;
@@ -504,6 +1032,44 @@ export class LostUI {
     // Download button
     toggle(this.elements.downloadBtn, offerDownload);
     toggle(this.elements.shareDialogDownloadBtn, offerDownload);
+
+    // QR button: also for items only shareable as part links
+    const hash = this.lastShareDetail.hash;
+    toggle(this.elements.qrBtn, !!hash && (canShare || this.lost.getShareStatus(hash.length).chunked));
+  }
+
+  /**
+   * Item targeted by undo: the item deleted last (if nothing happened since), else the current item.
+   * @returns {string} Item ID.
+   */
+  getUndoTarget() {
+    if (this.lastDeletedId && this.lost.canUndo(this.lastDeletedId)) return this.lastDeletedId;
+    return this.lost.currentId;
+  }
+
+  /**
+   * Undo the last change (or the last deletion).
+   */
+  undo() {
+    const id = this.getUndoTarget();
+    this.lastDeletedId = null;
+    this.lost.undo(id);
+  }
+
+  /**
+   * Redo the last undone change of the current item.
+   */
+  redo() {
+    this.lost.redo(this.lost.currentId);
+  }
+
+  updateHistoryButtons() {
+    if (this.elements.undoBtn) {
+      this.elements.undoBtn.disabled = !this.lost.canUndo(this.getUndoTarget());
+    }
+    if (this.elements.redoBtn) {
+      this.elements.redoBtn.disabled = !this.lost.canRedo(this.lost.currentId);
+    }
   }
 
   /**
@@ -557,7 +1123,7 @@ export class LostUI {
 
     this.elements.sidebarList.innerHTML = '';
     const items = this.lost.getAll();
-    const ids = Object.keys(items);
+    const ids = this.getSortedIds();
 
     ids.forEach(id => {
       const item = items[id];
@@ -567,6 +1133,139 @@ export class LostUI {
         this.elements.sidebarList.appendChild(el);
       }
     });
+
+    this.updateTrashList();
+  }
+
+  /**
+   * Item IDs in the order of sidebar.sort.
+   * @returns {string[]}
+   */
+  getSortedIds() {
+    const sort = this.config.sidebar.sort;
+    const ids = Object.keys(this.lost.getAll());
+    if (!sort) return ids;
+
+    const entries = ids.map(id => ({ id, item: this.lost.getItem(id), meta: this.lost.getMeta(id) }));
+    const field = sort === 'created' ? 'createdAt' : 'updatedAt';
+    const compare = typeof sort === 'function' ? sort : (a, b) => (b.meta[field] || 0) - (a.meta[field] || 0);
+    try {
+      return entries.sort(compare).map(entry => entry.id);
+    } catch (err) {
+      console.error('Sidebar sort function failed:', err);
+      return ids;
+    }
+  }
+
+  /**
+   * Re-render the sidebar entry of a single item.
+   * @param {string} id - Item ID.
+   */
+  updateSidebarItem(id) {
+    if (!this.elements.sidebarList) return;
+    // An edit can move the item in a sorted list
+    if (this.config.sidebar.sort) {
+      this.updateSidebarList();
+      return;
+    }
+
+    const existing = Array.from(this.elements.sidebarList.children).find(el => el.dataset.id === id);
+    const item = this.lost.getItem(id);
+    if (!existing || !item) {
+      this.updateSidebarList();
+      return;
+    }
+
+    const el = this.renderSidebarItem(item, id, id === this.lost.currentId);
+    if (el) existing.replaceWith(el);
+    else existing.remove();
+  }
+
+  /**
+   * Re-render the "Recently deleted" section.
+   */
+  updateTrashList() {
+    if (!this.elements.trashList) return;
+
+    this.elements.trashList.innerHTML = '';
+    const entries = this.lost.getTrash();
+    this.elements.trashSection.style.display = entries.length > 0 ? '' : 'none';
+
+    entries.forEach(entry => {
+      this.elements.trashList.appendChild(this.renderTrashItem(entry));
+    });
+  }
+
+  renderTrashItem({ id, item, deletedAt }) {
+    const container = document.createElement('div');
+    container.className = 'trash-item';
+
+    const text = document.createElement('div');
+    text.className = 'trash-item-text';
+
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'item-item-title';
+    titleDiv.textContent = this.getSidebarItemTitle(item, id, false);
+    text.appendChild(titleDiv);
+
+    const timeDiv = document.createElement('div');
+    timeDiv.className = 'item-item-count';
+    timeDiv.textContent = 'Deleted ' + LostUI.formatRelativeTime(deletedAt);
+    text.appendChild(timeDiv);
+    container.appendChild(text);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'restore-item-btn';
+    restoreBtn.title = 'Restore';
+    restoreBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 14l-4 -4l4 -4"></path><path d="M5 10h11a4 4 0 1 1 0 8h-1"></path></svg>';
+    restoreBtn.addEventListener('click', () => {
+      this.lost.restore(id);
+      this.closeSidebar();
+    });
+    container.appendChild(restoreBtn);
+
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'delete-item-btn';
+    purgeBtn.title = 'Delete permanently';
+    purgeBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6L6 18M6 6l12 12"></path></svg>';
+    purgeBtn.addEventListener('click', () => this.purgeItem(id));
+    container.appendChild(purgeBtn);
+
+    return container;
+  }
+
+  async purgeItem(id) {
+    const entry = this.lost.trash[id];
+    if (!entry) return;
+    const title = this.getSidebarItemTitle(entry.item, id, false);
+    const confirmed = await this.confirm(`Permanently delete "${title}"?\n\nThis action cannot be undone.`, {
+      title: 'Delete permanently', confirmLabel: 'Delete', danger: true
+    });
+    if (confirmed) this.lost.purge(id);
+  }
+
+  async emptyTrash() {
+    const confirmed = await this.confirm('Permanently delete all items in the trash?\n\nThis action cannot be undone.', {
+      title: 'Empty trash', confirmLabel: 'Delete all', danger: true
+    });
+    if (confirmed) this.lost.emptyTrash();
+  }
+
+  /**
+   * Format a timestamp relative to now, e.g. "5 min ago".
+   * @param {number} time - Timestamp in ms.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {string}
+   */
+  static formatRelativeTime(time, now = Date.now()) {
+    const seconds = Math.max(0, Math.round((now - time) / 1000));
+    if (seconds < 60) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.round(hours / 24);
+    return days === 1 ? 'yesterday' : `${days} days ago`;
   }
 
   getSidebarItemTitle(item, id, isCurrent) {
@@ -594,7 +1293,7 @@ export class LostUI {
   getSidebarItemSubline(item, id, isCurrent) {
     try {
       if (typeof this.config.sidebar.subline === 'function') {
-        const value = this.config.sidebar.subline(item, id, isCurrent);
+        const value = this.config.sidebar.subline(item, id, isCurrent, this.lost.getMeta(item));
         if (value === undefined || value === null) return '';
         return String(value);
       }
@@ -607,6 +1306,7 @@ export class LostUI {
   renderSidebarItem(item, id, isCurrent) {
     const container = document.createElement('div');
     container.className = 'item-item';
+    container.dataset.id = id;
     if (isCurrent) {
       container.classList.add('active');
     }
@@ -653,7 +1353,7 @@ export class LostUI {
     return container;
   }
 
-  setShareDialog({ dialog, urlInput, copyBtn, closeBtn } = {}) {
+  setShareDialog({ dialog, urlInput, copyBtn, closeBtn, passwordInput } = {}) {
     if (dialog) {
       this.elements.shareDialog = dialog;
     }
@@ -664,6 +1364,9 @@ export class LostUI {
       this.elements.shareDialogCopyBtn = copyBtn;
       this.bindCopyButton(copyBtn, urlInput);
     }
+    if (passwordInput) {
+      this.bindPasswordInput(passwordInput);
+    }
     if (closeBtn && dialog) {
       if (this.elements.shareDialogCloseBtn && this.elements.shareDialogCloseBtn.button && this.elements.shareDialogCloseBtn.handler) {
         this.elements.shareDialogCloseBtn.button.removeEventListener('click', this.elements.shareDialogCloseBtn.handler);
@@ -677,19 +1380,50 @@ export class LostUI {
     }
   }
 
-  async shareItem(id) {
+  /**
+   * Re-encode the share dialog link when the password changes.
+   * @param {HTMLInputElement} input - Password field of the share dialog.
+   */
+  bindPasswordInput(input) {
+    if (input.dataset.lostUiPasswordBound === '1') return;
+    input.dataset.lostUiPasswordBound = '1';
+    this.elements.sharePasswordInput = input;
+
+    // Key derivation is slow on purpose, so wait until typing pauses
+    let timer = null;
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (this.dialogShareContext) this.shareItem(this.dialogShareContext.item.id, { reopen: false });
+      }, 400);
+    });
+  }
+
+  /**
+   * Open the share dialog for an item.
+   * @param {string} id - Item ID.
+   * @param {Object} [options] - { reopen: false } only refreshes the open dialog (e.g. after a password change).
+   */
+  async shareItem(id, { reopen = true } = {}) {
     try {
       const item = this.lost.getItem(id);
       if (!item) return;
 
-      const encoded = await this.lost.encode(item);
+      const passwordInput = this.elements.sharePasswordInput;
+      if (reopen && passwordInput) passwordInput.value = '';
+      const password = passwordInput ? passwordInput.value : '';
+
+      // Only the latest request may fill the dialog
+      const seq = this.shareSeq = (this.shareSeq || 0) + 1;
+      const encoded = await this.lost.encode(item, { password });
+      if (seq !== this.shareSeq) return;
       if (!encoded) {
-        alert('Failed to encode item.');
+        this.alert('Failed to encode item.');
         return;
       }
 
       const len = encoded.length;
-      const { canShare, offerDownload } = this.lost.getShareStatus(len);
+      const { canShare, offerDownload, chunked } = this.lost.getShareStatus(len);
 
       let url = '';
       if (canShare) {
@@ -701,7 +1435,12 @@ export class LostUI {
       if (this.elements.shareDialogInput) {
         this.elements.shareDialogInput.value = url;
         this.elements.shareDialogInput.placeholder = canShare ? '' : 'State too large for URL sharing';
+        this.elements.shareDialogInput.style.display = chunked ? 'none' : '';
       }
+      const parts = chunked
+        ? this.lost.constructor.splitHash(encoded, this.lost.maxUrlSize).map(part => this.lost.buildShareUrl(item.id, part).url)
+        : [];
+      this.renderShareParts(parts);
       
       // We need to set this.lastShareDetail for handleDownload to work
       // handleDownload uses this.lost.getCurrent(), but here we might be sharing a non-current item.
@@ -720,6 +1459,8 @@ export class LostUI {
       const showCopy = !!url && canShare;
       toggle(this.elements.shareDialogCopyBtn, showCopy);
       toggle(this.elements.shareDialogDownloadBtn, offerDownload);
+      toggle(this.elements.shareDialogQrBtn, canShare || chunked);
+      if (!reopen) return;
 
       // Re-bind download button in dialog to use the context
       if (this.elements.shareDialogDownloadBtn) {
@@ -735,32 +1476,92 @@ export class LostUI {
         if (canShare) {
              try {
                 await navigator.clipboard.writeText(url);
-                alert('Share link copied to clipboard.');
+                this.alert('Share link copied to clipboard.');
              } catch (copyError) {
-                alert(url);
+                this.alert(url);
              }
         } else {
-            alert('Item too large to share via URL.');
+            this.alert('Item too large to share via URL.');
         }
       }
     } catch (err) {
       console.error('Share item error:', err);
-      alert('Failed to share this item.');
+      this.alert('Failed to share this item.');
     }
   }
 
-  deleteItem(id) {
+  async deleteItem(id) {
     const item = this.lost.getItem(id);
     if (!item) return;
     const title = this.getSidebarItemTitle(item, id, id === this.lost.currentId);
-    const message = `Are you sure you want to delete "${title}"?\n\nThis action cannot be undone.`;
-    if (!confirm(message)) return;
+    let hint = 'This action cannot be undone.';
+    if (this.lost.trashRetention > 0) {
+      const days = Math.max(1, Math.round(this.lost.trashRetention / (24 * 60 * 60 * 1000)));
+      hint = `It will be kept in "${this.config.sidebar.trashHeading}" for ${days} day${days === 1 ? '' : 's'}.`;
+    } else if (this.lost.historyLimit > 0) {
+      hint = 'You can restore it with Undo.';
+    }
+    const message = `Are you sure you want to delete "${title}"?\n\n${hint}`;
+    if (!await this.confirm(message, { title: 'Delete item', confirmLabel: 'Delete', danger: true })) return;
 
     if (!this.lost.delete(id)) {
-      alert('You cannot delete the last item. Create a new item first.');
+      await this.alert('You cannot delete the last item. Create a new item first.');
+      return;
     }
+    this.lastDeletedId = id;
+    this.updateHistoryButtons();
   }
   
+  /**
+   * Ask the user which version to keep when an item was edited in another tab at the same time.
+   * @param {string} id - Item ID.
+   */
+  async resolveConflict(id) {
+    const conflict = this.lost.getConflicts().find(c => c.id === id);
+    if (!conflict) return;
+
+    const { local, remote } = conflict;
+    const item = local || remote;
+    const title = this.getSidebarItemTitle(item, id, id === this.lost.currentId);
+    const message = remote
+      ? `"${title}" was changed in another tab at the same time.`
+      : `"${title}" was deleted in another tab.`;
+    const answer = await this.lost.askMerge(local, remote, {
+      title: 'Edited in another tab',
+      message,
+      localLabel: 'Mine',
+      remoteLabel: 'Other tab'
+    });
+    // Another answer (e.g. from a second dialog) may have settled it meanwhile
+    if (!this.lost.getConflicts().some(c => c.id === id)) return;
+
+    let resolution = answer || 'local';
+    if (typeof answer === 'object' && answer !== null) {
+      resolution = this.lost.constructor.pickFields(local, remote, answer);
+    }
+    this.lost.resolveConflict(id, resolution);
+  }
+
+  /**
+   * Ask for confirmation through the Lost prompter.
+   * @param {string} message - Question.
+   * @param {Object} [options] - Prompter options (title, confirmLabel, cancelLabel, danger).
+   * @returns {Promise<boolean>}
+   */
+  confirm(message, options) {
+    return Promise.resolve(this.lost.prompter.confirm(message, options));
+  }
+
+  /**
+   * Show a message through the Lost prompter.
+   * @param {string} message - Message.
+   * @param {Object} [options] - Prompter options (title, okLabel).
+   * @returns {Promise<void>}
+   */
+  alert(message, options) {
+    return Promise.resolve(this.lost.prompter.alert(message, options));
+  }
+
   // ----- Clipboard / Utilities -----
 
   isStandalone() {
@@ -793,12 +1594,18 @@ export class LostUI {
           const shouldShowLoadFile = downloadSetting === 'yes' || downloadSetting === 'auto';
           this.elements.loadFileBtn.style.display = shouldShowLoadFile ? 'flex' : 'none';
       }
+      if (this.elements.exportBtn) {
+          const downloadSetting = this.lost.download;
+          this.elements.exportBtn.style.display = (downloadSetting === 'yes' || downloadSetting === 'auto') ? 'flex' : 'none';
+      }
   }
 
   bindCopyButton(btn, input) {
       if (!btn || !input || btn.dataset.lostUiCopyBound === '1') return;
       btn.dataset.lostUiCopyBound = '1';
       btn.addEventListener('click', async () => {
+        // Make sure the link contains the latest changes
+        if (input === this.elements.shareInput) await this.lost.flushUrlUpdate();
         try {
           await navigator.clipboard.writeText(input.value);
           this.flashCopySuccess(btn);
@@ -824,20 +1631,20 @@ export class LostUI {
     try {
       const text = await navigator.clipboard.readText();
       if (!text) {
-        alert('Clipboard is empty. Copy an item URL first.');
+        this.alert('Clipboard is empty. Copy an item URL first.');
         return;
       }
 
       // Basic URL check
       if (!text.includes('#')) {
-          alert('No valid item URL found in clipboard.');
+          this.alert('No valid item URL found in clipboard.');
           return;
       }
       
       const url = new URL(text.trim());
       const hash = url.hash.slice(1);
       if (!hash) {
-          alert('Invalid item URL: no data found.');
+          this.alert('Invalid item URL: no data found.');
           return;
       }
 
@@ -849,7 +1656,7 @@ export class LostUI {
 
     } catch (err) {
       console.error('Clipboard import error:', err);
-      alert('Failed to read from clipboard: ' + err.message);
+      this.alert('Failed to read from clipboard: ' + err.message);
     }
   }
 
@@ -877,26 +1684,503 @@ export class LostUI {
       fileInput.click();
   }
 
-  async handleDownload() {
-      // Priority: 1. Dialog context (if open), 2. Current item (if footer/share box)
-      // Actually we need to distinguish where the click came from or just prefer context if it's set and we assume dialog is modal.
-      // Since dialog is modal, if context is set, it's likely the intended target.
-      // But we should clear context when dialog closes.
-      
-      let item, hash;
-      
+  /**
+   * Show one link per part in the share dialog (items too large for a single link).
+   * @param {string[]} urls - Part URLs; empty hides the list.
+   */
+  renderShareParts(urls) {
+    const dialog = this.elements.shareDialog;
+    if (!dialog) return;
+
+    let list = this.elements.sharePartsList;
+    if (!list) {
+      list = document.createElement('div');
+      list.className = 'share-parts';
+      const anchor = dialog.querySelector('.share-url-container');
+      if (anchor) anchor.after(list);
+      else dialog.appendChild(list);
+      this.elements.sharePartsList = list;
+    }
+
+    list.innerHTML = '';
+    list.style.display = urls.length ? '' : 'none';
+    if (!urls.length) return;
+
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    hint.textContent = `This item is too large for one link. Send all ${urls.length} links; it is imported once all of them have been opened.`;
+    list.appendChild(hint);
+
+    urls.forEach((url, i) => {
+      const row = document.createElement('div');
+      row.className = 'share-part';
+
+      const label = document.createElement('span');
+      label.className = 'share-part-label';
+      label.textContent = `Part ${i + 1}`;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'share-url-input';
+      input.readOnly = true;
+      input.value = url;
+
+      const copyBtn = document.createElement('button');
+      copyBtn.className = 'copy-btn';
+      copyBtn.textContent = 'Copy';
+      this.bindCopyButton(copyBtn, input);
+
+      row.append(label, input, copyBtn);
+      list.appendChild(row);
+    });
+  }
+
+  // ----- Web Share -----
+
+  canShareNatively() {
+    return !!this.config.nativeShare && typeof navigator.share === 'function';
+  }
+
+  async handleNativeShare() {
+    const { item, hash } = await this.getShareTarget();
+    if (item) await this.shareNative(item, hash);
+  }
+
+  /**
+   * Open the system share sheet for an item: its link, or the downloaded file if the link is too long.
+   * @param {Object} item
+   * @param {string} [hash] - Encoded item; encoded again if missing.
+   * @returns {Promise<boolean>} True if shared, false if cancelled or impossible.
+   */
+  async shareNative(item, hash) {
+    if (!hash) hash = await this.lost.encode(item);
+    if (!hash) {
+      this.alert('Failed to encode item.');
+      return false;
+    }
+
+    const title = this.getSidebarItemTitle(item, item.id, item.id === this.lost.currentId);
+    let data;
+    if (this.lost.getShareStatus(hash.length).canShare) {
+      data = { title, url: this.lost.buildShareUrl(item.id, hash).url };
+    } else {
+      const file = await this.createExportFile(item, hash);
+      if (!file) return false;
+      data = { title, files: [file] };
+      if (typeof navigator.canShare === 'function' && !navigator.canShare(data)) {
+        this.alert('This browser cannot share files. Use "Download" instead.');
+        return false;
+      }
+    }
+
+    try {
+      await navigator.share(data);
+      return true;
+    } catch (e) {
+      // AbortError: the user closed the share sheet
+      if (e.name !== 'AbortError') {
+        console.error('Share error:', e);
+        this.alert('Failed to share this item.');
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Import what another app shared with the installed PWA. The manifest's share_target posts
+   * to `?share-target`; sw.js stores the data in a cache and opens the page, which picks it up here.
+   * Files go through importFile, links through importAndConfirm. Failures are reported to the user
+   * and the shared data is always removed from the cache.
+   * @returns {Promise<boolean>} True if shared data was found.
+   */
+  async receiveSharedData() {
+    this.pendingShareTarget = false;
+    if (!window.caches) return false;
+
+    let cache = null;
+    let shared = null;
+    const files = [];
+    try {
+      cache = await window.caches.open(SHARE_TARGET_CACHE);
+      const response = await cache.match(SHARE_TARGET_DATA);
+      if (!response) return false;
+      shared = await response.json();
+      for (const { key, name, type } of shared.files || []) {
+        const fileResponse = await cache.match(key);
+        if (fileResponse) files.push(new File([await fileResponse.blob()], name, { type }));
+      }
+    } catch (e) {
+      console.error('Failed to read shared data:', e);
+      this.alert('Failed to open the shared content.');
+      return true;
+    } finally {
+      // Never leave shared data behind, or it would be imported again on the next visit
+      if (cache) {
+        const fileKeys = shared && Array.isArray(shared.files) ? shared.files.map(file => file && file.key) : [];
+        try {
+          await Promise.all([SHARE_TARGET_DATA, ...fileKeys].filter(Boolean).map(key => cache.delete(key)));
+        } catch (e) {
+          console.error('Failed to clear shared data:', e);
+        }
+      }
+    }
+
+    try {
+      if (files.length > 0) {
+        for (const file of files) await this.importFile(file);
+        return true;
+      }
+
+      const hash = LostUI.findSharedHash(shared);
+      if (!hash) {
+        this.alert('The shared content does not contain a link to an item.');
+        return true;
+      }
+      await this.lost.importAndConfirm(hash);
+    } catch (e) {
+      console.error('Failed to import shared data:', e);
+      this.alert('Failed to import the shared content.');
+    }
+    return true;
+  }
+
+  /**
+   * Find the hash of a shared link. Apps put links in `url` or somewhere in `text`.
+   * @param {{url?: string, text?: string}} shared
+   * @returns {string|null}
+   */
+  static findSharedHash({ url = '', text = '' }) {
+    for (const candidate of [url, ...(text.match(/https?:\/\/\S+/g) || [])]) {
+      const index = candidate.indexOf('#');
+      if (index >= 0 && index < candidate.length - 1) return candidate.slice(index + 1);
+    }
+    // A bare hash, e.g. copied from a downloaded text file
+    const trimmed = text.trim();
+    return trimmed && !/\s/.test(trimmed) && !/^https?:/.test(trimmed) ? trimmed : null;
+  }
+
+  // ----- QR Codes -----
+
+  /**
+   * Share URLs to show as QR codes: the link itself, or part links (see Lost.splitHash)
+   * if it does not fit into one QR code of config.qr.maxVersion.
+   * @param {string} id - Item ID.
+   * @param {string} hash - Encoded item.
+   * @returns {string[]}
+   * @throws {Error} If not even a part link fits into a QR code.
+   */
+  getQrUrls(id, hash) {
+    const { ecc, maxVersion } = this.config.qr;
+    const capacity = QRCode.getCapacity(maxVersion, ecc);
+    const { url } = this.lost.buildShareUrl(id, hash);
+    if (url.length <= capacity) return [url];
+
+    const base = this.lost.buildShareUrl(id, '').url;
+    return this.lost.constructor.splitHash(hash, capacity - base.length)
+      .map(part => this.lost.buildShareUrl(id, part).url);
+  }
+
+  /**
+   * Show the share link of the item in the share dialog (if open) or of the current item as QR code.
+   */
+  async handleQr() {
+    const { item, hash } = await this.getShareTarget();
+    if (!item || !hash) return;
+
+    let urls;
+    try {
+      urls = this.getQrUrls(item.id, hash);
+    } catch (e) {
+      console.error('QR code error:', e);
+      this.alert('This link is too long for a QR code.');
+      return;
+    }
+    this.showQrCodes(urls);
+  }
+
+  /**
+   * Open a dialog showing URLs as QR codes, one at a time with Previous/Next for part links.
+   * @param {string[]} urls
+   */
+  showQrCodes(urls) {
+    let dialog = this.elements.qrDialog;
+    if (!dialog) {
+      dialog = document.createElement('dialog');
+      dialog.className = 'lost-qr-dialog';
+      dialog.innerHTML = `
+        <div class="share-dialog-header">Scan to open</div>
+        <div class="lost-qr-image"></div>
+        <div class="lost-qr-label"></div>
+        <div class="hint"></div>
+        <div class="share-dialog-footer">
+          <button class="btn lost-qr-prev">Previous</button>
+          <button class="btn lost-qr-next">Next</button>
+          <button class="btn lost-qr-close">Close</button>
+        </div>`;
+      dialog.querySelector('.lost-qr-prev').addEventListener('click', () => this.renderQrCode(this.qrIndex - 1));
+      dialog.querySelector('.lost-qr-next').addEventListener('click', () => this.renderQrCode(this.qrIndex + 1));
+      dialog.querySelector('.lost-qr-close').addEventListener('click', () => dialog.close());
+      this.config.container.appendChild(dialog);
+      this.elements.qrDialog = dialog;
+    }
+
+    this.qrUrls = urls;
+    const multiple = urls.length > 1;
+    dialog.querySelector('.hint').textContent = multiple
+      ? `This link is too long for one QR code. Scan all ${urls.length} codes; the item is imported once all of them have been opened.`
+      : '';
+    dialog.querySelector('.lost-qr-prev').style.display = multiple ? '' : 'none';
+    dialog.querySelector('.lost-qr-next').style.display = multiple ? '' : 'none';
+    this.renderQrCode(0);
+
+    if (!dialog.open && typeof dialog.showModal === 'function') dialog.showModal();
+  }
+
+  /**
+   * Show one of the QR codes of the QR dialog.
+   * @param {number} index - Index into the URLs passed to showQrCodes.
+   */
+  renderQrCode(index) {
+    const dialog = this.elements.qrDialog;
+    const urls = this.qrUrls || [];
+    if (!dialog || index < 0 || index >= urls.length) return;
+    this.qrIndex = index;
+
+    const { ecc, maxVersion } = this.config.qr;
+    dialog.querySelector('.lost-qr-image').innerHTML = QRCode.encode(urls[index], { ecc, maxVersion }).toSVG();
+    dialog.querySelector('.lost-qr-label').textContent = urls.length > 1 ? `Part ${index + 1} of ${urls.length}` : '';
+    dialog.querySelector('.lost-qr-prev').disabled = index === 0;
+    dialog.querySelector('.lost-qr-next').disabled = index === urls.length - 1;
+  }
+
+  /**
+   * Open the scan dialog: reads QR codes from the camera, or from an image file.
+   * Uses BarcodeDetector where the browser has it and the bundled decoder otherwise.
+   */
+  async scanQrCode() {
+    let dialog = this.elements.scanDialog;
+    if (!dialog) {
+      dialog = document.createElement('dialog');
+      dialog.className = 'lost-qr-dialog lost-scan-dialog';
+      dialog.innerHTML = `
+        <div class="share-dialog-header">Scan QR code</div>
+        <video class="lost-scan-video" playsinline muted></video>
+        <div class="hint lost-scan-status"></div>
+        <div class="share-dialog-footer">
+          <button class="btn lost-scan-file">Choose image</button>
+          <button class="btn lost-scan-close">Close</button>
+        </div>`;
+      dialog.querySelector('.lost-scan-file').addEventListener('click', () => this.openScanImageDialog());
+      dialog.querySelector('.lost-scan-close').addEventListener('click', () => this.stopScan());
+      // Escape closes the dialog without the button
+      dialog.addEventListener('close', () => this.stopScan());
+      this.config.container.appendChild(dialog);
+      this.elements.scanDialog = dialog;
+    }
+
+    this.lastScannedHash = null;
+    const video = dialog.querySelector('.lost-scan-video');
+    video.style.display = 'none';
+    this.setScanStatus('Starting camera...');
+    if (!dialog.open && typeof dialog.showModal === 'function') dialog.showModal();
+
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices || typeof mediaDevices.getUserMedia !== 'function') {
+      this.setScanStatus('No camera available. Choose an image of a QR code instead.');
+      return;
+    }
+    try {
+      this.scanStream = await mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      // Closed while waiting for the permission
+      if (!dialog.open) {
+        this.stopScan();
+        return;
+      }
+      video.srcObject = this.scanStream;
+      video.style.display = '';
+      await video.play();
+      this.setScanStatus('Point the camera at a QR code.');
+      this.scanFrame(video);
+    } catch (e) {
+      console.error('Camera error:', e);
+      this.setScanStatus('The camera could not be started. Choose an image of a QR code instead.');
+    }
+  }
+
+  /**
+   * Look for a QR code in the current camera frame, then schedule the next look.
+   * @param {HTMLVideoElement} video
+   */
+  async scanFrame(video) {
+    if (!this.scanStream) return;
+    if (video.readyState >= 2) {
+      try {
+        const text = await this.detectQrCode(video);
+        if (text) await this.importScannedText(text);
+      } catch (e) {
+        console.error('QR scan error:', e);
+      }
+    }
+    if (this.scanStream) this.scanTimer = setTimeout(() => this.scanFrame(video), 250);
+  }
+
+  /**
+   * Stop the camera and close the scan dialog.
+   */
+  stopScan() {
+    clearTimeout(this.scanTimer);
+    if (this.scanStream) {
+      this.scanStream.getTracks().forEach(track => track.stop());
+      this.scanStream = null;
+    }
+    const dialog = this.elements.scanDialog;
+    if (dialog && dialog.open) dialog.close();
+  }
+
+  setScanStatus(message) {
+    const dialog = this.elements.scanDialog;
+    if (dialog) dialog.querySelector('.lost-scan-status').textContent = message;
+  }
+
+  openScanImageDialog() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/*';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async (e) => {
+      if (e.target.files && e.target.files.length > 0) await this.scanImageFile(e.target.files[0]);
+      document.body.removeChild(fileInput);
+    });
+    document.body.appendChild(fileInput);
+    fileInput.click();
+  }
+
+  /**
+   * Read a QR code from an image file and import it.
+   * @param {File|Blob} file
+   * @returns {Promise<boolean>} True if a QR code was found.
+   */
+  async scanImageFile(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('Not an image'));
+        image.src = url;
+      });
+      const text = await this.detectQrCode(image);
+      if (!text) {
+        this.setScanStatus('No QR code found in this image.');
+        return false;
+      }
+      await this.importScannedText(text);
+      return true;
+    } catch (e) {
+      console.error('QR image error:', e);
+      this.setScanStatus('This file could not be read as an image.');
+      return false;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Read the text of a QR code in an image or video frame.
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+   * @returns {Promise<string|null>} Null if no code was found.
+   */
+  async detectQrCode(source) {
+    if (typeof window.BarcodeDetector === 'function') {
+      try {
+        this.barcodeDetector = this.barcodeDetector || new window.BarcodeDetector({ formats: ['qr_code'] });
+        const codes = await this.barcodeDetector.detect(source);
+        return codes.length ? codes[0].rawValue : null;
+      } catch (e) {
+        // No QR support in this browser: use the bundled decoder
+        this.barcodeDetector = null;
+      }
+    }
+
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    if (!width || !height) return null;
+    // Large photos decode just as well at a lower resolution, and much faster
+    const scale = Math.min(1, 1024 / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) return null;
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return QRCode.decode(context.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  /**
+   * Import the link read from a QR code. Parts of a multi-part link are collected
+   * while the dialog stays open; the item is imported once all have been scanned.
+   * @param {string} text - Text of the QR code: a share URL or a bare hash.
+   * @returns {Promise<boolean>} True if an item was imported.
+   */
+  async importScannedText(text) {
+    const Lost = this.lost.constructor;
+    let hash = Lost.normalizeHash(text.includes('#') ? text.slice(text.indexOf('#') + 1) : text);
+    // The camera keeps seeing the same code
+    if (!hash || hash === this.lastScannedHash) return false;
+    this.lastScannedHash = hash;
+
+    if (Lost.parsePart(hash)) {
+      const result = await this.lost.receivePart(hash);
+      if (!result) {
+        this.setScanStatus('The scanned parts do not fit together. Please ask for the codes again.');
+        return false;
+      }
+      if (!result.complete) {
+        this.setScanStatus(`Scanned ${result.received} of ${result.total} parts. Scan the next code (missing: ${result.missing.join(', ')}).`);
+        return false;
+      }
+      hash = result.hash;
+    }
+
+    this.stopScan();
+    const result = await this.lost.importFromHash(hash);
+    if (!result) {
+      if (!Lost.isEncrypted(hash)) this.alert('This QR code does not contain an item of this app.');
+      return false;
+    }
+    const imported = await this.lost.confirmImport(result);
+    if (imported) this.closeSidebar();
+    return imported;
+  }
+
+  /**
+   * Item and hash the share buttons act on: the item of the open share dialog, else the current item.
+   * @returns {Promise<{item: Object|null, hash: string|null}>}
+   */
+  async getShareTarget() {
+      // The dialog is modal, so while it is open its buttons were clicked
       if (this.elements.shareDialog && this.elements.shareDialog.open && this.dialogShareContext) {
-          item = this.dialogShareContext.item;
-          hash = this.dialogShareContext.hash;
-      } else {
-          item = this.lost.getCurrent();
-          if (this.lastShareDetail) {
-              hash = this.lastShareDetail.hash;
-          }
+          return { item: this.dialogShareContext.item, hash: this.dialogShareContext.hash };
       }
+      await this.lost.flushUrlUpdate();
+      return { item: this.lost.getCurrent(), hash: this.lastShareDetail ? this.lastShareDetail.hash : null };
+  }
 
+  async handleDownload() {
+      const { item, hash } = await this.getShareTarget();
       if (!item) return;
 
+      const file = await this.createExportFile(item, hash);
+      if (file) this.triggerDownload(file, file.name);
+  }
+
+  /**
+   * The file "Download" saves for an item: JSON (downloadFormat 'json') or the encoded state.
+   * @param {Object} item
+   * @param {string} [hash] - Encoded item; encoded again if missing.
+   * @returns {Promise<File|null>} Null (after telling the user) if it could not be created.
+   */
+  async createExportFile(item, hash) {
       const title = (item.title) ? item.title : 'lost-export';
       const safeTitle = title.replace(/[^a-z0-9\-_]/gi, '_');
       const ext = this.lost.fileExtension || 'lost';
@@ -906,24 +2190,135 @@ export class LostUI {
           try {
               // Filter using lost filter before exporting
               const filtered = this.lost.filter(item);
+              // Record the schema version so importing can migrate the data
+              if (this.lost.version > 1) filtered._version = this.lost.version;
               const jsonStr = JSON.stringify(filtered, null, 2);
-              const blob = new Blob([jsonStr], { type: 'application/json' });
-              this.triggerDownload(blob, filename);
+              return new File([jsonStr], filename, { type: 'application/json' });
           } catch (e) {
               console.error('JSON export failed:', e);
-              alert('Failed to export JSON.');
+              this.alert('Failed to export JSON.');
+              return null;
           }
-      } else {
-          // Binary (default)
-          if (!hash) {
-              // Re-encode if missing
-               const encoded = await this.lost.encode(item);
-               if(encoded) this.downloadState(encoded, filename);
-               else alert('Failed to encode item.');
-               return;
+      }
+
+      // Binary (default)
+      if (!hash) hash = await this.lost.encode(item);
+      if (!hash) {
+          this.alert('Failed to encode item.');
+          return null;
+      }
+      const blob = this.createStateBlob(hash);
+      if (!blob) {
+          this.alert('Failed to generate download file.');
+          return null;
+      }
+      return new File([blob], filename, { type: blob.type });
+  }
+
+  /**
+   * Let the user pick items and download them as one bundle file.
+   * @param {string[]} [ids] - Items to export without asking (default: ask, all items checked).
+   * @returns {Promise<boolean>} True if a file was downloaded.
+   */
+  async exportItems(ids = null) {
+      await this.lost.flushUrlUpdate();
+      if (!ids) {
+          const items = Object.values(this.lost.getAll());
+          if (items.length === 0) {
+              await this.alert('There are no items to export.');
+              return false;
           }
-          this.downloadState(hash, filename);
+          const prompter = this.lost.prompter;
+          ids = items.map(item => item.id);
+          if (typeof prompter.pick === 'function') {
+              ids = await prompter.pick('Choose the items to save in one file.', items.map(item => ({
+                  value: item.id,
+                  label: this.getSidebarItemTitle(item, item.id, item.id === this.lost.currentId)
+              })), { title: 'Export', confirmLabel: 'Export' });
+          }
+          if (!ids || ids.length === 0) return false;
       }
+
+      const file = await this.createBundleFile(ids);
+      if (!file) return false;
+      this.triggerDownload(file, file.name);
+      return true;
+  }
+
+  /**
+   * The file "Export" saves: a bundle of several items, as JSON (downloadFormat 'json') or compressed.
+   * @param {string[]} [ids] - Items to include (default: all items).
+   * @returns {Promise<File|null>} Null (after telling the user) if it could not be created.
+   */
+  async createBundleFile(ids = null) {
+      const title = this.config.header.title || 'lost-export';
+      const safeTitle = title.replace(/[^a-z0-9\-_]/gi, '_');
+      const ext = this.lost.fileExtension || 'lost';
+      const filename = `${safeTitle}-bundle.${ext}`;
+
+      try {
+          const contents = await this.lost.exportBundle(ids);
+          const type = typeof contents === 'string' ? 'application/json' : 'application/octet-stream';
+          return new File([contents], filename, { type });
+      } catch (e) {
+          console.error('Bundle export failed:', e);
+          this.alert('Failed to export the items.');
+          return null;
+      }
+  }
+
+  // ----- Backup -----
+
+  /**
+   * Download a backup of the whole workspace, including the theme preference.
+   * @returns {Promise<boolean>} True if a file was downloaded.
+   */
+  async backupWorkspace() {
+      const title = this.config.header.title || 'lost';
+      const safeTitle = title.replace(/[^a-z0-9\-_]/gi, '_');
+      const ext = this.lost.fileExtension || 'lost';
+      const date = new Date().toISOString().slice(0, 10);
+
+      try {
+          await this.lost.flushUrlUpdate();
+          const blob = await this.lost.exportBackup({ settings: { theme: this.loadThemePreference() } });
+          this.triggerDownload(blob, `${safeTitle}-backup-${date}.${ext}`);
+          return true;
+      } catch (e) {
+          console.error('Backup failed:', e);
+          this.alert('Failed to create the backup.');
+          return false;
+      }
+  }
+
+  openRestoreDialog() {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = `.${this.lost.fileExtension || 'lost'},.json`;
+      fileInput.style.display = 'none';
+
+      fileInput.addEventListener('change', async (e) => {
+          if (e.target.files && e.target.files.length > 0) {
+              await this.restoreWorkspace(e.target.files[0]);
+              this.closeSidebar();
+          }
+          document.body.removeChild(fileInput);
+      });
+
+      document.body.appendChild(fileInput);
+      fileInput.click();
+  }
+
+  /**
+   * Restore a backup file (see Lost.restoreBackup) and apply its theme preference.
+   * @param {Blob|Object} source - Backup file or backup object.
+   * @returns {Promise<Object|null>} Result of restoreBackup.
+   */
+  async restoreWorkspace(source) {
+      const result = await this.lost.restoreBackup(source);
+      if (result && result.settings.theme) this.applyThemePreference(result.settings.theme);
+      if (result) this.updateTrashList();
+      return result;
   }
 
   triggerDownload(blob, filename) {
@@ -939,26 +2334,33 @@ export class LostUI {
 
   downloadState(hash, filename) {
       if (!hash) return;
-      
-      let base64 = hash;
-      // Strip prefix if present
-      if (hash.startsWith('!') || hash.startsWith('$')) {
-          base64 = hash.slice(1);
+
+      const blob = this.createStateBlob(hash);
+      if (blob) this.triggerDownload(blob, filename);
+      else this.alert('Failed to generate download file.');
+  }
+
+  /**
+   * Contents of a downloaded state file.
+   * @param {string} hash - Encoded item.
+   * @returns {Blob|null} Null if the hash is not valid base64.
+   */
+  createStateBlob(hash) {
+      // Hashes with a header (version, dictionary, encryption, signature) are saved as text so it survives
+      const Lost = this.lost.constructor;
+      if (Lost.hasHashHeader(hash)) {
+          return new Blob([hash], { type: 'text/plain' });
       }
       
+      // Strip prefix if present (standard or URL-safe)
+      const base64 = Lost.splitMethod(hash).data;
+      
       try {
-          const binaryString = atob(base64);
-          const len = binaryString.length;
-          const bytes = new Uint8Array(len);
-          for (let i = 0; i < len; i++) {
-              bytes[i] = binaryString.charCodeAt(i);
-          }
-          
-          const blob = new Blob([bytes], { type: 'application/octet-stream' });
-          this.triggerDownload(blob, filename);
+          const bytes = Lost.base64ToBytes(base64);
+          return new Blob([bytes], { type: 'application/octet-stream' });
       } catch (e) {
           console.error('Download failed:', e);
-          alert('Failed to generate download file.');
+          return null;
       }
   }
 
@@ -1011,7 +2413,7 @@ export class LostUI {
               // Validate Extension
               const ext = this.lost.fileExtension || 'lost';
               if (!file.name.toLowerCase().endsWith('.' + ext.toLowerCase())) {
-                  alert(`Invalid file type. Please drop a .${ext} file.`);
+                  this.alert(`Invalid file type. Please drop a .${ext} file.`);
                   return;
               }
 
@@ -1024,55 +2426,61 @@ export class LostUI {
       try {
           // First, try reading as text to see if it is JSON
           const text = await file.text();
+          let data = null;
           try {
               // Try parsing as JSON
-              const data = JSON.parse(text);
-              if (data && typeof data === 'object') {
-                  // It's a JSON file
-                  // Verify structure lightly? importAndConfirm handles validation via validator
-                  // We need to simulate import result or use create/update directly.
-                  // importAndConfirm expects hash.
-                  // We can create a temporary "hash" or just reimplement the confirm logic here.
-                  
-                  // Reusing import logic by "mocking" importFromHash result:
-                  // Actually, better to just reuse the confirm logic.
-                  
-                  const existing = this.lost.getItem(data.id);
-                  const result = { 
-                      status: existing ? 'exists_diff' : 'new', 
-                      data: data,
-                      existing: existing 
-                  };
-                  
-                  if (existing && this.lost.constructor.deepEqual(this.lost.filter(existing), this.lost.filter(data))) {
-                       result.status = 'exists_identical';
-                  }
-
-                  // Handle confirm
-                  if (result.status === 'exists_identical') {
-                      this.lost.setCurrent(data.id);
-                      return;
-                  }
-
-                  const message = result.existing
-                    ? `"${result.data.title}" already exists. Do you want to update it?`
-                    : `Do you want to import: "${result.data.title}"`;
-                  
-                  if (confirm(message)) {
-                      if (result.existing) this.lost.update(result.data.id, result.data);
-                      else this.lost.create(result.data);
-                      this.lost.setCurrent(result.data.id);
-                  }
-                  return;
-              }
+              data = JSON.parse(text);
           } catch (jsonErr) {
               // Not JSON, continue to binary import
           }
 
+          if (this.lost.constructor.isBackup(data)) {
+              await this.restoreWorkspace(data);
+              return;
+          }
+
+          if (this.lost.constructor.isBundle(data)) {
+              await this.lost.confirmBundle(data);
+              return;
+          }
+
+          if (data && typeof data === 'object') {
+              // It's a JSON file: migrate, validate and confirm like a hash import
+              const result = this.lost.importData(data);
+              if (!result) {
+                  this.alert('The file does not contain a valid item.');
+                  return;
+              }
+              await this.lost.confirmImport(result);
+              return;
+          }
+
+          // Text file holding a hash with a header
+          const trimmed = text.trim();
+          if (this.lost.constructor.hasHashHeader(trimmed)) {
+              await this.lost.importAndConfirm(trimmed);
+              return;
+          }
+
           // Binary Import
           const arrayBuffer = await file.arrayBuffer();
           let binary = '';
           const bytes = new Uint8Array(arrayBuffer);
+
+          // Compressed bundle of several items
+          const bundle = await this.lost.decodeBundle(bytes);
+          if (bundle) {
+              await this.lost.confirmBundle(bundle);
+              return;
+          }
+
+          // Compressed backup
+          const backup = await this.lost.readBackup(file);
+          if (backup) {
+              await this.restoreWorkspace(backup);
+              return;
+          }
+
           const len = bytes.byteLength;
           for (let i = 0; i < len; i++) {
               binary += String.fromCharCode(bytes[i]);
@@ -1088,7 +2496,7 @@ export class LostUI {
           
       } catch (e) {
           console.error('Import file failed:', e);
-          alert('Failed to read file.');
+          this.alert('Failed to read file.');
       }
   }
 }
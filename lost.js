@@ -1,7 +1,7 @@
 
 /**
  * Lost: A lightweight state management and sharing library.
- * Handles localStorage persistence, URL hash sharing (compression/encoding),
+ * Handles persistence (localStorage by default, pluggable adapters), URL hash sharing (compression/encoding),
  * and object lifecycle (create, read, update, delete).
  */
 if (typeof window !== 'undefined' && 'serviceWorker' in navigator) {
@@ -11,6 +11,239 @@ if (typeof window !== 'undefined' && 'serviceWorker' in navigator) {
   }
 }
 
+// ----- Storage Adapters -----
+// An adapter exposes get(key), set(key, value), remove(key) and keys().
+// Values are strings. Methods may return plain values or Promises.
+// Adapters whose data is visible to other tabs set `shared = true`.
+
+/**
+ * Adapter for a Web Storage area (localStorage or sessionStorage).
+ * The area is looked up on every call so it can be swapped at runtime.
+ */
+export class WebStorageAdapter {
+  /**
+   * @param {string} [area='localStorage'] - Name of the storage area on window.
+   */
+  constructor(area = 'localStorage') {
+    this.area = area;
+    this.shared = area === 'localStorage';
+  }
+
+  get store() {
+    return window[this.area];
+  }
+
+  get(key) {
+    return this.store.getItem(key);
+  }
+
+  set(key, value) {
+    this.store.setItem(key, value);
+  }
+
+  remove(key) {
+    this.store.removeItem(key);
+  }
+
+  keys() {
+    const store = this.store;
+    const keys = [];
+    for (let i = 0; i < store.length; i++) {
+      keys.push(store.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * Adapter that keeps everything in memory. Useful for tests and previews.
+ */
+export class MemoryStorageAdapter {
+  constructor(initial = {}) {
+    this.data = new Map(Object.entries(initial));
+  }
+
+  get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.data.keys());
+  }
+}
+
+/**
+ * Asynchronous adapter backed by IndexedDB.
+ * Besides key/value pairs it stores every item as its own record
+ * (readItems/writeItems), so saving only touches items that changed.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='lost'] - Database name.
+   * @param {string} [options.storeName='kv'] - Object store for key/value pairs.
+   * @param {string} [options.itemStoreName='items'] - Object store for item records.
+   */
+  constructor({ dbName = 'lost', storeName = 'kv', itemStoreName = 'items' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.itemStoreName = itemStoreName;
+    this.shared = true;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+          if (!db.objectStoreNames.contains(this.itemStoreName)) {
+            const items = db.createObjectStore(this.itemStoreName, { keyPath: ['collection', 'id'] });
+            items.createIndex('collection', 'collection');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, fn, storeName = this.storeName) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async get(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  set(key, value) {
+    return this.run('readwrite', store => store.put(value, key));
+  }
+
+  remove(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  keys() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Read all item records of a collection.
+   * @param {string} collection - Collection name (the Lost storageKey).
+   * @returns {Promise<Object>} Map of ID to item data.
+   */
+  async readItems(collection) {
+    const records = await this.run('readonly', store => store.index('collection').getAll(collection), this.itemStoreName);
+    const items = {};
+    for (const record of records || []) {
+      items[record.id] = record.data;
+    }
+    return items;
+  }
+
+  /**
+   * Write changed item records and delete removed ones in a single transaction.
+   * @param {string} collection - Collection name (the Lost storageKey).
+   * @param {Object} changed - Map of ID to item data to put.
+   * @param {string[]} [removed=[]] - IDs to delete.
+   * @returns {Promise<void>}
+   */
+  writeItems(collection, changed, removed = []) {
+    return this.run('readwrite', (store) => {
+      for (const id of Object.keys(changed)) {
+        store.put({ collection, id, data: changed[id] });
+      }
+      for (const id of removed) {
+        store.delete([collection, id]);
+      }
+      return null;
+    }, this.itemStoreName);
+  }
+}
+
+// Hash prefixes marking the compression method. URL-safe hashes use base64url
+// (RFC 4648 §5, no padding) and their own prefixes, which standard base64 never contains.
+// '*' survives encodeURIComponent and appears nowhere else in the hash format.
+const HASH_PREFIXES = { gzip: '$', deflate: '!', none: '' };
+const URL_SAFE_PREFIXES = { gzip: '_', deflate: '-', none: '*' };
+
+// Key derivation rounds for encrypted links. Part of the link format: changing it
+// makes existing encrypted links unreadable.
+const PBKDF2_ITERATIONS = 600000;
+
+// Format numbers of bundle and backup files (see Bundles and Backup)
+const BUNDLE_FORMAT = 1;
+const BACKUP_FORMAT = 1;
+
+// Most parts a link may be split into. Part headers come from URLs, so this also bounds
+// the work a crafted '&1-999999999-...' link can cause.
+const MAX_PARTS = 64;
+// Longest part header: '&64-64-' plus a 7-character checksum and '-'
+const MAX_PART_HEADER = `&${MAX_PARTS}-${MAX_PARTS}-`.length + 8;
+
+// ----- Prompter -----
+// A prompter asks the user questions. All methods return Promises:
+//   confirm(message, options) -> boolean
+//   alert(message, options)   -> undefined
+//   choice(message, choices, options) -> value of the picked choice, or null if cancelled
+//   merge(options) (optional) -> merge resolution (see Lost.merge), or null if cancelled
+//   pick(message, options, settings) (optional) -> values of the checked options, or null if cancelled
+//   password(message, options) (optional) -> entered password, or null if cancelled
+// choices are [{ value, label }]. LostUI installs a <dialog>-based prompter;
+// tests can pass an object answering programmatically.
+
+/**
+ * Prompter using the browser's built-in window.confirm/alert/prompt.
+ */
+export class WindowPrompter {
+  constructor() {
+    // Marks the built-in fallback, which LostUI replaces with its dialogs
+    this.native = true;
+  }
+
+  confirm(message) {
+    return Promise.resolve(window.confirm(message));
+  }
+
+  alert(message) {
+    window.alert(message);
+    return Promise.resolve();
+  }
+
+  choice(message, choices) {
+    const list = choices.map((choice, i) => `${i + 1}. ${choice.label}`).join('\n');
+    const answer = window.prompt(`${message}\n\n${list}`, '1');
+    const choice = choices[parseInt(answer, 10) - 1];
+    return Promise.resolve(choice ? choice.value : null);
+  }
+
+  password(message) {
+    return Promise.resolve(window.prompt(message) || null);
+  }
+}
+
 export class Lost extends EventTarget {
   /**
    * Create a new Lost instance.
@@ -21,6 +254,33 @@ export class Lost extends EventTarget {
    * @param {Function} [config.validator] - Function to validate data on load. Returns boolean.
    * @param {Function} [config.filter] - Function to filter data before saving/encoding.
    * @param {string} [config.compressionMethod='deflate'] - Compression method ('deflate', 'gzip', or 'none').
+   * @param {boolean} [config.urlSafe=false] - Encode hashes with URL-safe base64 (base64url).
+   * @param {string[]|string} [config.dictionary] - Strings (keys and common values) replaced by short tokens
+   *   before compression, or 'auto' to derive them from defaultData. Only append to it: links name the entries they used.
+   * @param {string|Object} [config.storage='local'] - Storage adapter or one of 'local', 'session', 'memory', 'indexeddb'.
+   * @param {number} [config.version=1] - Schema version of item data.
+   * @param {Object} [config.migrations={}] - Map of version to function(item) upgrading an item from the previous version.
+   * @param {string} [config.versionKey] - Storage key for the stored schema version (defaults to storageKey + '-version').
+   * @param {number} [config.historyLimit=50] - Undo steps kept per item (0 disables history).
+   * @param {number} [config.historyCoalesce=1000] - Updates within this many ms are merged into one undo step.
+   * @param {boolean} [config.persistHistory=false] - Keep undo history in storage (local only, never shared).
+   * @param {string} [config.historyKey] - Storage key for persisted history (defaults to storageKey + '-history').
+   * @param {number} [config.trashRetention=30 days] - How long (ms) deleted items stay in the trash (0 deletes immediately).
+   * @param {string} [config.trashKey] - Storage key for the trash (defaults to storageKey + '-trash').
+   * @param {boolean} [config.sync] - Keep other tabs in sync (defaults to true for shared storage like localStorage and IndexedDB).
+   * @param {string} [config.syncChannel] - BroadcastChannel name (defaults to storageKey).
+   * @param {string} [config.revisionsKey] - Storage key for item revisions (defaults to storageKey + '-revisions').
+   * @param {number} [config.urlDebounce=300] - Wait this many ms after the last change before re-encoding the URL (0 encodes right away).
+   * @param {number} [config.urlMaxWait=2000] - Re-encode at least this often (ms) during continuous changes.
+   * @param {boolean} [config.chunkedLinks=false] - Split items too large for one URL into several part links.
+   * @param {string} [config.chunksKey] - Storage key for received parts (defaults to storageKey + '-chunks').
+   * @param {number} [config.chunkRetention=7 days] - How long (ms) parts of an incomplete link are kept.
+   * @param {Object} [config.prompter] - Asks the user questions (confirm/alert/choice). Defaults to window dialogs.
+   * @param {Object|CryptoKey} [config.signingKey] - ECDSA P-256 private key (JWK or CryptoKey) to sign encoded hashes with.
+   * @param {string} [config.signingKeyId='default'] - Name of the signing key, stored in the signature (letters, digits, '-', '_').
+   * @param {Object} [config.trustedKeys={}] - Map of key ID to ECDSA P-256 public key (JWK or CryptoKey) accepted as signers.
+   * @param {string|null} [config.metaKey='_meta'] - Item field holding { createdAt, updatedAt, edits } (null turns
+   *   metadata off). Local-only by default; a name without '_' shares it in links and bundles.
    */
   constructor(config) {
     super();
@@ -30,6 +290,26 @@ export class Lost extends EventTarget {
     this.validator = config.validator || (() => true);
     this.filter = config.filter || Lost.defaultFilter;
     this.compressionMethod = config.compressionMethod || 'deflate';
+    this.urlSafe = config.urlSafe === true;
+    this.dictionary = config.dictionary === 'auto'
+      ? Lost.buildDictionary(this.filter(config.defaultData || {}))
+      : (config.dictionary || null);
+    // Fingerprint -> number of dictionary entries, built on first use
+    this.dictionaryIndex = null;
+    this.storage = Lost.createStorage(config.storage);
+    this.version = config.version || 1;
+    this.migrations = config.migrations || {};
+    this.versionKey = config.versionKey || this.storageKey + '-version';
+    this.storedVersion = null;
+    this.historyLimit = config.historyLimit !== undefined ? config.historyLimit : 50;
+    this.historyCoalesce = config.historyCoalesce !== undefined ? config.historyCoalesce : 1000;
+    this.persistHistory = config.persistHistory === true;
+    this.historyKey = config.historyKey || this.storageKey + '-history';
+    this.trashRetention = config.trashRetention !== undefined ? config.trashRetention : 30 * 24 * 60 * 60 * 1000;
+    this.trashKey = config.trashKey || this.storageKey + '-trash';
+    this.sync = config.sync !== undefined ? config.sync : this.storage.shared === true;
+    this.syncChannel = config.syncChannel || this.storageKey;
+    this.revisionsKey = config.revisionsKey || this.storageKey + '-revisions';
     
     // New Configs
     this.download = config.download || 'auto'; // yes, no, auto
@@ -37,14 +317,65 @@ export class Lost extends EventTarget {
     this.downloadFormat = config.downloadFormat || 'binary'; // binary, json
     this.maxUrlSize = config.maxUrlSize || 8192;
     this.urlShare = config.urlShare || 'auto'; // yes, no, auto
+    this.urlDebounce = config.urlDebounce !== undefined ? config.urlDebounce : 300;
+    this.urlMaxWait = config.urlMaxWait !== undefined ? config.urlMaxWait : 2000;
+    this.chunkedLinks = config.chunkedLinks === true;
+    this.chunksKey = config.chunksKey || this.storageKey + '-chunks';
+    this.chunkRetention = config.chunkRetention !== undefined ? config.chunkRetention : 7 * 24 * 60 * 60 * 1000;
+    this.prompter = config.prompter || new WindowPrompter();
+    this.signingKey = config.signingKey || null;
+    this.signingKeyId = config.signingKeyId || 'default';
+    this.trustedKeys = config.trustedKeys || {};
+    this.metaKey = config.metaKey !== undefined ? config.metaKey : '_meta';
+    // Imported CryptoKeys by JWK object
+    this.cryptoKeys = new WeakMap();
     
     this.items = {};
     this.currentId = null;
+    this.notifiedCurrentId = null;
+
+    // Open batch/transaction: deferred work and rollback snapshots (null when not batching)
+    this.batchState = null;
+
+    // Field watchers registered with watch(), flushed once per microtask
+    this.watchers = new Set();
+    this.watchFlushPending = false;
+
+    // Items changed/removed since the last save (used by record-based adapters)
+    this.dirtyIds = new Set();
+    this.removedIds = new Set();
+
+    // Undo/redo stacks per item: { [id]: { undo: [], redo: [] } }
+    this.history = {};
+    this.historyChanged = false;
+    this.applyingHistory = false;
+
+    // Soft-deleted items: { [id]: { item, deletedAt } }
+    this.trash = {};
+    this.trashChanged = false;
+
+    // Cross-tab sync: revision stamps per item { [id]: { rev, base, tab, deleted? } }
+    this.tabId = Math.random().toString(36).substr(2, 9);
+    this.revisions = {};
+    this.revisionsChanged = false;
+    // Trash entries and revisions as last written to or read from storage: save() writes the
+    // entries that differ (entries are replaced, never changed in place)
+    this.storedTrash = {};
+    this.storedRevisions = {};
+    this.conflicts = {};
+    this.channel = null;
+    this.storageListener = null;
     
     // Hash management state
     this.currentHash = '';
     this.pendingHashCheck = false;
     this.ignoreHashes = new Set();
+
+    // Debounced URL updates: only the latest encode may write the hash
+    this.urlTimer = null;
+    this.urlPending = false;
+    this.urlPendingSince = 0;
+    this.urlSeq = 0;
   }
 
   // ----- Utils -----
@@ -52,6 +383,46 @@ export class Lost extends EventTarget {
     return 'item_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
+  static isThenable(value) {
+    return !!value && typeof value.then === 'function';
+  }
+
+  /**
+   * Call fn with value, waiting for it first if it is a Promise.
+   * Keeps synchronous adapters synchronous.
+   */
+  static when(value, fn) {
+    return Lost.isThenable(value) ? value.then(fn) : fn(value);
+  }
+
+  /**
+   * Whether an adapter stores items as individual records.
+   * @param {Object} storage - Storage adapter.
+   * @returns {boolean}
+   */
+  static hasItemRecords(storage) {
+    return typeof storage.readItems === 'function' && typeof storage.writeItems === 'function';
+  }
+
+  /**
+   * Resolve the storage config option to an adapter instance.
+   * @param {string|Object} [storage] - Adapter object or built-in adapter name.
+   * @returns {Object} Storage adapter.
+   */
+  static createStorage(storage) {
+    if (storage && typeof storage === 'object') return storage;
+    switch (storage) {
+      case 'session': return new WebStorageAdapter('sessionStorage');
+      case 'memory': return new MemoryStorageAdapter();
+      case 'indexeddb': return new IndexedDBAdapter();
+      default: return new WebStorageAdapter('localStorage');
+    }
+  }
+
+  static clone(obj) {
+    return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+  }
+
   static deepEqual(obj1, obj2) {
     if (obj1 === obj2) return true;
     if (obj1 == null || obj2 == null) return false;
@@ -70,6 +441,185 @@ export class Lost extends EventTarget {
     return true;
   }
 
+  /**
+   * List the leaf values that differ between two values.
+   * @param {*} previous - Old value.
+   * @param {*} next - New value.
+   * @param {string} [path=''] - Path of the compared values (dot-separated, array indices as keys).
+   * @returns {Array<{path: string, previous: *, value: *}>} Changed paths with old and new values.
+   */
+  static diff(previous, next, path = '') {
+    if (Lost.deepEqual(previous, next)) return [];
+
+    const isObject = (value) => value !== null && typeof value === 'object';
+    if (isObject(previous) && isObject(next) && Array.isArray(previous) === Array.isArray(next)) {
+      const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+      const changes = [];
+      for (const key of keys) {
+        changes.push(...Lost.diff(previous[key], next[key], path ? path + '.' + key : key));
+      }
+      return changes;
+    }
+
+    return [{ path, previous, value: next }];
+  }
+
+  /**
+   * Normalize a key path to an array of keys.
+   * @param {string|Array} path - Dot-separated path ('stats.correct') or array of keys.
+   * @returns {Array<string>} Keys (empty for the whole object).
+   */
+  static parsePath(path) {
+    if (Array.isArray(path)) return path.map(String);
+    if (path === undefined || path === null || path === '') return [];
+    return String(path).split('.');
+  }
+
+  /**
+   * Read the value at a key path.
+   * @param {Object} obj - Object to read from.
+   * @param {string|Array} path - Key path.
+   * @returns {*} Value, or undefined if any part of the path is missing.
+   */
+  static getPath(obj, path) {
+    return Lost.parsePath(path).reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), obj);
+  }
+
+  /**
+   * Return a copy of obj with the value at a key path replaced.
+   * Missing objects along the path are created; setting undefined removes the key.
+   * @param {Object} obj - Source object (not modified).
+   * @param {string|Array} path - Key path.
+   * @param {*} value - New value.
+   * @returns {Object} Updated copy.
+   */
+  static setPath(obj, path, value) {
+    const keys = Lost.parsePath(path);
+    if (keys.length === 0) return value;
+
+    const [key, ...rest] = keys;
+    const base = obj !== null && typeof obj === 'object' ? obj : {};
+    const copy = Array.isArray(base) ? base.slice() : { ...base };
+    if (rest.length === 0 && value === undefined) {
+      if (Array.isArray(copy)) copy.splice(Number(key), 1);
+      else delete copy[key];
+    } else {
+      copy[key] = Lost.setPath(base[key], rest, value);
+    }
+    return copy;
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396).
+   * Objects are merged recursively, null removes a key, anything else replaces.
+   * @param {*} target - Document to patch (not modified).
+   * @param {*} patch - Merge patch.
+   * @returns {*} Patched copy.
+   */
+  static mergePatch(target, patch) {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) return Lost.clone(patch);
+
+    const isObject = target !== null && typeof target === 'object' && !Array.isArray(target);
+    const result = isObject ? { ...target } : {};
+    for (const key of Object.keys(patch)) {
+      if (patch[key] === null) delete result[key];
+      else result[key] = Lost.mergePatch(result[key], patch[key]);
+    }
+    return result;
+  }
+
+  /**
+   * Apply a JSON Patch (RFC 6902): add, remove, replace, move, copy and test operations.
+   * @param {*} target - Document to patch (not modified).
+   * @param {Array<Object>} operations - Patch operations.
+   * @returns {*} Patched copy.
+   * @throws {Error} If an operation is invalid, its path does not exist or a test fails.
+   */
+  static applyJsonPatch(target, operations) {
+    // JSON Pointer (RFC 6901): '/a/b~1c' -> ['a', 'b/c']
+    const parse = (pointer) => {
+      if (pointer === '') return [];
+      if (typeof pointer !== 'string' || !pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer: ${pointer}`);
+      return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    };
+    const isContainer = (value) => value !== null && typeof value === 'object';
+    // allowEnd: adding may target the position after the last element ('-' or length)
+    const index = (array, key, allowEnd) => {
+      if (key === '-' && allowEnd) return array.length;
+      const i = Number(key);
+      if (!/^(0|[1-9]\d*)$/.test(key) || i > array.length || (!allowEnd && i === array.length)) {
+        throw new Error(`Invalid array index: ${key}`);
+      }
+      return i;
+    };
+    const parentOf = (doc, keys) => {
+      const parent = keys.slice(0, -1).reduce((value, key) => {
+        if (!isContainer(value) || !(key in value)) throw new Error(`Path not found: /${keys.join('/')}`);
+        return value[key];
+      }, doc);
+      if (!isContainer(parent)) throw new Error(`Path not found: /${keys.join('/')}`);
+      return parent;
+    };
+    const get = (doc, keys) => {
+      if (keys.length === 0) return doc;
+      const parent = parentOf(doc, keys);
+      const key = keys[keys.length - 1];
+      if (Array.isArray(parent)) return parent[index(parent, key, false)];
+      if (!(key in parent)) throw new Error(`Path not found: /${keys.join('/')}`);
+      return parent[key];
+    };
+    const add = (doc, keys, value) => {
+      if (keys.length === 0) return value;
+      const parent = parentOf(doc, keys);
+      const key = keys[keys.length - 1];
+      if (Array.isArray(parent)) parent.splice(index(parent, key, true), 0, value);
+      else parent[key] = value;
+      return doc;
+    };
+    const remove = (doc, keys) => {
+      if (keys.length === 0) return undefined;
+      get(doc, keys);
+      const parent = parentOf(doc, keys);
+      const key = keys[keys.length - 1];
+      if (Array.isArray(parent)) parent.splice(index(parent, key, false), 1);
+      else delete parent[key];
+      return doc;
+    };
+
+    let doc = Lost.clone(target);
+    for (const operation of operations) {
+      const keys = parse(operation.path);
+      switch (operation.op) {
+        case 'add':
+          doc = add(doc, keys, Lost.clone(operation.value));
+          break;
+        case 'remove':
+          doc = remove(doc, keys);
+          break;
+        case 'replace':
+          get(doc, keys);
+          doc = add(remove(doc, keys), keys, Lost.clone(operation.value));
+          break;
+        case 'move': {
+          const from = parse(operation.from);
+          if (operation.path.startsWith(operation.from + '/')) throw new Error('Cannot move a value into itself');
+          const value = get(doc, from);
+          doc = add(remove(doc, from), keys, value);
+          break;
+        }
+        case 'copy':
+          doc = add(doc, keys, Lost.clone(get(doc, parse(operation.from))));
+          break;
+        case 'test':
+          if (!Lost.deepEqual(get(doc, keys), operation.value)) throw new Error(`Test failed at ${operation.path}`);
+          break;
+        default:
+          throw new Error(`Unknown patch operation: ${operation.op}`);
+      }
+    }
+    return doc;
+  }
+
   static defaultFilter(obj) {
     if (typeof obj !== 'object' || obj === null) return obj;
     
@@ -106,177 +656,1193 @@ export class Lost extends EventTarget {
     });
   }
 
-  static arrayBufferToBase64(buffer) {
+  /**
+   * Split the schema version off an encoded hash ('<version>~<data>').
+   * @param {string} hash - Encoded hash.
+   * @returns {{version: number|null, body: string}} Version (null if unversioned) and remaining data.
+   */
+  static splitVersion(hash) {
+    const match = /^(\d+)~/.exec(hash);
+    if (!match) return { version: null, body: hash };
+    return { version: parseInt(match[1], 10), body: hash.slice(match[0].length) };
+  }
+
+  /**
+   * Repair common damage to a shared hash: a leading '#', line breaks added by mail clients,
+   * '+' turned into spaces and percent-encoding added by chat apps or URL shorteners.
+   * @param {string} hash - Hash as received.
+   * @returns {string} Cleaned hash.
+   */
+  static normalizeHash(hash) {
+    if (typeof hash !== 'string') return hash;
+    let clean = hash.trim().replace(/^#/, '').replace(/[\r\n\t]/g, '');
+    if (clean.includes('%')) {
+      try {
+        clean = decodeURIComponent(clean);
+      } catch (e) {
+        // Not percent-encoded after all
+      }
+    }
+    return clean.replace(/ /g, '+');
+  }
+
+  /**
+   * Split the compression prefix off a hash body.
+   * @param {string} body - Hash without version header.
+   * @returns {{method: string, data: string}} Compression method ('gzip', 'deflate' or 'none') and base64 data.
+   */
+  static splitMethod(body) {
+    for (const prefixes of [HASH_PREFIXES, URL_SAFE_PREFIXES]) {
+      for (const method of Object.keys(prefixes)) {
+        if (prefixes[method] && body.startsWith(prefixes[method])) {
+          return { method, data: body.slice(prefixes[method].length) };
+        }
+      }
+    }
+    // Legacy uncompressed format
+    return { method: 'none', data: body };
+  }
+
+  /**
+   * Decode standard or URL-safe base64, with or without padding.
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  static base64ToBytes(base64) {
+    let normalized = base64.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    normalized += '='.repeat((4 - normalized.length % 4) % 4);
+    const binaryString = atob(normalized);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @param {boolean} [urlSafe=false] - Use the base64url alphabet without padding.
+   * @returns {string}
+   */
+  static arrayBufferToBase64(buffer, urlSafe = false) {
     let binary = '';
     const bytes = new Uint8Array(buffer);
     const len = bytes.byteLength;
     for (let i = 0; i < len; i++) {
       binary += String.fromCharCode(bytes[i]);
     }
-    return window.btoa(binary);
+    const base64 = window.btoa(binary);
+    if (!urlSafe) return base64;
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
   }
 
-  async encode(data) {
+  /**
+   * Encode item data for a URL hash.
+   * @param {Object} data - Item data (filtered before encoding).
+   * @param {Object} [options]
+   * @param {string} [options.password] - Encrypt the data with this password (see Lost.encrypt).
+   * @param {boolean} [options.sign=true] - Sign the hash if a signingKey is configured.
+   * @returns {Promise<string|null>} Hash, or null if encoding failed.
+   */
+  async encode(data, options = {}) {
     try {
       const filteredData = this.filter(data);
-      const json = JSON.stringify(filteredData);
-      let base64;
+      const packed = this.dictionary && this.dictionary.length > 0;
+      const json = JSON.stringify(packed ? Lost.pack(filteredData, this.dictionary) : filteredData);
+      let bytes;
       
       if(this.compressionMethod === 'none'){
-        base64 = btoa(unescape(encodeURIComponent(json)));
+        bytes = new TextEncoder().encode(json);
       }
       else {
-        const compressed = await Lost.compress(json, this.compressionMethod);
-        base64 = Lost.arrayBufferToBase64(compressed);
+        bytes = new Uint8Array(await Lost.compress(json, this.compressionMethod));
+      }
+
+      // Prepend prefix to mark compressed data
+      const prefixes = this.urlSafe ? URL_SAFE_PREFIXES : HASH_PREFIXES;
+      let body = prefixes[this.compressionMethod] + Lost.arrayBufferToBase64(bytes, this.urlSafe);
+      if (options.password) {
+        // The compression prefix is encrypted along with the data
+        const prefix = HASH_PREFIXES[this.compressionMethod];
+        const plain = new Uint8Array(bytes.length + 1);
+        plain[0] = prefix ? prefix.charCodeAt(0) : 0;
+        plain.set(bytes, 1);
+        body = '@' + Lost.arrayBufferToBase64(await Lost.encrypt(plain, options.password), this.urlSafe);
       }
 
-      let prefix = '';
-      if (this.compressionMethod == 'gzip') prefix = '$';
-      if (this.compressionMethod == 'deflate') prefix = '!';
+      // Versioned apps mark the schema version so old links can be migrated
+      const version = this.version > 1 ? this.version + '~' : '';
+      // Packed data names the dictionary it needs
+      const dictionary = packed ? `:${Lost.fingerprint(this.dictionary)}:` : '';
 
-      return prefix + base64; // Prepend prefix to mark compressed data
+      const hash = version + dictionary + body;
+      if (this.signingKey && options.sign !== false) return this.sign(hash);
+      return hash;
     } catch (e) {
       console.error('Failed to encode data:', e);
       return null;
     }
   }
 
-  async decode(base64) {
+  /**
+   * Decode a URL hash into item data, migrating and validating it.
+   * Standard and URL-safe hashes are both accepted, and damaged ones are repaired (see normalizeHash).
+   * @param {string} hash - Hash created by encode.
+   * @param {Object} [options]
+   * @param {string} [options.password] - Password for encrypted hashes.
+   * @returns {Promise<Object|null>} Item data, or null if invalid (or the password is missing or wrong).
+   */
+  async decode(hash, options = {}) {
     try {
-      let json;
-      // Check if data is compressed (starts with '$')
-      if (base64.startsWith('$') || base64.startsWith('!')) {
-        // Compressed format
-        const method = base64.startsWith('$') ? 'gzip' : 'deflate';
-        const compressedBase64 = base64.slice(1); // Remove '$' prefix
-        const binaryString = atob(compressedBase64);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        json = await Lost.decompress(bytes, method);
-      } else {
-        // Legacy uncompressed format support (if needed)
-        json = decodeURIComponent(escape(atob(base64)));
-      }
-      
-      const data = JSON.parse(json);
-      if (!this.validator(data)) return null;
-      return data;
+      return await this.decodeHash(hash, options);
     } catch (e) {
       console.error('Failed to decode data:', e);
       return null;
     }
   }
 
-  // ----- Persistence -----
   /**
-   * Loads data from localStorage and initializes state.
-   * If no data exists, creates a default item.
-   * Triggers 'update' event.
+   * Decode like decode(), but throw on damaged data instead of returning null.
+   * An encrypted hash that does not decrypt (wrong password or altered data) throws an
+   * Error named 'PasswordError'.
+   * @param {string} hash - Hash created by encode.
+   * @param {Object} [options]
+   * @param {string} [options.password] - Password for encrypted hashes.
+   * @returns {Promise<Object|null>} Item data, or null if the validator rejects it or the password is missing.
    */
-  load() {
-    try {
-
-      const raw = localStorage.getItem(this.storageKey);
-      if (!raw) {
-        // Initialize first item
-        const id = Lost.generateId();
-        this.items = {
-            [id]: { id, ...this.defaultData }
-        };
-        this.currentId = id;
-        this.save();
-        this.initUrlHandling();
-        this.notify();
-        return;
-      }
-      
-      this.items = JSON.parse(raw);
-
-      // Load current ID
-      let currentId = this.getQueryKey();
-      if (!currentId) {
-        currentId = localStorage.getItem(this.currentKey);
+  async decodeHash(hash, options = {}) {
+    // The signature is checked separately (see verifySignature)
+    const { version, body: versionBody } = Lost.splitVersion(Lost.splitSignature(Lost.normalizeHash(hash)).payload);
+    const { fingerprint, body } = Lost.splitDictionary(versionBody);
+    let method, bytes;
+    if (body.startsWith('@')) {
+      if (!options.password) return null;
+      let plain;
+      try {
+        plain = new Uint8Array(await Lost.decrypt(Lost.base64ToBytes(body.slice(1)), options.password));
+      } catch (e) {
+        const error = new Error('The password is wrong or the data was altered');
+        error.name = 'PasswordError';
+        throw error;
       }
+      method = plain[0] ? Lost.splitMethod(String.fromCharCode(plain[0])).method : 'none';
+      bytes = plain.subarray(1);
+    } else {
+      const { method: prefixMethod, data } = Lost.splitMethod(body);
+      method = prefixMethod;
+      bytes = Lost.base64ToBytes(data);
+    }
+    const json = method === 'none' ? new TextDecoder().decode(bytes) : await Lost.decompress(bytes, method);
 
-      if (currentId && this.items[currentId]) {
-        this.currentId = currentId;
-      } else {
-        // Pick first
-        const ids = Object.keys(this.items);
-        this.currentId = ids.length > 0 ? ids[0] : null;
-        if (!this.currentId) {
-            const id = Lost.generateId();
-            this.items[id] = { id, ...this.defaultData };
-            this.currentId = id;
-        }
-      }
-    } catch (e) {
-      console.error('Error loading state:', e);
-      const id = Lost.generateId();
-      this.items = { [id]: { id, ...this.defaultData } };
-      this.currentId = id;
+    let parsed = JSON.parse(json);
+    if (fingerprint) {
+      const dictionary = this.getDictionary(fingerprint);
+      if (!dictionary) throw new Error('Hash was packed with an unknown dictionary');
+      parsed = Lost.unpack(parsed, dictionary);
     }
 
-    this.initUrlHandling();
-    this.notify();
+    const data = this.migrate(parsed, version || 1);
+    if (!this.validator(data)) return null;
+    return data;
   }
 
+  // ----- Dictionary Packing -----
+  // Packed data replaces dictionary strings (object keys and string values) with '~' plus
+  // their index in base36. Strings that really start with '~' get a second '~'.
+
   /**
-   * Saves current state to localStorage.
+   * Collect the keys and string values of data, in order of appearance.
+   * @param {*} data - E.g. the app's defaultData.
+   * @returns {string[]} Dictionary entries.
    */
-  save() {
-    localStorage.setItem(this.storageKey, JSON.stringify(this.items));
-    localStorage.setItem(this.currentKey, this.currentId);
+  static buildDictionary(data) {
+    const entries = new Set(['title']);
+    const visit = (value) => {
+      if (typeof value === 'string') entries.add(value);
+      else if (Array.isArray(value)) value.forEach(visit);
+      else if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+          entries.add(key);
+          visit(value[key]);
+        }
+      }
+    };
+    visit(data);
+    return Array.from(entries).filter(entry => entry.length > 2);
   }
 
   /**
-   * Dispatches 'update' event with current item data.
-   * Also updates the URL hash if applicable.
+   * Short fingerprint of a dictionary (FNV-1a), so a decoder can tell which entries a hash used.
+   * @param {string[]} dictionary
+   * @returns {string} Base36 fingerprint.
    */
-  notify() {
-    this.dispatchEvent(new CustomEvent('update', { detail: this.getCurrent() }));
-    // Trigger URL update asynchronously to avoid blocking
-    if (this.currentHash !== undefined) {
-      this.updateURL();
-    }
+  static fingerprint(dictionary) {
+    return Lost.prefixFingerprints(dictionary).pop() || '0';
   }
 
-  // ----- CRUD -----
   /**
-   * Returns map of all items.
-   * @returns {Object} Map of ID to item data.
+   * Fingerprints of every prefix of a dictionary: result[n - 1] is the one of its first n entries.
+   * @param {string[]} dictionary
+   * @returns {string[]}
    */
-  getAll() {
-    return this.items;
+  static prefixFingerprints(dictionary) {
+    let hash = 0x811c9dc5;
+    return dictionary.map(entry => {
+      for (let i = 0; i <= entry.length; i++) {
+        // The entry ends with a 0 so ['ab', 'c'] and ['a', 'bc'] differ
+        hash ^= i < entry.length ? entry.charCodeAt(i) : 0;
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(36);
+    });
   }
 
   /**
-   * Get an item by ID.
-   * @param {string} id - Item ID.
-   * @returns {Object|null} Item data or null.
+   * Split the dictionary marker (':<fingerprint>:') off a hash body.
+   * @param {string} body - Hash without version header.
+   * @returns {{fingerprint: string|null, body: string}}
    */
-  getItem(id) {
-    return this.items[id] || null;
+  static splitDictionary(body) {
+    const match = /^:([0-9a-z]+):/.exec(body);
+    if (!match) return { fingerprint: null, body };
+    return { fingerprint: match[1], body: body.slice(match[0].length) };
   }
 
   /**
-   * Get the currently active item.
-   * @returns {Object|null} Current item data.
+   * Replace dictionary strings with short tokens.
+   * @param {*} data - JSON data.
+   * @param {string[]} dictionary
+   * @returns {*} Packed copy.
    */
-  getCurrent() {
-    return this.items[this.currentId] || null;
+  static pack(data, dictionary) {
+    const tokens = new Map();
+    dictionary.forEach((entry, i) => {
+      const token = '~' + i.toString(36);
+      if (token.length < entry.length && !tokens.has(entry)) tokens.set(entry, token);
+    });
+    const packString = (value) => {
+      if (tokens.has(value)) return tokens.get(value);
+      return value.startsWith('~') ? '~' + value : value;
+    };
+    const visit = (value) => {
+      if (typeof value === 'string') return packString(value);
+      if (Array.isArray(value)) return value.map(visit);
+      if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value)) result[packString(key)] = visit(value[key]);
+        return result;
+      }
+      return value;
+    };
+    return visit(data);
   }
 
   /**
-   * Set the current active item by ID.
-   * Saves state and triggers update.
-   * @param {string} id - Item ID to activate.
+   * Reverse Lost.pack.
+   * @param {*} data - Packed data.
+   * @param {string[]} dictionary - The dictionary (or a longer, appended version of it).
+   * @returns {*} Original data.
    */
-  setCurrent(id) {
-    if (this.items[id] && id !== this.currentId) {
-      this.currentId = id;
+  static unpack(data, dictionary) {
+    const unpackString = (value) => {
+      if (!value.startsWith('~')) return value;
+      if (value.startsWith('~~')) return value.slice(1);
+      const entry = dictionary[parseInt(value.slice(1), 36)];
+      if (entry === undefined) throw new Error(`Unknown dictionary token: ${value}`);
+      return entry;
+    };
+    const visit = (value) => {
+      if (typeof value === 'string') return unpackString(value);
+      if (Array.isArray(value)) return value.map(visit);
+      if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value)) result[unpackString(key)] = visit(value[key]);
+        return result;
+      }
+      return value;
+    };
+    return visit(data);
+  }
+
+  /**
+   * Find the dictionary a packed hash was made with. Hashes made before entries were
+   * appended name a shorter dictionary, so every prefix of the current one is known.
+   * @param {string} fingerprint - From the hash.
+   * @returns {string[]|null} Dictionary entries, or null if unknown.
+   */
+  getDictionary(fingerprint) {
+    if (!this.dictionary) return null;
+    if (!this.dictionaryIndex) {
+      this.dictionaryIndex = new Map();
+      Lost.prefixFingerprints(this.dictionary).forEach((fingerprint, i) => {
+        this.dictionaryIndex.set(fingerprint, i + 1);
+      });
+    }
+    const length = this.dictionaryIndex.get(fingerprint);
+    return length ? this.dictionary.slice(0, length) : null;
+  }
+
+  // ----- Encryption -----
+  /**
+   * Whether a hash is password protected.
+   * @param {string} hash - Encoded hash.
+   * @returns {boolean}
+   */
+  static isEncrypted(hash) {
+    if (typeof hash !== 'string') return false;
+    const { body } = Lost.splitVersion(Lost.normalizeHash(hash));
+    return Lost.splitDictionary(body).body.startsWith('@');
+  }
+
+  /**
+   * Derive an AES-GCM key from a password with PBKDF2 (SHA-256).
+   * @param {string} password
+   * @param {Uint8Array} salt
+   * @returns {Promise<CryptoKey>}
+   */
+  static async deriveKey(password, salt) {
+    const material = await window.crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt bytes with a password (AES-GCM, key derived with PBKDF2).
+   * @param {Uint8Array} bytes - Plain data.
+   * @param {string} password
+   * @returns {Promise<Uint8Array>} Random salt (16 bytes), IV (12 bytes) and ciphertext.
+   */
+  static async encrypt(bytes, password) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await Lost.deriveKey(password, salt);
+    const cipher = new Uint8Array(await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+
+    const result = new Uint8Array(salt.length + iv.length + cipher.length);
+    result.set(salt, 0);
+    result.set(iv, salt.length);
+    result.set(cipher, salt.length + iv.length);
+    return result;
+  }
+
+  /**
+   * Decrypt the output of Lost.encrypt.
+   * @param {Uint8Array} bytes - Salt, IV and ciphertext.
+   * @param {string} password
+   * @returns {Promise<ArrayBuffer>} Plain data. Rejects if the password is wrong or the data was altered.
+   */
+  static async decrypt(bytes, password) {
+    const salt = bytes.subarray(0, 16);
+    const iv = bytes.subarray(16, 28);
+    const key = await Lost.deriveKey(password, salt);
+    return window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(28));
+  }
+
+  /**
+   * Decode a shared hash, asking for the password if it is encrypted.
+   * Asks again after a wrong password until the user cancels. If the link decrypts but
+   * its content is invalid, tells the user instead of asking again.
+   * @param {string} hash - Encoded hash.
+   * @param {Object} [options]
+   * @param {string} [options.password] - Password to try first.
+   * @returns {Promise<Object|null>} Item data, or null if invalid or cancelled.
+   */
+  async decodeShared(hash, { password } = {}) {
+    if (!Lost.isEncrypted(hash)) return this.decode(hash);
+
+    let message = 'This link is password protected. Enter the password to open it.';
+    for (;;) {
+      if (!password) {
+        if (typeof this.prompter.password !== 'function') return null;
+        password = await this.prompter.password(message, { title: 'Password required' });
+        if (!password) return null;
+      }
+      let data = null;
+      try {
+        data = await this.decodeHash(hash, { password });
+      } catch (e) {
+        if (e.name === 'PasswordError') {
+          password = null;
+          message = 'Wrong password. Try again.';
+          continue;
+        }
+        console.error('Failed to decode data:', e);
+      }
+      if (!data) {
+        await this.prompter.alert('The password is right, but the link does not contain valid data for this app.', { title: 'Invalid link' });
+      }
+      return data;
+    }
+  }
+
+  // ----- Signing -----
+  // Signed hashes end in '.<keyId>.<signature>': an ECDSA (P-256, SHA-256) signature
+  // over everything before it. Neither base64 nor the hash prefixes contain '.', so the
+  // suffix is unambiguous.
+
+  /**
+   * Split the signature suffix off a hash.
+   * @param {string} hash - Encoded hash.
+   * @returns {{payload: string, keyId: string|null, signature: string|null}}
+   */
+  static splitSignature(hash) {
+    const match = /\.([A-Za-z0-9_-]+)\.([A-Za-z0-9+/_-]+=*)$/.exec(hash);
+    if (!match) return { payload: hash, keyId: null, signature: null };
+    return { payload: hash.slice(0, match.index), keyId: match[1], signature: match[2] };
+  }
+
+  /**
+   * Whether a hash has anything besides compressed data (version, dictionary, encryption or
+   * signature), so it has to be stored as text rather than as the raw compressed bytes.
+   * @param {string} hash - Encoded hash.
+   * @returns {boolean}
+   */
+  static hasHashHeader(hash) {
+    if (typeof hash !== 'string') return false;
+    const { version, body } = Lost.splitVersion(Lost.normalizeHash(hash));
+    return version !== null || Lost.splitDictionary(body).fingerprint !== null
+      || Lost.isEncrypted(hash) || Lost.isSigned(hash);
+  }
+
+  /**
+   * Whether a hash carries a signature (valid or not).
+   * @param {string} hash - Encoded hash.
+   * @returns {boolean}
+   */
+  static isSigned(hash) {
+    return typeof hash === 'string' && Lost.splitSignature(Lost.normalizeHash(hash)).signature !== null;
+  }
+
+  /**
+   * Create an ECDSA P-256 key pair for signing links.
+   * Keep the private key with the publisher; give the public key to apps as a trusted key.
+   * @returns {Promise<{privateKey: Object, publicKey: Object}>} Keys as JWK.
+   */
+  static async generateSigningKeys() {
+    const pair = await window.crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    return {
+      privateKey: await window.crypto.subtle.exportKey('jwk', pair.privateKey),
+      publicKey: await window.crypto.subtle.exportKey('jwk', pair.publicKey)
+    };
+  }
+
+  /**
+   * Turn a JWK into a CryptoKey (cached), or return a CryptoKey as is.
+   * @param {Object|CryptoKey} key
+   * @param {string} usage - 'sign' or 'verify'.
+   * @returns {Promise<CryptoKey>}
+   */
+  async importSigningKey(key, usage) {
+    if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) return key;
+    if (!this.cryptoKeys.has(key)) {
+      const { key_ops, ...jwk } = key;
+      this.cryptoKeys.set(key, await window.crypto.subtle.importKey(
+        'jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, [usage]
+      ));
+    }
+    return this.cryptoKeys.get(key);
+  }
+
+  /**
+   * Append a signature made with the configured signingKey.
+   * @param {string} hash - Encoded hash (without signature).
+   * @returns {Promise<string>} Signed hash.
+   */
+  async sign(hash) {
+    if (!/^[A-Za-z0-9_-]+$/.test(this.signingKeyId)) {
+      throw new Error('signingKeyId may only contain letters, digits, "-" and "_"');
+    }
+    const key = await this.importSigningKey(this.signingKey, 'sign');
+    const signature = await window.crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' }, key, new TextEncoder().encode(hash)
+    );
+    return `${hash}.${this.signingKeyId}.${Lost.arrayBufferToBase64(signature, this.urlSafe)}`;
+  }
+
+  /**
+   * Check who signed a hash.
+   * @param {string} hash - Encoded hash.
+   * @returns {Promise<{status: 'signed'|'unsigned'|'invalid', keyId: string|null}>}
+   *   'signed' if a trusted key verifies it, 'invalid' if the signature does not verify
+   *   (altered data, or a key that is not trusted).
+   */
+  async verifySignature(hash) {
+    const { payload, keyId, signature } = Lost.splitSignature(Lost.normalizeHash(hash));
+    if (!signature) return { status: 'unsigned', keyId: null };
+
+    const trusted = Object.prototype.hasOwnProperty.call(this.trustedKeys, keyId) ? this.trustedKeys[keyId] : null;
+    if (!trusted) return { status: 'invalid', keyId };
+    try {
+      const key = await this.importSigningKey(trusted, 'verify');
+      const valid = await window.crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' }, key, Lost.base64ToBytes(signature), new TextEncoder().encode(payload)
+      );
+      return { status: valid ? 'signed' : 'invalid', keyId };
+    } catch (e) {
+      console.error('Failed to verify signature:', e);
+      return { status: 'invalid', keyId };
+    }
+  }
+
+  /**
+   * Badge describing the signature of an import, for the confirmation dialog.
+   * @param {Object} result - Import result with signature and keyId.
+   * @returns {{text: string, type: string}|null} Null for unsigned links in apps without trusted keys.
+   */
+  getSignatureBadge(result) {
+    if (!result || !result.signature) return null;
+    if (result.signature === 'signed') return { text: `Signed by ${result.keyId}`, type: 'signed' };
+    if (result.signature === 'invalid') return { text: 'Invalid signature', type: 'invalid' };
+    if (Object.keys(this.trustedKeys).length === 0) return null;
+    return { text: 'Unsigned', type: 'unsigned' };
+  }
+
+  // ----- Item Metadata -----
+  // Items carry { createdAt, updatedAt, edits } under metaKey. The default '_meta' is local-only
+  // like every '_' field: it stays out of links, QR codes and bundles (backups keep it). A metaKey
+  // without '_' shares it, so imports can tell which copy is newer. It is no content either way:
+  // comparisons and merges ignore it. Only changes of shared fields count as edits.
+
+  /**
+   * Creation time encoded in an ID made by generateId.
+   * @param {string} id
+   * @returns {number|null}
+   */
+  static idTime(id) {
+    const match = /^item_(\d+)_/.exec(id || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Shared content of an item without its metadata.
+   * @param {Object} item
+   * @returns {Object}
+   */
+  getContent(item) {
+    const shared = this.filter(item || {});
+    if (!this.metaKey || !shared || !(this.metaKey in shared)) return shared;
+    const { [this.metaKey]: meta, ...content } = shared;
+    return content;
+  }
+
+  /**
+   * Metadata of an item. Items stored before metadata existed report the time from their ID.
+   * @param {string|Object} item - Item or item ID.
+   * @returns {{createdAt: number|null, updatedAt: number|null, edits: number}} edits counts the
+   *   changes of shared fields since the item was created.
+   */
+  getMeta(item) {
+    if (typeof item === 'string') item = this.items[item];
+    const meta = (this.metaKey && item && item[this.metaKey]) || {};
+    const createdAt = meta.createdAt || Lost.idTime(item && item.id);
+    return { createdAt, updatedAt: meta.updatedAt || createdAt, edits: meta.edits || 0 };
+  }
+
+  /**
+   * Add or advance the metadata of an item that is being written.
+   * New items keep metadata they bring along (e.g. imports); edits of shared fields get a
+   * new updatedAt and count one more edit.
+   * @param {Object|null} previous - Stored version (null for new items).
+   * @param {Object} next - Version about to be stored.
+   * @returns {Object} next with metadata.
+   */
+  stampMeta(previous, next) {
+    if (!this.metaKey) return next;
+    const now = Date.now();
+    if (!previous) {
+      if (next[this.metaKey]) return next;
+      return { ...next, [this.metaKey]: { createdAt: now, updatedAt: now, edits: 0 } };
+    }
+    if (Lost.deepEqual(this.getContent(previous), this.getContent(next))) {
+      return previous[this.metaKey] ? { ...next, [this.metaKey]: previous[this.metaKey] } : next;
+    }
+    const before = this.getMeta(previous);
+    const incoming = next[this.metaKey] ? next[this.metaKey].edits || 0 : 0;
+    return {
+      ...next,
+      [this.metaKey]: { createdAt: before.createdAt || now, updatedAt: now, edits: Math.max(before.edits, incoming) + 1 }
+    };
+  }
+
+  /**
+   * Tell which of two versions of an item was edited more recently.
+   * @param {Object} local - Version stored here.
+   * @param {Object} remote - Incoming version.
+   * @returns {string|null} 'local', 'remote', or null if unknown or equal.
+   */
+  compareMeta(local, remote) {
+    if (!this.metaKey || !local[this.metaKey] || !remote[this.metaKey]) return null;
+    const mine = this.getMeta(local);
+    const theirs = this.getMeta(remote);
+    if (mine.updatedAt !== theirs.updatedAt) return mine.updatedAt > theirs.updatedAt ? 'local' : 'remote';
+    if (mine.edits !== theirs.edits) return mine.edits > theirs.edits ? 'local' : 'remote';
+    return null;
+  }
+
+  // ----- Versioning -----
+  /**
+   * Upgrade item data from an older schema version to the current one.
+   * Runs migrations[v] for every version v after fromVersion, in order.
+   * @param {Object} data - Item data.
+   * @param {number} [fromVersion=1] - Schema version of data.
+   * @returns {Object} Migrated copy of data (or data itself if already current).
+   */
+  migrate(data, fromVersion = 1) {
+    if (!data || typeof data !== 'object' || fromVersion >= this.version) return data;
+
+    let result = Lost.clone(data);
+    for (let v = fromVersion + 1; v <= this.version; v++) {
+      const step = this.migrations[v];
+      if (typeof step === 'function') {
+        const next = step(result, v);
+        if (next !== undefined) result = next;
+      }
+    }
+    if (data.id && !result.id) result.id = data.id;
+    return result;
+  }
+
+  // ----- Persistence -----
+  /**
+   * Loads data from the storage adapter and initializes state.
+   * If no data exists, creates a default item.
+   * Triggers 'update' event.
+   * With a synchronous adapter the state is ready when this returns;
+   * with an asynchronous one, await the returned Promise.
+   * @returns {Promise<void>}
+   */
+  load() {
+    const toStored = ([items, currentId, version, history, trash, revisions]) => ({ items, currentId, version, history, trash, revisions });
+    let reads;
+    try {
+      reads = [
+        this.readStoredItems(),
+        this.storage.get(this.currentKey),
+        this.storage.get(this.versionKey),
+        this.persistHistory ? this.storage.get(this.historyKey) : null,
+        this.readStoredMap(this.trashKey),
+        this.sync ? this.readStoredMap(this.revisionsKey) : null
+      ];
+    } catch (e) {
+      this.hydrate({}, e);
+      return Promise.resolve();
+    }
+
+    if (reads.some(Lost.isThenable)) {
+      return Promise.all(reads).then(
+        (values) => this.hydrate(toStored(values)),
+        (e) => this.hydrate({}, e)
+      );
+    }
+
+    this.hydrate(toStored(reads));
+    return Promise.resolve();
+  }
+
+  /**
+   * Read the items map from storage, either from item records or the serialized blob.
+   * @returns {Object|null|Promise<Object|null>} Items map, or null if nothing is stored.
+   */
+  readStoredItems() {
+    const readBlob = () => Lost.when(this.storage.get(this.storageKey), raw => raw ? JSON.parse(raw) : null);
+
+    if (!Lost.hasItemRecords(this.storage)) return readBlob();
+
+    return Lost.when(this.storage.readItems(this.storageKey), (records) => {
+      if (records && Object.keys(records).length > 0) return records;
+      // Nothing stored as records yet: pick up a blob saved by this adapter earlier
+      return Lost.when(readBlob(), (items) => {
+        if (items) Object.keys(items).forEach(id => this.dirtyIds.add(id));
+        return items;
+      });
+    });
+  }
+
+  /**
+   * Read the trash or the revisions: records with record-based adapters, a serialized blob otherwise.
+   * @param {string} key - Storage key, also the record collection.
+   * @returns {Object|string|null|Promise<Object|string|null>} Map of records, the serialized blob
+   *   (also when a record-based adapter has no records yet), or null if nothing is stored.
+   */
+  readStoredMap(key) {
+    if (!Lost.hasItemRecords(this.storage)) return this.storage.get(key);
+    return Lost.when(this.storage.readItems(key), (records) => {
+      if (records && Object.keys(records).length > 0) return records;
+      return this.storage.get(key);
+    });
+  }
+
+  /**
+   * Write the trash or the revisions (see readStoredMap).
+   * @param {string} key - Storage key, also the record collection.
+   * @param {Object} map - The whole map.
+   * @param {{changed: Object, removed: string[]}} delta - Entries changed since the last write.
+   * @returns {*} Result of the adapter call.
+   */
+  writeStoredMap(key, map, { changed, removed }) {
+    if (!Lost.hasItemRecords(this.storage)) return this.storage.set(key, JSON.stringify(map));
+    if (Object.keys(changed).length === 0 && removed.length === 0) return undefined;
+    return this.storage.writeItems(key, changed, removed);
+  }
+
+  /**
+   * Find the entries of a map that differ from an earlier copy of it.
+   * Entries are compared by reference.
+   * @param {Object} map - Current map.
+   * @param {Object} stored - Earlier shallow copy.
+   * @returns {{changed: Object, removed: string[]}}
+   */
+  static diffEntries(map, stored) {
+    const changed = {};
+    Object.keys(map).forEach(id => { if (map[id] !== stored[id]) changed[id] = map[id]; });
+    return { changed, removed: Object.keys(stored).filter(id => !map[id]) };
+  }
+
+  /**
+   * Apply state read from storage.
+   * @param {Object} stored - Values read from storage.
+   * @param {Object|null} stored.items - Items map.
+   * @param {string|null} stored.currentId - Current item ID.
+   * @param {string|number|null} stored.version - Schema version.
+   * @param {string|null} stored.history - Serialized undo history.
+   * @param {string|Object|null} stored.trash - Trash, serialized or as records.
+   * @param {string|Object|null} stored.revisions - Item revisions, serialized or as records.
+   * @param {Error} [error] - Error raised while reading, if any.
+   */
+  hydrate({ items, currentId: storedCurrentId, version: storedVersion, history, trash, revisions }, error = null) {
+    try {
+      if (error) throw error;
+      // A blob read by a record-based adapter is written as records by the next save
+      const fromBlob = (value) => typeof value === 'string' && Lost.hasItemRecords(this.storage);
+      if (revisions) {
+        this.revisions = (typeof revisions === 'string' ? JSON.parse(revisions) : revisions) || {};
+        if (fromBlob(revisions)) this.revisionsChanged = true;
+        else this.storedRevisions = { ...this.revisions };
+      }
+
+      if (!items) {
+        // Initialize first item
+        const id = Lost.generateId();
+        this.items = {
+            [id]: this.stampMeta(null, { id, ...this.defaultData })
+        };
+        this.currentId = id;
+        this.markDirty(id);
+        this.save();
+      } else {
+        this.items = items;
+        this.storedVersion = Number(storedVersion) || 1;
+        this.migrateStoredItems(this.storedVersion);
+        if (history) this.loadHistory(history);
+        if (trash) {
+          this.loadTrash(trash);
+          if (fromBlob(trash)) this.trashChanged = true;
+          else this.storedTrash = { ...this.trash };
+        }
+
+        // Load current ID
+        const currentId = this.getQueryKey() || storedCurrentId;
+
+        if (currentId && this.items[currentId]) {
+          this.currentId = currentId;
+        } else {
+          // Pick first
+          const ids = Object.keys(this.items);
+          this.currentId = ids.length > 0 ? ids[0] : null;
+          if (!this.currentId) {
+              const id = Lost.generateId();
+              this.items[id] = this.stampMeta(null, { id, ...this.defaultData });
+              this.currentId = id;
+              this.markDirty(id);
+          }
+        }
+        // Persist anything that still needs writing (e.g. a migrated blob)
+        if (this.dirtyIds.size > 0 || this.trashChanged || this.revisionsChanged) this.save();
+      }
+    } catch (e) {
+      console.error('Error loading state:', e);
+      const id = Lost.generateId();
+      this.items = { [id]: { id, ...this.defaultData } };
+      this.currentId = id;
+    }
+
+    this.initUrlHandling();
+    this.initSync();
+    this.notify();
+  }
+
+  /**
+   * Migrate all loaded items from the stored schema version.
+   * An item whose migration fails is kept as it was.
+   * @param {number} fromVersion - Schema version of the stored items.
+   */
+  migrateStoredItems(fromVersion) {
+    if (fromVersion >= this.version) return;
+    for (const id of Object.keys(this.items)) {
+      try {
+        this.items[id] = this.migrate(this.items[id], fromVersion);
+        this.markDirty(id);
+      } catch (e) {
+        console.error(`Failed to migrate item ${id}:`, e);
+      }
+    }
+  }
+
+  /**
+   * Flag an item as changed so the next save writes it.
+   * @param {string} id - Item ID.
+   * @param {boolean} [removed=false] - Whether the item was deleted.
+   */
+  markDirty(id, removed = false) {
+    if (removed) {
+      this.dirtyIds.delete(id);
+      this.removedIds.add(id);
+    } else {
+      this.removedIds.delete(id);
+      this.dirtyIds.add(id);
+    }
+    if (this.sync) this.stampRevision(id, removed);
+  }
+
+  /**
+   * Saves current state through the storage adapter.
+   * Record-based adapters only receive items changed since the last save.
+   * When a write fails, what it held stays flagged and the next save writes it again.
+   * @returns {Promise<void>|undefined} Promise when the adapter is asynchronous.
+   */
+  save() {
+    if (this.batchState) {
+      this.batchState.save = true;
+      return;
+    }
+
+    const changedIds = Array.from(this.dirtyIds);
+    const removedIds = Array.from(this.removedIds);
+    const trashChanged = this.trashChanged;
+    const historyChanged = this.persistHistory && this.historyChanged;
+    const revisionsChanged = this.sync && this.revisionsChanged;
+    const versionChanged = this.storedVersion !== this.version;
+    const { storedTrash, storedRevisions } = this;
+    const trashDelta = trashChanged ? Lost.diffEntries(this.trash, storedTrash) : null;
+    const revisionsDelta = revisionsChanged ? Lost.diffEntries(this.revisions, storedRevisions) : null;
+    // Flag everything again after a failed write so the next save retries it
+    const retry = () => {
+      changedIds.forEach(id => { if (!this.removedIds.has(id)) this.dirtyIds.add(id); });
+      removedIds.forEach(id => { if (!this.dirtyIds.has(id)) this.removedIds.add(id); });
+      if (trashChanged) {
+        this.trashChanged = true;
+        this.storedTrash = storedTrash;
+      }
+      if (historyChanged) this.historyChanged = true;
+      if (revisionsChanged) {
+        this.revisionsChanged = true;
+        this.storedRevisions = storedRevisions;
+      }
+      if (versionChanged) this.storedVersion = null;
+    };
+
+    // Nothing is cleared before the writes start: a synchronous error (e.g. a full
+    // localStorage) leaves everything flagged for the next save
+    const writes = [];
+    if (Lost.hasItemRecords(this.storage)) {
+      const changed = {};
+      for (const id of changedIds) {
+        // Snapshot now: asynchronous adapters write after later edits may have happened
+        if (this.items[id]) changed[id] = Lost.clone(this.items[id]);
+      }
+      if (Object.keys(changed).length > 0 || removedIds.length > 0) {
+        writes.push(this.storage.writeItems(this.storageKey, changed, removedIds));
+      }
+    } else {
+      writes.push(this.storage.set(this.storageKey, JSON.stringify(this.items)));
+    }
+    writes.push(this.storage.set(this.currentKey, this.currentId));
+    if (versionChanged) writes.push(this.storage.set(this.versionKey, String(this.version)));
+    if (trashChanged) writes.push(this.writeStoredMap(this.trashKey, this.trash, trashDelta));
+    if (historyChanged) writes.push(this.storage.set(this.historyKey, JSON.stringify(this.history)));
+    if (revisionsChanged) writes.push(this.writeStoredMap(this.revisionsKey, this.revisions, revisionsDelta));
+
+    // Cleared before asynchronous writes finish, so that edits made meanwhile are flagged anew
+    this.dirtyIds.clear();
+    this.removedIds.clear();
+    this.storedVersion = this.version;
+    this.trashChanged = false;
+    if (trashChanged) this.storedTrash = { ...this.trash };
+    if (historyChanged) this.historyChanged = false;
+    if (revisionsChanged) {
+      this.revisionsChanged = false;
+      this.storedRevisions = { ...this.revisions };
+    }
+
+    if (changedIds.length > 0 || removedIds.length > 0 || trashChanged) {
+      this.broadcast(changedIds, revisionsDelta, trashDelta);
+    }
+
+    if (writes.some(Lost.isThenable)) {
+      return Promise.all(writes).then(() => {}, (e) => {
+        retry();
+        console.error('Failed to save state:', e);
+      });
+    }
+  }
+
+  /**
+   * Dispatches 'update' event with current item data,
+   * preceded by 'currentchanged' if another item became current.
+   * Also updates the URL hash if applicable.
+   */
+  notify() {
+    if (this.batchState) {
+      this.batchState.notify = true;
+      return;
+    }
+    const switched = this.currentId !== this.notifiedCurrentId;
+    if (switched) {
+      const previousId = this.notifiedCurrentId;
+      this.notifiedCurrentId = this.currentId;
+      this.dispatchEvent(new CustomEvent('currentchanged', {
+        detail: { id: this.currentId, previousId, item: this.getCurrent() }
+      }));
+      this.scheduleWatchers();
+    }
+    this.dispatchEvent(new CustomEvent('update', { detail: this.getCurrent() }));
+    // Trigger URL update asynchronously to avoid blocking (right away when switching items)
+    if (this.currentHash !== undefined) {
+      this.scheduleUrlUpdate(switched);
+    }
+  }
+
+  /**
+   * Dispatch the fine-grained event for a change of one item:
+   * 'itemcreated' ({ id, item }), 'itemdeleted' ({ id, item }) or
+   * 'itemupdated' ({ id, item, previous, changes }).
+   * @param {string} id - Item ID.
+   * @param {Object|null} previous - Item before the change (null if it did not exist).
+   * @param {Object|null} next - Item after the change (null if it was removed).
+   */
+  dispatchItemChange(id, previous, next) {
+    if (this.batchState) {
+      // Reported once per item when the batch ends, compared with the state before it
+      const { changes, snapshots } = this.batchState;
+      if (!changes.has(id)) changes.set(id, previous);
+      snapshots[snapshots.length - 1].ids.add(id);
+      return;
+    }
+    this.scheduleWatchers();
+    if (!previous && next) {
+      this.dispatchEvent(new CustomEvent('itemcreated', { detail: { id, item: next } }));
+    } else if (previous && !next) {
+      this.dispatchEvent(new CustomEvent('itemdeleted', { detail: { id, item: previous } }));
+    } else if (previous && next) {
+      // Metadata follows every edit; listeners only hear about the content
+      const meta = this.metaKey;
+      const changes = Lost.diff(previous, next).filter(change => !meta || (change.path !== meta && !change.path.startsWith(meta + '.')));
+      if (changes.length === 0) return;
+      this.dispatchEvent(new CustomEvent('itemupdated', { detail: { id, item: next, previous, changes } }));
+    }
+  }
+
+  // ----- Batches -----
+  /**
+   * Run several changes as one: saving, events and URL updates are deferred until fn returns,
+   * and every change is rolled back if it throws.
+   * fn must be synchronous: an open batch holds back every save and event of the instance,
+   * so it must not stay open across awaits. Do the async work first, then batch the changes.
+   * @param {Function} fn - function(lost) making the changes.
+   * @returns {*} Return value of fn.
+   * @throws {TypeError} If fn returns a Promise (its synchronous changes are rolled back).
+   */
+  batch(fn) {
+    const transaction = this.transaction();
+    let result;
+    try {
+      result = fn(this);
+    } catch (e) {
+      transaction.rollback();
+      throw e;
+    }
+
+    if (Lost.isThenable(result)) {
+      transaction.rollback();
+      result.then(null, () => {});
+      throw new TypeError('batch() needs a synchronous function');
+    }
+    transaction.commit();
+    return result;
+  }
+
+  /**
+   * Start a batch that is ended by hand. Nested transactions must be ended innermost first.
+   * Like batch(), end it before awaiting anything.
+   * @returns {{commit: Function, rollback: Function}} commit() saves and dispatches
+   *   everything deferred; rollback() restores the items changed in the transaction
+   *   (with their trash entries, history, revisions and conflicts) and keeps other changes.
+   */
+  transaction() {
+    if (!this.batchState) {
+      this.batchState = {
+        save: false, notify: false, url: false,
+        changes: new Map(), recorded: new Set(), events: [], snapshots: []
+      };
+    }
+    this.batchState.snapshots.push({
+      ids: new Set(),
+      items: Lost.clone(this.items),
+      currentId: this.currentId,
+      trash: Lost.clone(this.trash),
+      history: Lost.clone(this.history),
+      revisions: Lost.clone(this.revisions),
+      conflicts: Lost.clone(this.conflicts),
+      changes: new Set(this.batchState.changes.keys()),
+      recorded: new Set(this.batchState.recorded),
+      events: this.batchState.events.length
+    });
+
+    let open = true;
+    const end = (commit) => {
+      if (!open) return;
+      open = false;
+      this.endTransaction(commit);
+    };
+    return { commit: () => end(true), rollback: () => end(false) };
+  }
+
+  endTransaction(commit) {
+    const state = this.batchState;
+    const snapshot = state.snapshots.pop();
+    const parent = state.snapshots[state.snapshots.length - 1];
+
+    if (commit) {
+      if (parent) snapshot.ids.forEach(id => parent.ids.add(id));
+    } else {
+      // Only the items changed in this transaction go back; edits made meanwhile by others stay
+      ['items', 'trash', 'history', 'revisions', 'conflicts'].forEach(key => {
+        snapshot.ids.forEach(id => {
+          if (snapshot[key][id] !== undefined) this[key][id] = snapshot[key][id];
+          else delete this[key][id];
+        });
+      });
+      if (!this.items[this.currentId]) {
+        this.currentId = this.items[snapshot.currentId] ? snapshot.currentId : Object.keys(this.items)[0];
+      }
+      Array.from(state.changes.keys()).forEach(id => { if (!snapshot.changes.has(id)) state.changes.delete(id); });
+      state.recorded = snapshot.recorded;
+      state.events.length = snapshot.events;
+    }
+    if (state.snapshots.length > 0) return;
+
+    this.batchState = null;
+    if (!commit) return;
+
+    if (state.save) this.save();
+    state.changes.forEach((previous, id) => this.dispatchItemChange(id, previous, this.items[id] || null));
+    state.events.forEach(event => this.dispatchEvent(event));
+    if (state.notify) this.notify();
+    else if (state.url && this.currentHash !== undefined) this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Queue events while a batch is open; they are dispatched when it is committed.
+   */
+  dispatchEvent(event) {
+    if (this.batchState) {
+      this.batchState.events.push(event);
+      return true;
+    }
+    return super.dispatchEvent(event);
+  }
+
+  // ----- Watchers -----
+  /**
+   * Call back when the value at a key path changes.
+   * Changes made in the same tick are batched into one call per watcher.
+   * @param {string|Array} path - Key path on the item ('' for the whole item).
+   * @param {Function} callback - function(value, { id, previous }).
+   * @param {Object} [options]
+   * @param {string} [options.id] - Item to watch. Defaults to whichever item is current,
+   *   so switching items also triggers the callback when the value differs.
+   * @returns {Function} Unsubscribe function.
+   */
+  watch(path, callback, { id = null } = {}) {
+    const watcher = { path: Lost.parsePath(path), callback, id };
+    watcher.value = Lost.clone(this.readWatched(watcher));
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  readWatched(watcher) {
+    return Lost.getPath(this.items[watcher.id || this.currentId], watcher.path);
+  }
+
+  scheduleWatchers() {
+    if (this.watchFlushPending || this.watchers.size === 0) return;
+    this.watchFlushPending = true;
+    queueMicrotask(() => {
+      this.watchFlushPending = false;
+      this.flushWatchers();
+    });
+  }
+
+  /**
+   * Call every watcher whose value differs from the one it saw last.
+   */
+  flushWatchers() {
+    for (const watcher of Array.from(this.watchers)) {
+      if (!this.watchers.has(watcher)) continue; // Unsubscribed by an earlier callback
+      const value = this.readWatched(watcher);
+      if (Lost.deepEqual(value, watcher.value)) continue;
+
+      const previous = watcher.value;
+      watcher.value = Lost.clone(value);
+      try {
+        watcher.callback(value, { id: watcher.id || this.currentId, previous });
+      } catch (e) {
+        console.error('Watcher failed:', e);
+      }
+    }
+  }
+
+  // ----- CRUD -----
+  /**
+   * Returns map of all items.
+   * @returns {Object} Map of ID to item data.
+   */
+  getAll() {
+    return this.items;
+  }
+
+  /**
+   * Get an item by ID.
+   * @param {string} id - Item ID.
+   * @returns {Object|null} Item data or null.
+   */
+  getItem(id) {
+    return this.items[id] || null;
+  }
+
+  /**
+   * Get the currently active item.
+   * @returns {Object|null} Current item data.
+   */
+  getCurrent() {
+    return this.items[this.currentId] || null;
+  }
+
+  /**
+   * Set the current active item by ID.
+   * Saves state and triggers update.
+   * @param {string} id - Item ID to activate.
+   */
+  setCurrent(id) {
+    if (this.items[id] && id !== this.currentId) {
+      this.currentId = id;
       this.save();
       this.notify();
     }
@@ -295,7 +1861,14 @@ export class Lost extends EventTarget {
       delete data.id;
     }
 
-    this.items[id] = { id, ...data };
+    const previous = this.items[id] || null;
+    this.items[id] = this.stampMeta(null, { id, ...data });
+    this.markDirty(id);
+    if (this.trash[id]) {
+      delete this.trash[id];
+      this.trashChanged = true;
+    }
+    this.dispatchItemChange(id, previous, this.items[id]);
     this.setCurrent(id);
     return id;
   }
@@ -308,29 +1881,100 @@ export class Lost extends EventTarget {
    */
   update(id, data, notify = true) {
     if (this.items[id]) {
-      this.items[id] = { ...this.items[id], ...data };
-      this.save();
-      if (notify) this.notify();
-      else if (this.currentHash !== undefined) {
-        this.updateURL();
-      }
+      this.replaceItem(id, { ...this.items[id], ...data }, notify);
+    }
+  }
+
+  /**
+   * Apply a patch document to an item.
+   * An object is treated as a JSON Merge Patch (RFC 7396), an array as a JSON Patch (RFC 6902).
+   * The item is left unchanged if the patch cannot be applied.
+   * @param {string} id - Item ID.
+   * @param {Object|Array} doc - Merge patch or list of JSON Patch operations.
+   * @param {boolean} [notify=true] - Whether to trigger update event.
+   * @returns {boolean} True if the patch was applied.
+   */
+  patch(id, doc, notify = true) {
+    const item = this.items[id];
+    if (!item || !doc || typeof doc !== 'object') return false;
+
+    let next;
+    try {
+      next = Array.isArray(doc) ? Lost.applyJsonPatch(item, doc) : Lost.mergePatch(item, doc);
+    } catch (e) {
+      console.error(`Failed to patch item ${id}:`, e);
+      return false;
+    }
+    if (!next || typeof next !== 'object' || Array.isArray(next)) return false;
+
+    this.replaceItem(id, { ...next, id }, notify);
+    return true;
+  }
+
+  /**
+   * Set the value at a key path of an item, e.g. set(id, 'stats.correct', 3).
+   * Use an array path for keys containing dots: set(id, ['_progress', cardId], stats).
+   * Setting undefined removes the key.
+   * @param {string} id - Item ID.
+   * @param {string|Array} path - Key path.
+   * @param {*} value - New value.
+   * @param {boolean} [notify=true] - Whether to trigger update event.
+   * @returns {boolean} True if the item exists and the path is valid.
+   */
+  set(id, path, value, notify = true) {
+    const item = this.items[id];
+    const keys = Lost.parsePath(path);
+    if (!item || keys.length === 0 || keys[0] === 'id') return false;
+
+    this.replaceItem(id, Lost.setPath(item, keys, value), notify);
+    return true;
+  }
+
+  /**
+   * Store a new version of an existing item: record history, save and dispatch events.
+   * @param {string} id - Item ID.
+   * @param {Object} next - New item data.
+   * @param {boolean} notify - Whether to trigger update event.
+   */
+  replaceItem(id, next, notify) {
+    const previous = this.items[id];
+    next = this.stampMeta(previous, next);
+    this.items[id] = next;
+    this.recordHistory(id, previous, next, 'update');
+    this.markDirty(id);
+    this.save();
+    this.dispatchItemChange(id, previous, next);
+    if (notify) this.notify();
+    else if (this.currentHash !== undefined) {
+      this.scheduleUrlUpdate();
     }
   }
 
   /**
    * Delete an item by ID.
+   * The item is moved to the trash (unless trashRetention is 0) and can be restored.
    * Prevents deleting the last remaining item.
    * If current item is deleted, switches to another item.
+   * Triggers 'deleted' event.
    * @param {string} id - Item ID.
    * @returns {boolean} True if deleted, false if could not delete (e.g. last item).
    */
   delete(id) {
     const ids = Object.keys(this.items);
-    if (ids.length <= 1) {
+    if (!this.items[id] || ids.length <= 1) {
       return false; // Cannot delete last item
     }
 
+    const item = this.items[id];
+    this.recordHistory(id, item, null, 'delete');
     delete this.items[id];
+    this.markDirty(id, true);
+    this.purgeExpiredTrash();
+    if (this.trashRetention > 0) {
+      this.trash[id] = { item, deletedAt: Date.now() };
+      this.trashChanged = true;
+    }
+    this.dispatchItemChange(id, item, null);
     
     if (id === this.currentId) {
       const remainingIds = Object.keys(this.items);
@@ -339,13 +1983,572 @@ export class Lost extends EventTarget {
       this.save();
       this.notify();
     }
-    return true;
+    this.dispatchEvent(new CustomEvent('deleted', { detail: { id, item } }));
+    return true;
+  }
+
+  // ----- Trash -----
+  /**
+   * List trashed items, most recently deleted first.
+   * @returns {Array<{id: string, item: Object, deletedAt: number}>}
+   */
+  getTrash() {
+    return Object.keys(this.trash)
+      .map(id => ({ id, ...this.trash[id] }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Restore a trashed item and make it current.
+   * Triggers 'restored' event.
+   * @param {string} id - Item ID.
+   * @returns {boolean} True if restored.
+   */
+  restore(id) {
+    const entry = this.trash[id];
+    if (!entry || this.items[id]) return false;
+
+    delete this.trash[id];
+    this.trashChanged = true;
+    this.items[id] = entry.item;
+    this.recordHistory(id, null, entry.item, 'restore');
+    this.markDirty(id);
+    this.currentId = id;
+    this.save();
+    this.dispatchItemChange(id, null, entry.item);
+    this.notify();
+    this.dispatchEvent(new CustomEvent('restored', { detail: { id, item: entry.item } }));
+    return true;
+  }
+
+  /**
+   * Permanently remove an item from the trash.
+   * Triggers 'purged' event.
+   * @param {string} id - Item ID.
+   * @returns {boolean} True if purged.
+   */
+  purge(id) {
+    if (!this.trash[id]) return false;
+    delete this.trash[id];
+    this.trashChanged = true;
+    if (this.history[id]) this.clearHistory(id);
+    this.save();
+    this.dispatchEvent(new CustomEvent('purged', { detail: { ids: [id] } }));
+    return true;
+  }
+
+  /**
+   * Permanently remove all trashed items.
+   */
+  emptyTrash() {
+    const ids = Object.keys(this.trash);
+    if (ids.length === 0) return;
+    this.trash = {};
+    this.trashChanged = true;
+    ids.forEach(id => { if (this.history[id]) delete this.history[id]; });
+    this.historyChanged = true;
+    this.save();
+    this.dispatchEvent(new CustomEvent('purged', { detail: { ids } }));
+  }
+
+  /**
+   * Drop trashed items older than trashRetention.
+   * @returns {string[]} Purged IDs.
+   */
+  purgeExpiredTrash() {
+    const cutoff = Date.now() - this.trashRetention;
+    const expired = Object.keys(this.trash).filter(id => this.trash[id].deletedAt <= cutoff);
+    if (expired.length === 0) return expired;
+
+    expired.forEach(id => {
+      delete this.trash[id];
+      delete this.history[id];
+    });
+    this.trashChanged = true;
+    this.historyChanged = true;
+    this.dispatchEvent(new CustomEvent('purged', { detail: { ids: expired } }));
+    return expired;
+  }
+
+  /**
+   * Restore the persisted trash and drop expired entries.
+   * @param {string} raw - Serialized trash.
+   */
+  loadTrash(raw) {
+    try {
+      const trash = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      this.trash = trash && typeof trash === 'object' ? trash : {};
+    } catch (e) {
+      console.error('Failed to load trash:', e);
+      this.trash = {};
+    }
+    if (this.purgeExpiredTrash().length > 0) this.save();
+  }
+
+  // ----- Cross-Tab Sync -----
+  /**
+   * Start listening for changes saved by other tabs.
+   * Uses a BroadcastChannel, or storage events when only localStorage is available.
+   */
+  initSync() {
+    if (!this.sync || this.channel || this.storageListener) return;
+
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(this.syncChannel);
+      this.channel.onmessage = (e) => this.receiveSync(e.data);
+    } else if (this.storage.area === 'localStorage') {
+      this.storageListener = (e) => {
+        if (e.key === this.storageKey && e.newValue) this.handleStorageChange(e.newValue);
+      };
+      window.addEventListener('storage', this.storageListener);
+    }
+  }
+
+  /**
+   * Stop listening for changes from other tabs.
+   */
+  closeSync() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+  }
+
+  /**
+   * Give an item a new revision after a local change.
+   * The base is the revision the change was made on, which lets other tabs
+   * tell a follow-up edit from a concurrent one.
+   * @param {string} id - Item ID.
+   * @param {boolean} [deleted=false] - Whether the item was deleted.
+   */
+  stampRevision(id, deleted = false) {
+    const base = this.revisions[id] ? this.revisions[id].rev : 0;
+    this.revisions[id] = { rev: base + 1, base, tab: this.tabId };
+    if (deleted) this.revisions[id].deleted = true;
+    this.revisionsChanged = true;
+  }
+
+  /**
+   * Tell other tabs about items changed by the last save.
+   * Only the changed revisions and trash entries are sent. Adapters that write whole blobs
+   * also send the IDs they wrote, so other tabs can tell what the blob is missing.
+   * @param {string[]} ids - Changed item IDs.
+   * @param {{changed: Object, removed: string[]}|null} revisions - Changed revisions.
+   * @param {{changed: Object, removed: string[]}|null} trash - Changed trash entries.
+   */
+  broadcast(ids, revisions, trash) {
+    if (!this.channel) return;
+
+    const items = {};
+    ids.forEach(id => { if (this.items[id]) items[id] = this.items[id]; });
+    const message = { tab: this.tabId, revisions: revisions ? revisions.changed : {}, items };
+    if (trash) {
+      message.trash = trash.changed;
+      message.trashRemoved = trash.removed;
+    }
+    if (!Lost.hasItemRecords(this.storage)) {
+      message.ids = Object.keys(this.items);
+      if (trash) message.trashIds = Object.keys(this.trash);
+    }
+
+    try {
+      this.channel.postMessage(message);
+    } catch (e) {
+      console.error('Failed to broadcast changes:', e);
+    }
+  }
+
+  /**
+   * Apply the items blob written to localStorage by another tab.
+   * @param {string} raw - New value of storageKey.
+   */
+  handleStorageChange(raw) {
+    try {
+      const read = (key) => {
+        const value = this.storage.get(key);
+        return value ? JSON.parse(value) : null;
+      };
+      const items = JSON.parse(raw);
+      // Pass on only what differs from this tab, like a broadcast would
+      const storedRevisions = read(this.revisionsKey) || {};
+      const revisions = {};
+      Object.keys(storedRevisions).forEach(id => {
+        const local = this.revisions[id];
+        const stored = storedRevisions[id];
+        if (!local || local.rev !== stored.rev || local.tab !== stored.tab) revisions[id] = stored;
+      });
+      const storedTrash = read(this.trashKey) || {};
+      const trash = {};
+      Object.keys(storedTrash).forEach(id => {
+        if (!this.trash[id] || this.trash[id].deletedAt !== storedTrash[id].deletedAt) trash[id] = storedTrash[id];
+      });
+      this.receiveSync({
+        tab: null,
+        items,
+        revisions,
+        trash,
+        // Written here before but gone now: removed by the other tab
+        trashRemoved: Object.keys(this.storedTrash).filter(id => !storedTrash[id]),
+        ids: Object.keys(items),
+        trashIds: Object.keys(storedTrash)
+      });
+    } catch (e) {
+      console.error('Failed to read changes from another tab:', e);
+    }
+  }
+
+  /**
+   * Compare the revision of an item here with one received from another tab.
+   * @param {Object|undefined} local - Local revision stamp.
+   * @param {Object} incoming - Incoming revision stamp.
+   * @param {string} tabId - ID of this tab.
+   * @returns {string} 'same', 'apply', 'stale' or 'conflict'.
+   */
+  static compareRevisions(local, incoming, tabId) {
+    if (!local) return 'apply';
+    if (incoming.rev === local.rev && incoming.tab === local.tab) return 'same';
+    // Made on top of what we have: a plain follow-up
+    if (incoming.base === local.rev) return 'apply';
+    if (local.tab === tabId) {
+      // Our latest edit was not seen by the other tab: concurrent unless the incoming one is older
+      return incoming.rev > local.base ? 'conflict' : 'stale';
+    }
+    return incoming.rev > local.rev ? 'apply' : 'stale';
+  }
+
+  /**
+   * Merge changes saved by another tab.
+   * Follow-up edits are applied, outdated ones ignored, and concurrent edits of the
+   * same item are kept aside as conflicts instead of overwriting either side.
+   * Trash entries are merged one by one.
+   * Triggers 'sync' (and 'update') when items or the trash changed, and 'conflict' per conflicting item.
+   * @param {Object} message - { tab, revisions, items, trash, trashRemoved, ids, trashIds }: the changed
+   *   revisions with the data of the changed items, changed and removed trash entries and, from adapters
+   *   that write whole blobs, the IDs of the items and trash entries written.
+   */
+  receiveSync({ tab, revisions = {}, items = {}, trash = {}, trashRemoved = [], ids, trashIds } = {}) {
+    if (tab === this.tabId) return;
+
+    const updated = [];
+    const removed = [];
+    const conflicts = [];
+    const previous = {};
+    let outdated = false;
+
+    for (const id of Object.keys(revisions)) {
+      const incoming = revisions[id];
+      const local = this.revisions[id];
+      const remote = incoming.deleted ? null : items[id];
+      if (remote === undefined) continue; // Item data was not part of this message
+
+      let outcome = Lost.compareRevisions(local, incoming, this.tabId);
+      if (outcome === 'conflict') {
+        const current = this.items[id] || null;
+        const same = current && remote
+          ? Lost.deepEqual(this.filter(current), this.filter(remote))
+          : current === remote;
+        if (same) outcome = 'apply';
+      }
+      // The other tab has written this revision
+      this.storedRevisions[id] = incoming;
+
+      if (outcome === 'stale') {
+        outdated = true;
+        // Storage holds the older version: write ours back
+        if (this.items[id]) this.dirtyIds.add(id);
+        else this.removedIds.add(id);
+        this.revisionsChanged = true;
+      } else if (outcome === 'conflict') {
+        this.conflicts[id] = { local: this.items[id] || null, remote, revision: incoming };
+        conflicts.push(id);
+      } else if (outcome === 'apply') {
+        previous[id] = this.items[id] || null;
+        if (remote) {
+          this.items[id] = remote;
+          updated.push(id);
+        } else if (this.items[id] && Object.keys(this.items).length > 1) {
+          delete this.items[id];
+          removed.push(id);
+        }
+        this.revisions[id] = incoming;
+        delete this.conflicts[id];
+      }
+    }
+
+    let trashUpdated = false;
+    Object.keys(trash).forEach(id => {
+      if (this.trash[id] !== trash[id]) trashUpdated = true;
+      this.trash[id] = trash[id];
+      this.storedTrash[id] = trash[id];
+    });
+    trashRemoved.forEach(id => {
+      if (this.trash[id]) trashUpdated = true;
+      delete this.trash[id];
+      delete this.storedTrash[id];
+    });
+
+    // A whole blob written without some of our items or trash entries (e.g. created here meanwhile)
+    const differs = (list, map) => list.length !== Object.keys(map).length || list.some(id => !map[id]);
+    if (ids && differs(ids, this.items)) {
+      outdated = true;
+      Object.keys(this.items).forEach(id => this.dirtyIds.add(id));
+      this.revisionsChanged = true;
+    }
+    if (trashIds && differs(trashIds, this.trash)) {
+      outdated = true;
+      this.trashChanged = true;
+    }
+
+    if (removed.includes(this.currentId)) {
+      this.currentId = Object.keys(this.items)[0];
+    }
+    if (outdated) this.save();
+
+    updated.forEach(id => this.dispatchItemChange(id, previous[id], this.items[id]));
+    removed.forEach(id => this.dispatchItemChange(id, previous[id], null));
+    if (updated.length > 0 || removed.length > 0 || trashUpdated) {
+      this.dispatchEvent(new CustomEvent('sync', { detail: { updated, removed } }));
+      this.notify();
+    }
+    conflicts.forEach(id => {
+      const { local, remote } = this.conflicts[id];
+      this.dispatchEvent(new CustomEvent('conflict', { detail: { id, local, remote } }));
+    });
+  }
+
+  /**
+   * List items edited concurrently in another tab that still need a decision.
+   * @returns {Array<{id: string, local: Object|null, remote: Object|null}>}
+   */
+  getConflicts() {
+    return Object.keys(this.conflicts).map(id => ({
+      id, local: this.conflicts[id].local, remote: this.conflicts[id].remote
+    }));
+  }
+
+  /**
+   * Settle a conflict with another tab. The result is saved and sent to the other tabs.
+   * @param {string} id - Item ID.
+   * @param {string|Object|null} resolution - 'local' to keep this tab's version,
+   *   'remote' to take the other tab's version, 'copy' to keep this version and add the other one
+   *   as a new item, or the merged item data (null deletes the item).
+   * @returns {boolean} True if the conflict was resolved.
+   */
+  resolveConflict(id, resolution) {
+    const conflict = this.conflicts[id];
+    if (!conflict) return false;
+    delete this.conflicts[id];
+
+    let data = resolution;
+    if (resolution === 'local' || resolution === 'copy') data = this.items[id] || null;
+    else if (resolution === 'remote') data = conflict.remote;
+
+    const rev = Math.max(conflict.revision.rev, this.revisions[id] ? this.revisions[id].rev : 0);
+    const previous = this.items[id] || null;
+
+    if (data) {
+      this.items[id] = { ...data, id };
+      this.recordHistory(id, previous, this.items[id], previous ? 'update' : 'restore');
+      this.markDirty(id);
+      if (this.trash[id]) {
+        delete this.trash[id];
+        this.trashChanged = true;
+      }
+    } else if (previous && Object.keys(this.items).length > 1) {
+      this.recordHistory(id, previous, null, 'delete');
+      delete this.items[id];
+      this.markDirty(id, true);
+      if (id === this.currentId) this.currentId = Object.keys(this.items)[0];
+    } else {
+      this.markDirty(id, !previous);
+    }
+
+    // Build on the other tab's revision so it takes this result as a follow-up
+    this.revisions[id] = { ...this.revisions[id], rev: rev + 1, base: conflict.revision.rev };
+    this.save();
+    this.dispatchItemChange(id, previous, this.items[id] || null);
+    this.notify();
+    if (resolution === 'copy' && conflict.remote) this.createCopy(conflict.remote);
+    return true;
+  }
+
+  // ----- History -----
+  /**
+   * Push the state of an item before a change onto its undo stack.
+   * Changes that only touch local-only (filtered) fields are not recorded,
+   * and rapid successive updates are merged into a single step.
+   * @param {string} id - Item ID.
+   * @param {Object|null} previous - Item state before the change (null when restored).
+   * @param {Object|null} next - Item state after the change (null when deleted).
+   * @param {string} kind - 'update', 'delete' or 'restore'. Only updates are coalesced.
+   */
+  recordHistory(id, previous, next, kind) {
+    if (this.historyLimit <= 0 || this.applyingHistory) return;
+    if (previous && next && Lost.deepEqual(this.filter(previous), this.filter(next))) return;
+    if (this.batchState) {
+      // A batch is undone as one step: keep only the state before its first change
+      if (this.batchState.recorded.has(id)) return;
+      this.batchState.recorded.add(id);
+    }
+
+    const stacks = this.history[id] || (this.history[id] = { undo: [], redo: [] });
+    const now = Date.now();
+    const last = stacks.undo[stacks.undo.length - 1];
+    stacks.redo = [];
+
+    if (kind === 'update' && last && last.kind === 'update' && now - last.time < this.historyCoalesce) {
+      // Keep the older snapshot, extend the coalescing window
+      last.time = now;
+    } else {
+      // Each step holds the state to return to (null: the item did not exist)
+      stacks.undo.push({ item: Lost.clone(previous), kind, time: now });
+      if (stacks.undo.length > this.historyLimit) stacks.undo.shift();
+    }
+
+    this.historyChanged = true;
+    this.dispatchHistory(id);
+  }
+
+  /**
+   * Whether an item has a change that can be undone.
+   * @param {string} [id=currentId] - Item ID.
+   * @returns {boolean}
+   */
+  canUndo(id = this.currentId) {
+    const stacks = this.history[id];
+    return !!stacks && stacks.undo.length > 0;
+  }
+
+  /**
+   * Whether an item has an undone change that can be redone.
+   * @param {string} [id=currentId] - Item ID.
+   * @returns {boolean}
+   */
+  canRedo(id = this.currentId) {
+    const stacks = this.history[id];
+    return !!stacks && stacks.redo.length > 0;
+  }
+
+  /**
+   * Revert the last recorded change of an item (including deletion).
+   * @param {string} [id=currentId] - Item ID.
+   * @returns {boolean} True if a change was undone.
+   */
+  undo(id = this.currentId) {
+    return this.stepHistory(id, 'undo', 'redo');
+  }
+
+  /**
+   * Re-apply the last undone change of an item.
+   * @param {string} [id=currentId] - Item ID.
+   * @returns {boolean} True if a change was redone.
+   */
+  redo(id = this.currentId) {
+    return this.stepHistory(id, 'redo', 'undo');
+  }
+
+  /**
+   * Move one step from one history stack to the other and apply it.
+   * @param {string} id - Item ID.
+   * @param {string} from - Stack to take the step from ('undo' or 'redo').
+   * @param {string} to - Stack receiving the current state.
+   * @returns {boolean} True if the step was applied.
+   */
+  stepHistory(id, from, to) {
+    const stacks = this.history[id];
+    if (!stacks || stacks[from].length === 0) return false;
+
+    const target = stacks[from][stacks[from].length - 1].item;
+    const current = this.items[id] || null;
+
+    // Removing the item again must respect the "keep one item" rule
+    if (!target && (!current || Object.keys(this.items).length <= 1)) return false;
+
+    stacks[from].pop();
+    stacks[to].push({ item: Lost.clone(current), kind: from, time: Date.now() });
+    this.historyChanged = true;
+
+    this.applyingHistory = true;
+    try {
+      if (!target) {
+        this.delete(id);
+      } else {
+        // Local-only fields are not part of history: keep their current values
+        const localOnly = {};
+        if (current) {
+          const shared = this.filter(current);
+          for (const key of Object.keys(current)) {
+            if (!(key in shared)) localOnly[key] = current[key];
+          }
+        }
+        // Going back is an edit too: the metadata moves forward
+        this.items[id] = current
+          ? this.stampMeta(current, { ...Lost.clone(target), ...localOnly })
+          : { ...Lost.clone(target), ...localOnly };
+        this.markDirty(id);
+        if (!current) {
+          // Undoing a delete: take the item back out of the trash
+          if (this.trash[id]) {
+            delete this.trash[id];
+            this.trashChanged = true;
+          }
+          this.currentId = id;
+        }
+        this.save();
+        this.dispatchItemChange(id, current, this.items[id]);
+        this.notify();
+        if (!current) {
+          this.dispatchEvent(new CustomEvent('restored', { detail: { id, item: this.items[id] } }));
+        }
+      }
+    } finally {
+      this.applyingHistory = false;
+    }
+
+    this.dispatchHistory(id);
+    return true;
+  }
+
+  /**
+   * Forget the history of one item, or of all items.
+   * @param {string} [id] - Item ID. Omit to clear everything.
+   */
+  clearHistory(id) {
+    if (id) delete this.history[id];
+    else this.history = {};
+    this.historyChanged = true;
+    this.dispatchHistory(id || this.currentId);
+  }
+
+  /**
+   * Restore persisted history.
+   * @param {string} raw - Serialized history.
+   */
+  loadHistory(raw) {
+    try {
+      const history = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      this.history = history && typeof history === 'object' ? history : {};
+    } catch (e) {
+      console.error('Failed to load history:', e);
+      this.history = {};
+    }
+  }
+
+  dispatchHistory(id) {
+    this.dispatchEvent(new CustomEvent('history', {
+      detail: { id, canUndo: this.canUndo(id), canRedo: this.canRedo(id) }
+    }));
   }
 
   /**
    * Determine sharing capability based on content length and config.
    * @param {number} length - Length of encoded content.
-   * @returns {Object} { canShare, offerDownload }
+   * @returns {Object} { canShare, offerDownload, chunked } (chunked: too large for one URL, but can be shared
+   *   as at most 64 parts)
    */
   getShareStatus(length) {
     let canShare = true;
@@ -361,8 +2564,11 @@ export class Lost extends EventTarget {
     if (!canShare && this.download !== 'no') {
         offerDownload = true;
     }
+
+    const chunked = !canShare && this.chunkedLinks && this.urlShare !== 'no' &&
+      length <= MAX_PARTS * (this.maxUrlSize - MAX_PART_HEADER);
     
-    return { canShare, offerDownload };
+    return { canShare, offerDownload, chunked };
   }
 
   // ----- URL Sharing -----
@@ -390,22 +2596,68 @@ export class Lost extends EventTarget {
     };
   }
   
-  async importFromHash(hash) {
+  /**
+   * Decode a URL hash and compare it with the stored items (see classifyImport).
+   * Asks for the password if the hash is encrypted.
+   * @param {string} hash - URL hash string.
+   * @param {Object} [options] - { password } to try before asking.
+   * @returns {Promise<Object|null>} Import result, or null if invalid or cancelled. It also reports
+   *   the signature: { signature: 'signed'|'unsigned'|'invalid', keyId } (see verifySignature).
+   */
+  async importFromHash(hash, options = {}) {
     if (!hash) return null;
 
     // Decode
-    const data = await this.decode(hash);
+    const data = await this.decodeShared(hash, options);
     if (!data || !data.id) return null;
 
+    const { status: signature, keyId } = await this.verifySignature(hash);
+    return { ...this.classifyImport(data), signature, keyId };
+  }
+
+  /**
+   * Prepare plain item data (e.g. from a JSON file) for import.
+   * Applies migrations and the validator, then compares with existing items.
+   * @param {Object} data - Item data. An optional `_version` field holds its schema version.
+   * @returns {Object|null} Import result like importFromHash, or null if invalid.
+   */
+  importData(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const { _version, ...rest } = data;
+    let migrated;
+    try {
+      migrated = this.migrate(rest, Number(_version) || 1);
+    } catch (e) {
+      console.error('Failed to migrate imported data:', e);
+      return null;
+    }
+    if (!this.validator(migrated)) return null;
+
+    return this.classifyImport(migrated);
+  }
+
+  /**
+   * Compare incoming item data with the stored items.
+   * Switches to the existing item if it is identical.
+   * @param {Object} data - Decoded, migrated item data.
+   * @returns {Object} { status: 'new'|'exists_identical'|'exists_diff', data, existing, id }. For
+   *   'exists_diff' also the differing fields and newer: 'local'|'remote'|null (see compareMeta).
+   */
+  classifyImport(data) {
     // Check existence
-    const existing = this.items[data.id];
-    if (existing && Lost.deepEqual(this.filter(existing), this.filter(data))) {
+    const existing = data.id ? this.items[data.id] : null;
+    if (existing && Lost.deepEqual(this.getContent(existing), this.getContent(data))) {
         this.setCurrent(data.id);
         return { status: 'exists_identical', id: data.id };
     }
 
     if (existing) {
-        return { status: 'exists_diff', data, existing };
+        return {
+          status: 'exists_diff', data, existing,
+          fields: this.getMergeFields(existing, data),
+          newer: this.compareMeta(existing, data)
+        };
     }
 
     return { status: 'new', data };
@@ -415,57 +2667,759 @@ export class Lost extends EventTarget {
    * Import data from a URL hash and confirm with user if needed.
    * Handles 'exists_identical', 'exists_diff', and 'new' states.
    * @param {string} hash - URL hash string.
+   * @param {Object} [options] - { password } for encrypted hashes (asked if missing).
    * @returns {Promise<boolean>} True if imported/switched, false otherwise.
    */
-  async importAndConfirm(hash) {
-      const result = await this.importFromHash(hash);
-      if (!result) return false;
+  async importAndConfirm(hash, options = {}) {
+      if (Lost.parsePart(hash)) return this.importPart(hash, options);
+      const result = await this.importFromHash(hash, options);
+      return this.confirmImport(result);
+  }
+
+  /**
+   * Import data from a URL hash as a new item, even if an item with its ID exists.
+   * The copy gets a fresh ID and a "(copy)" title suffix; the original is left untouched.
+   * @param {string} hash - URL hash string.
+   * @param {Object} [options] - { password } for encrypted hashes (asked if missing).
+   * @returns {Promise<string|null>} ID of the new item, or null if the hash is invalid.
+   */
+  async importAsCopy(hash, options = {}) {
+    if (!hash) return null;
+
+    const data = await this.decodeShared(hash, options);
+    if (!data) return null;
+
+    return this.createCopy(data);
+  }
 
-      /*if(result.existing) {
-        console.log('existing', result.data.id);
-        this.setCurrent(result.data.id);
-      }*/
+  /**
+   * Ask the user to confirm an import result and apply it.
+   * @param {Object|null} result - Result of importFromHash or importData.
+   * @returns {Promise<boolean>} True if imported/switched, false otherwise.
+   */
+  async confirmImport(result) {
+      if (!result) return false;
 
       if (result.status === 'exists_identical') {
-          // Already handled in importFromHash? No, importFromHash just returns status.
-          // We need to ensure it is set as current.
+          // classifyImport already switched to the existing item
           return true;
       }
 
-      const message = result.existing
-        ? `"${result.data.title}" already exists. Do you want to update it?`
-        : `Do you want to import: "${result.data.title}"`;
-      const shouldImport = confirm(message);
+      const badge = this.getSignatureBadge(result);
+      // Native dialogs cannot show the badge, so the warning is also part of the text
+      const warning = result.signature === 'invalid'
+        ? '\n\nWarning: this link has an invalid signature. It may have been altered.'
+        : '';
+
+      if (result.existing) {
+          const newer = {
+            local: ' Your version was edited more recently.',
+            remote: ' The imported version was edited more recently.'
+          }[result.newer] || '';
+          const resolution = await this.askMerge(result.existing, result.data, {
+            title: 'Import',
+            message: `"${result.data.title}" already exists and differs from the imported version.${newer}${warning}`,
+            localLabel: 'Mine',
+            remoteLabel: 'Imported',
+            copyLabel: 'Import as copy',
+            badge
+          });
+          if (!resolution) return false;
+          this.merge(result.data.id, result.data, resolution);
+          return true;
+      }
+
+      const message = `Do you want to import: "${result.data.title}"${warning}`;
+      const shouldImport = await this.prompter.confirm(message, { title: 'Import', confirmLabel: 'Import', badge });
       
       if (shouldImport) {
-          if (result.existing) {
-            this.update(result.data.id, result.data);
-          } else {
+          this.batch(() => {
             this.create(result.data);
-          }
-          this.setCurrent(result.data.id);
+            this.setCurrent(result.data.id);
+          });
           return true;
       }
       return false;
   }
 
+  // ----- Merging -----
+  /**
+   * List the shared top-level fields that differ between two versions of an item.
+   * Local-only fields (removed by the filter) and the ID are not compared.
+   * @param {Object} local - Version stored here.
+   * @param {Object} remote - Incoming version.
+   * @returns {Array<{key: string, local: *, remote: *}>} Differing fields (undefined when missing on one side).
+   */
+  getMergeFields(local, remote) {
+    const mine = this.filter(local || {});
+    const theirs = this.filter(remote || {});
+    const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    keys.delete('id');
+    if (this.metaKey) keys.delete(this.metaKey);
+    return Array.from(keys)
+      .filter(key => !Lost.deepEqual(mine[key], theirs[key]))
+      .map(key => ({ key, local: mine[key], remote: theirs[key] }));
+  }
+
+  /**
+   * Combine two versions of an item field by field.
+   * @param {Object} local - Version stored here (also supplies fields that are not picked).
+   * @param {Object} remote - Incoming version.
+   * @param {Object} picks - Map of field name to 'local' or 'remote'.
+   * @returns {Object} Merged item data.
+   */
+  static pickFields(local, remote, picks) {
+    const merged = { ...local };
+    for (const key of Object.keys(picks)) {
+      if (picks[key] !== 'remote' || key === 'id') continue;
+      if (remote && key in remote) merged[key] = Lost.clone(remote[key]);
+      else delete merged[key];
+    }
+    return merged;
+  }
+
+  /**
+   * Ask the user how to combine two versions of an item, using the prompter's merge
+   * dialog if it has one and a simple choice otherwise.
+   * @param {Object|null} local - Version stored here.
+   * @param {Object|null} remote - Incoming version.
+   * @param {Object} [options] - { title, message, localLabel, remoteLabel, copyLabel, badge } for the dialog.
+   * @returns {Promise<string|Object|null>} Resolution for merge(), or null if cancelled.
+   */
+  async askMerge(local, remote, options = {}) {
+    const fields = local && remote ? this.getMergeFields(local, remote) : [];
+    if (typeof this.prompter.merge === 'function') {
+      return this.prompter.merge({ ...options, local, remote, fields });
+    }
+    const message = options.message || 'This item has two different versions.';
+    if (typeof this.prompter.choice !== 'function') {
+      const takeRemote = await this.prompter.confirm(message, {
+        title: options.title,
+        badge: options.badge,
+        confirmLabel: `Use ${(options.remoteLabel || 'other').toLowerCase()} version`,
+        cancelLabel: `Keep ${(options.localLabel || 'mine').toLowerCase()}`
+      });
+      return takeRemote ? 'remote' : 'local';
+    }
+    return this.prompter.choice(message, [
+      { value: 'remote', label: `Use ${(options.remoteLabel || 'other').toLowerCase()} version` },
+      { value: 'local', label: `Keep ${(options.localLabel || 'mine').toLowerCase()}` },
+      { value: 'copy', label: options.copyLabel || 'Keep both' }
+    ], { title: options.title, badge: options.badge });
+  }
+
+  /**
+   * Resolve two versions of an existing item.
+   * @param {string} id - Item ID.
+   * @param {Object} remote - Incoming version.
+   * @param {string|Object} resolution - 'local' keeps the stored item, 'remote' takes the incoming one,
+   *   'copy' keeps the stored item and adds the incoming one as a new item, and an object
+   *   { [field]: 'local'|'remote' } picks per field (fields not listed stay local).
+   * @returns {string|null} ID of the resulting (now current) item, or null if the item does not exist.
+   */
+  merge(id, remote, resolution) {
+    const local = this.items[id];
+    if (!local) return null;
+
+    return this.batch(() => {
+      if (resolution === 'copy') return this.createCopy(remote);
+
+      let picks = resolution && typeof resolution === 'object' ? resolution : null;
+      if (resolution === 'remote') {
+        // Every shared field from the incoming version; local-only fields stay
+        picks = {};
+        this.getMergeFields(local, remote).forEach(field => { picks[field.key] = 'remote'; });
+      }
+      if (picks) this.replaceItem(id, { ...Lost.pickFields(local, remote, picks), id }, true);
+      this.setCurrent(id);
+      return id;
+    });
+  }
+
+  /**
+   * Add item data as a new item with its own ID, marking the title as a copy.
+   * @param {Object} data - Item data (its ID is ignored).
+   * @returns {string} New item ID.
+   */
+  createCopy(data) {
+    const { id, ...rest } = Lost.clone(data);
+    if (this.metaKey) delete rest[this.metaKey];
+    if (typeof rest.title === 'string') rest.title = `${rest.title} (copy)`;
+    return this.create(rest);
+  }
+
   /**
    * Generate a shareable URL for an item.
    * Encodes and compresses item data into the URL hash.
    * @param {string} id - Item ID.
+   * @param {Object} [options] - { password } to create an encrypted link.
    * @returns {Promise<string|null>} Full URL or null if failed.
    */
-  async getShareUrl(id) {
+  async getShareUrl(id, options = {}) {
     const item = this.getItem(id);
     if (!item) return null;
 
-    const encoded = await this.encode(item);
+    const encoded = await this.encode(item, options);
     if (!encoded) return null;
 
     const { url } = this.buildShareUrl(item.id, encoded);
     return url;
   }
 
+  /**
+   * Generate share URLs for an item: one URL, or numbered part URLs if it is too large
+   * for one and chunkedLinks is enabled.
+   * @param {string} id - Item ID.
+   * @param {Object} [options] - { password } to create encrypted links.
+   * @returns {Promise<string[]>} URLs (empty if the item cannot be shared by URL).
+   */
+  async getShareUrls(id, options = {}) {
+    const item = this.getItem(id);
+    if (!item) return [];
+
+    const encoded = await this.encode(item, options);
+    if (!encoded) return [];
+
+    const { canShare, chunked } = this.getShareStatus(encoded.length);
+    if (canShare) return [this.buildShareUrl(item.id, encoded).url];
+    if (!chunked) return [];
+    return Lost.splitHash(encoded, this.maxUrlSize).map(part => this.buildShareUrl(item.id, part).url);
+  }
+
+  // ----- Multi-Part Links -----
+  // A part hash is '&<index>-<total>-<checksum>-<data>'. The index counts from 1; the checksum
+  // (of the whole hash) tells parts of different links apart and verifies the joined result.
+  // A hash is split into at most MAX_PARTS parts.
+
+  /**
+   * Split a hash into part hashes of at most maxLength characters.
+   * @param {string} hash - Encoded hash.
+   * @param {number} maxLength - Maximum length of each part hash.
+   * @returns {string[]} Part hashes, in order.
+   * @throws {RangeError} If it would need more than MAX_PARTS (64) parts.
+   */
+  static splitHash(hash, maxLength) {
+    const checksum = Lost.fingerprint([hash]);
+    // The header grows with the number of parts, so find a size that fits the largest one
+    let total = 1;
+    let size;
+    for (;;) {
+      size = maxLength - `&${total}-${total}-${checksum}-`.length;
+      if (size <= 0) throw new Error('maxLength is too small for part links');
+      const needed = Math.ceil(hash.length / size);
+      if (needed <= total) break;
+      if (needed > MAX_PARTS) throw new RangeError(`The hash needs more than ${MAX_PARTS} parts`);
+      total = needed;
+    }
+
+    const count = Math.ceil(hash.length / size);
+    const parts = [];
+    for (let i = 0; i < count; i++) {
+      parts.push(`&${i + 1}-${count}-${checksum}-${hash.slice(i * size, (i + 1) * size)}`);
+    }
+    return parts;
+  }
+
+  /**
+   * Read the header of a part hash.
+   * @param {string} hash - Hash from a URL.
+   * @returns {{index: number, total: number, checksum: string, data: string}|null} Null if it is not a part
+   *   (or claims more than MAX_PARTS parts).
+   */
+  static parsePart(hash) {
+    const match = /^&(\d+)-(\d+)-([0-9a-z]+)-(.*)$/.exec(Lost.normalizeHash(hash || ''));
+    if (!match) return null;
+    const index = parseInt(match[1], 10);
+    const total = parseInt(match[2], 10);
+    if (index < 1 || index > total || total > MAX_PARTS) return null;
+    return { index, total, checksum: match[3], data: match[4] };
+  }
+
+  /**
+   * Store a part hash until all parts of its link have arrived (across visits).
+   * Dispatches 'partreceived' with { checksum, index, total, received, missing } while parts are missing.
+   * @param {string} hash - Part hash.
+   * Parts are grouped by checksum and total, so splits of the same hash at different sizes
+   * (e.g. share links and QR codes) do not mix.
+   * @returns {Promise<Object|null>} { complete, received, total, missing, hash } (hash is the joined hash
+   *   once complete), or null if the hash is no part or the joined parts do not match their checksum.
+   */
+  async receivePart(hash) {
+    const part = Lost.parsePart(hash);
+    if (!part) return null;
+
+    let groups = {};
+    try {
+      groups = JSON.parse(await this.storage.get(this.chunksKey)) || {};
+    } catch (e) {
+      groups = {};
+    }
+
+    // Forget links whose remaining parts never arrived
+    const cutoff = Date.now() - this.chunkRetention;
+    for (const key of Object.keys(groups)) {
+      if (groups[key].updatedAt < cutoff) delete groups[key];
+    }
+
+    const key = `${part.checksum}-${part.total}`;
+    const group = groups[key] || { total: part.total, parts: {} };
+    if (group.total !== part.total) return null;
+    group.parts[part.index] = part.data;
+    group.updatedAt = Date.now();
+    groups[key] = group;
+
+    const missing = [];
+    for (let i = 1; i <= group.total; i++) {
+      if (group.parts[i] === undefined) missing.push(i);
+    }
+    const received = group.total - missing.length;
+
+    if (missing.length > 0) {
+      await this.storage.set(this.chunksKey, JSON.stringify(groups));
+      this.dispatchEvent(new CustomEvent('partreceived', {
+        detail: { checksum: part.checksum, index: part.index, total: group.total, received, missing }
+      }));
+      return { complete: false, received, total: group.total, missing, hash: null };
+    }
+
+    delete groups[key];
+    if (Object.keys(groups).length > 0) await this.storage.set(this.chunksKey, JSON.stringify(groups));
+    else await this.storage.remove(this.chunksKey);
+
+    let joined = '';
+    for (let i = 1; i <= group.total; i++) joined += group.parts[i];
+    if (Lost.fingerprint([joined]) !== part.checksum) return null;
+    return { complete: true, received, total: group.total, missing, hash: joined };
+  }
+
+  /**
+   * Collect a part hash and import the item once all parts are there.
+   * Tells the user which parts are still missing.
+   * @param {string} hash - Part hash.
+   * @param {Object} [options] - Passed on to importAndConfirm (e.g. { password }).
+   * @returns {Promise<boolean>} True if the complete item was imported.
+   */
+  async importPart(hash, options = {}) {
+    const result = await this.receivePart(hash);
+    if (!result) {
+      await this.prompter.alert('The parts of this link do not fit together. Please ask for the links again.', { title: 'Import' });
+      return false;
+    }
+    if (!result.complete) {
+      await this.prompter.alert(
+        `Received ${result.received} of ${result.total} parts. Open the remaining links to finish the import (missing: ${result.missing.join(', ')}).`,
+        { title: 'Import' }
+      );
+      return false;
+    }
+    return this.importAndConfirm(result.hash, options);
+  }
+
+  // ----- Bundles -----
+  // A bundle file holds several items: { _bundle: 1, _version, exportedAt, items: [...] }.
+  // Binary bundles are the same JSON, compressed with compressionMethod (like a binary item file).
+
+  /**
+   * Check whether parsed file content is a bundle.
+   * @param {*} data
+   * @returns {boolean}
+   */
+  static isBundle(data) {
+    return !!data && typeof data === 'object' && data._bundle === BUNDLE_FORMAT && Array.isArray(data.items);
+  }
+
+  /**
+   * Collect items into a bundle. Local-only fields are filtered out like in shared links.
+   * @param {string[]} [ids] - Items to include (default: all items).
+   * @returns {Object} Bundle object.
+   */
+  createBundle(ids = null) {
+    const items = (ids || Object.keys(this.items))
+      .filter(id => this.items[id])
+      .map(id => this.filter(this.items[id]));
+    return { _bundle: BUNDLE_FORMAT, _version: this.version, exportedAt: Date.now(), items };
+  }
+
+  /**
+   * Create the contents of a bundle file.
+   * @param {string[]} [ids] - Items to include (default: all items).
+   * @param {Object} [options]
+   * @param {string} [options.format=downloadFormat] - 'json' (readable text) or 'binary' (compressed).
+   * @returns {Promise<string|Uint8Array>} JSON text or compressed bytes.
+   */
+  async exportBundle(ids = null, { format = this.downloadFormat } = {}) {
+    const bundle = this.createBundle(ids);
+    if (format === 'json') return JSON.stringify(bundle, null, 2);
+
+    const json = JSON.stringify(bundle);
+    if (this.compressionMethod === 'none') return new TextEncoder().encode(json);
+    return new Uint8Array(await Lost.compress(json, this.compressionMethod));
+  }
+
+  /**
+   * Read a binary bundle file.
+   * @param {Uint8Array} bytes - File contents.
+   * @returns {Promise<Object|null>} Bundle object, or null if the bytes are no bundle (e.g. a single item).
+   */
+  async decodeBundle(bytes) {
+    try {
+      const json = this.compressionMethod === 'none'
+        ? new TextDecoder().decode(bytes)
+        : await Lost.decompress(bytes, this.compressionMethod);
+      const data = JSON.parse(json);
+      return Lost.isBundle(data) ? data : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Migrate and validate the items of a bundle and compare them with the stored items.
+   * Unlike classifyImport, this does not switch to identical items.
+   * @param {Object} bundle - Bundle object.
+   * @returns {{entries: Array<{status: string, data: Object, existing?: Object, newer?: string|null}>, invalid: number}}
+   *   One entry per valid item ('new', 'exists_identical' or 'exists_diff', with newer as in classifyImport)
+   *   and the number of invalid items.
+   */
+  readBundle(bundle) {
+    const entries = [];
+    let invalid = 0;
+    bundle.items.forEach(item => {
+      let data = null;
+      try {
+        data = item && typeof item === 'object' ? this.migrate(item, Number(bundle._version) || 1) : null;
+      } catch (e) {
+        console.error('Failed to migrate bundle item:', e);
+      }
+      if (!data || !this.validator(data)) {
+        invalid++;
+        return;
+      }
+
+      const existing = data.id ? this.items[data.id] : null;
+      if (!existing) entries.push({ status: 'new', data });
+      else if (Lost.deepEqual(this.getContent(existing), this.getContent(data))) entries.push({ status: 'exists_identical', data, existing });
+      else entries.push({ status: 'exists_diff', data, existing, newer: this.compareMeta(existing, data) });
+    });
+    return { entries, invalid };
+  }
+
+  /**
+   * Add new items and update existing ones from bundle entries, in one batch.
+   * Updated items take every shared field from the bundle; local-only fields stay.
+   * @param {Array<Object>} entries - Entries of readBundle to apply.
+   * @returns {string[]} IDs of the imported or updated items. The first one becomes current.
+   */
+  importBundle(entries) {
+    return this.batch(() => {
+      const ids = [];
+      entries.forEach(({ status, data }) => {
+        if (status === 'exists_identical') return;
+        const existing = data.id ? this.items[data.id] : null;
+        if (existing) {
+          const picks = {};
+          this.getMergeFields(existing, data).forEach(field => { picks[field.key] = 'remote'; });
+          this.replaceItem(data.id, { ...Lost.pickFields(existing, data, picks), id: data.id }, true);
+          ids.push(data.id);
+        } else {
+          ids.push(this.create(Lost.clone(data)));
+        }
+      });
+      if (ids.length > 0) this.setCurrent(ids[0]);
+      return ids;
+    });
+  }
+
+  /**
+   * Show the items of a bundle and import the ones the user picks.
+   * Uses the prompter's pick dialog if it has one; otherwise asks once for all new and changed items.
+   * @param {Object} bundle - Bundle object.
+   * @returns {Promise<string[]>} IDs of the imported or updated items (empty if cancelled).
+   */
+  async confirmBundle(bundle) {
+    const { entries, invalid } = this.readBundle(bundle);
+    const changes = entries.filter(entry => entry.status !== 'exists_identical');
+    const skipped = invalid > 0 ? ` ${invalid} invalid item${invalid === 1 ? ' was' : 's were'} skipped.` : '';
+    if (changes.length === 0) {
+      await this.prompter.alert(`All items of this file are already here.${skipped}`, { title: 'Import' });
+      return [];
+    }
+
+    const message = `This file contains ${entries.length} item${entries.length === 1 ? '' : 's'}. Choose which ones to import.${skipped}`;
+    let picked = changes;
+    if (typeof this.prompter.pick === 'function') {
+      const labels = { new: 'New', exists_diff: 'Update', exists_identical: 'Unchanged' };
+      // Copies older than the stored item are offered, but not checked
+      const values = await this.prompter.pick(message, entries.map((entry, i) => ({
+        value: i,
+        label: entry.data.title || entry.data.id || 'Untitled',
+        detail: entry.newer === 'local' ? 'Older' : labels[entry.status],
+        checked: entry.status !== 'exists_identical' && entry.newer !== 'local',
+        disabled: entry.status === 'exists_identical'
+      })), { title: 'Import', confirmLabel: 'Import' });
+      if (!values) return [];
+      picked = values.map(i => entries[i]);
+    } else {
+      const added = changes.filter(entry => entry.status === 'new').length;
+      const shouldImport = await this.prompter.confirm(
+        `This file contains ${entries.length} items: ${added} new, ${changes.length - added} changed. Import them?${skipped}`,
+        { title: 'Import', confirmLabel: 'Import' }
+      );
+      if (!shouldImport) return [];
+    }
+    return this.importBundle(picked);
+  }
+
+  // ----- Backup -----
+  // A backup holds the whole workspace, including local-only fields: { _backup: 1, _version,
+  // storageKey, exportedAt, currentId, items, trash, settings }. settings carries app or UI
+  // preferences (LostUI stores the theme there).
+
+  /**
+   * Check whether parsed file content is a backup.
+   * @param {*} data
+   * @returns {boolean}
+   */
+  static isBackup(data) {
+    return !!data && typeof data === 'object' && data._backup === BACKUP_FORMAT &&
+      !!data.items && typeof data.items === 'object';
+  }
+
+  /**
+   * Snapshot the workspace: every item with its local-only fields, the trash and the current item.
+   * @param {Object} [options]
+   * @param {Object} [options.settings={}] - Preferences to keep with the backup.
+   * @returns {Object} Backup object.
+   */
+  createBackup({ settings = {} } = {}) {
+    return {
+      _backup: BACKUP_FORMAT,
+      _version: this.version,
+      storageKey: this.storageKey,
+      exportedAt: Date.now(),
+      currentId: this.currentId,
+      items: Lost.clone(this.items),
+      trash: Lost.clone(this.trash),
+      settings: Lost.clone(settings)
+    };
+  }
+
+  /**
+   * Create a backup file.
+   * @param {Object} [options]
+   * @param {string} [options.format=downloadFormat] - 'json' (readable text) or 'binary' (compressed).
+   * @param {Object} [options.settings] - Preferences to keep with the backup.
+   * @returns {Promise<Blob>}
+   */
+  async exportBackup({ format = this.downloadFormat, settings } = {}) {
+    const backup = this.createBackup({ settings });
+    if (format === 'json') return new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+
+    const json = JSON.stringify(backup);
+    const bytes = this.compressionMethod === 'none'
+      ? new TextEncoder().encode(json)
+      : new Uint8Array(await Lost.compress(json, this.compressionMethod));
+    return new Blob([bytes], { type: 'application/octet-stream' });
+  }
+
+  /**
+   * Read a backup file (JSON or compressed).
+   * @param {Blob} file
+   * @returns {Promise<Object|null>} Backup object, or null if the file is no backup.
+   */
+  async readBackup(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let data = null;
+    try {
+      data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+      if (this.compressionMethod !== 'none') {
+        try {
+          data = JSON.parse(await Lost.decompress(bytes, this.compressionMethod));
+        } catch (err) {
+          data = null;
+        }
+      }
+    }
+    return Lost.isBackup(data) ? data : null;
+  }
+
+  /**
+   * Migrate the items of a backup to the current schema version and validate them.
+   * Items whose migration fails or that the validator rejects are left out and counted.
+   * @param {Object} backup - Backup object.
+   * @returns {{items: Object, invalid: number}} Map of ID to item, and the number of items left out.
+   */
+  migrateBackupItems(backup) {
+    const fromVersion = Number(backup._version) || 1;
+    const items = {};
+    let invalid = 0;
+    Object.keys(backup.items).forEach(id => {
+      let item = null;
+      try {
+        item = Lost.clone(backup.items[id]);
+        if (item && typeof item === 'object') {
+          item = { ...(fromVersion < this.version ? this.migrate(item, fromVersion) : item), id };
+        }
+      } catch (e) {
+        console.error(`Failed to migrate backup item ${id}:`, e);
+        item = null;
+      }
+      if (!item || typeof item !== 'object' || !this.validator(item)) {
+        invalid++;
+        return;
+      }
+      items[id] = item;
+    });
+    return { items, invalid };
+  }
+
+  /**
+   * Compare a backup with the workspace.
+   * @param {Object} backup - Backup object.
+   * @returns {{exportedAt: number, storageKey: string, items: number, invalid: number, added: string[], changed: string[], removed: string[]}}
+   *   Items only in the backup (added), in both but different (changed) and only here (trashed on replace),
+   *   and the number of backup items that are left out because they are invalid.
+   */
+  previewBackup(backup) {
+    const { items, invalid } = this.migrateBackupItems(backup);
+    const ids = Object.keys(items);
+    return {
+      exportedAt: backup.exportedAt,
+      storageKey: backup.storageKey,
+      items: ids.length,
+      invalid,
+      added: ids.filter(id => !this.items[id]),
+      changed: ids.filter(id => this.items[id] && !Lost.deepEqual(this.items[id], items[id])),
+      removed: Object.keys(this.items).filter(id => !items[id])
+    };
+  }
+
+  /**
+   * Apply a backup in one batch.
+   * 'replace' makes the workspace equal to the backup (items, trash and current item); items that
+   * are not in the backup move to the trash (unless trashRetention is 0) and can be restored.
+   * 'merge' adds the items and trashed items that are missing here and keeps everything else.
+   * Invalid backup items are left out (see migrateBackupItems).
+   * Dispatches 'backuprestored' with { mode, ids, settings }.
+   * @param {Object} backup - Backup object.
+   * @param {string} [mode='replace'] - 'replace' or 'merge'.
+   * @returns {string[]} IDs of the added or replaced items.
+   */
+  applyBackup(backup, mode = 'replace') {
+    if ((Number(backup._version) || 1) > this.version) {
+      throw new Error('The backup was made by a newer version of the app');
+    }
+    const { items: incoming } = this.migrateBackupItems(backup);
+    if (Object.keys(incoming).length === 0) throw new Error('The backup contains no valid items');
+
+    return this.batch(() => {
+      const ids = [];
+      if (mode === 'replace') {
+        const removed = Object.keys(this.items).filter(id => !incoming[id]).map(id => ({ id, item: this.items[id] }));
+        this.trash = Lost.clone(backup.trash || {});
+        this.trashChanged = true;
+        removed.forEach(({ id, item }) => {
+          this.recordHistory(id, item, null, 'delete');
+          delete this.items[id];
+          this.markDirty(id, true);
+          if (this.trashRetention > 0) this.trash[id] = { item, deletedAt: Date.now() };
+          this.dispatchItemChange(id, item, null);
+        });
+      } else {
+        Object.keys(backup.trash || {}).forEach(id => {
+          if (this.items[id] || this.trash[id] || incoming[id]) return;
+          this.trash[id] = Lost.clone(backup.trash[id]);
+          this.trashChanged = true;
+        });
+      }
+
+      Object.keys(incoming).forEach(id => {
+        const existing = this.items[id];
+        if (!existing) {
+          this.items[id] = incoming[id];
+          if (this.trash[id]) {
+            delete this.trash[id];
+            this.trashChanged = true;
+          }
+          this.markDirty(id);
+          this.dispatchItemChange(id, null, incoming[id]);
+          ids.push(id);
+        } else if (mode === 'replace' && !Lost.deepEqual(existing, incoming[id])) {
+          this.replaceItem(id, incoming[id], false);
+          ids.push(id);
+        }
+      });
+
+      if (mode === 'replace' && this.items[backup.currentId]) this.currentId = backup.currentId;
+      else if (!this.items[this.currentId]) this.currentId = Object.keys(this.items)[0];
+      this.save();
+      this.notify();
+      this.dispatchEvent(new CustomEvent('backuprestored', { detail: { mode, ids, settings: backup.settings || {} } }));
+      return ids;
+    });
+  }
+
+  /**
+   * Restore a backup file after showing what it contains and asking whether to replace
+   * the workspace or merge the backup into it.
+   * @param {Blob|Object} source - Backup file, or a backup object (see readBackup).
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'replace' or 'merge' to skip the question.
+   * @returns {Promise<Object|null>} { mode, ids, settings }, or null if invalid or cancelled.
+   */
+  async restoreBackup(source, { mode } = {}) {
+    const backup = Lost.isBackup(source) ? source : await this.readBackup(source);
+    if (!backup) {
+      await this.prompter.alert('The file is not a backup.', { title: 'Restore backup' });
+      return null;
+    }
+    if ((Number(backup._version) || 1) > this.version) {
+      await this.prompter.alert('The backup was made by a newer version of this app and cannot be restored.', { title: 'Restore backup' });
+      return null;
+    }
+    if (backup.storageKey && backup.storageKey !== this.storageKey) {
+      const restoreAnyway = await this.prompter.confirm(
+        `This backup was made by another app ("${backup.storageKey}"). Its items may not work here. Restore it anyway?`,
+        { title: 'Restore backup', confirmLabel: 'Restore' }
+      );
+      if (!restoreAnyway) return null;
+    }
+
+    const preview = this.previewBackup(backup);
+    if (preview.items === 0) {
+      await this.prompter.alert('The backup contains no valid items.', { title: 'Restore backup' });
+      return null;
+    }
+    if (!mode) {
+      const date = preview.exportedAt ? ` from ${new Date(preview.exportedAt).toLocaleString()}` : '';
+      const lines = [
+        `Backup${date}: ${preview.items} item${preview.items === 1 ? '' : 's'}.`,
+        `${preview.added.length} not here, ${preview.changed.length} different from here.`
+      ];
+      if (preview.invalid > 0) {
+        lines.push(`${preview.invalid} invalid item${preview.invalid === 1 ? ' is' : 's are'} left out.`);
+      }
+      if (preview.removed.length > 0) {
+        lines.push(`Replacing moves ${preview.removed.length} item${preview.removed.length === 1 ? '' : 's'} that ${preview.removed.length === 1 ? 'is' : 'are'} not in the backup to the trash.`);
+      }
+      mode = await this.prompter.choice(lines.join('\n'), [
+        { value: 'replace', label: 'Replace everything' },
+        { value: 'merge', label: 'Add missing items' }
+      ], { title: 'Restore backup' });
+      if (!mode) return null;
+    }
+
+    try {
+      const ids = this.applyBackup(backup, mode);
+      return { mode, ids, settings: backup.settings || {} };
+    } catch (e) {
+      console.error('Failed to restore backup:', e);
+      await this.prompter.alert('The backup could not be restored.', { title: 'Restore backup' });
+      return null;
+    }
+  }
+
   // ----- Hash Handling -----
   initUrlHandling() {
     this.pendingHashCheck = !!window.location.hash;
@@ -497,7 +3451,8 @@ export class Lost extends EventTarget {
     const current = this.getCurrent();
     if (current) {
       const currentEncoded = await this.encode(current);
-      if (hash === currentEncoded) {
+      // Signatures differ on every encode, so only the data is compared
+      if (currentEncoded && Lost.splitSignature(hash).payload === Lost.splitSignature(currentEncoded).payload) {
         this.currentHash = hash;
         return;
       }
@@ -507,11 +3462,57 @@ export class Lost extends EventTarget {
     await this.updateURL();
   }
 
+  /**
+   * Re-encode the URL once changes settle (see urlDebounce / urlMaxWait).
+   * Dispatches 'urlpending' when an update starts waiting; 'updateUrl' follows once the new URL is ready.
+   * @param {boolean} [immediate=false] - Encode now instead of waiting.
+   * @returns {Promise<void>|undefined} Promise of the update when it runs right away.
+   */
+  scheduleUrlUpdate(immediate = false) {
+    if (this.batchState) {
+      this.batchState.url = true;
+      return;
+    }
+    if (immediate || this.urlDebounce <= 0) return this.flushUrlUpdate(true);
+
+    // Any encode still running is outdated now
+    this.urlSeq++;
+    const now = Date.now();
+    if (!this.urlPending) {
+      this.urlPending = true;
+      this.urlPendingSince = now;
+      this.dispatchEvent(new CustomEvent('urlpending'));
+    }
+    clearTimeout(this.urlTimer);
+    const wait = Math.max(0, Math.min(this.urlDebounce, this.urlPendingSince + this.urlMaxWait - now));
+    this.urlTimer = setTimeout(() => this.flushUrlUpdate(), wait);
+  }
+
+  /**
+   * Run a scheduled URL update now, e.g. before copying the share link.
+   * @param {boolean} [force=false] - Update even if nothing is scheduled.
+   * @returns {Promise<void>}
+   */
+  flushUrlUpdate(force = false) {
+    clearTimeout(this.urlTimer);
+    this.urlTimer = null;
+    if (!this.urlPending && !force) return Promise.resolve();
+    this.urlPending = false;
+    return this.updateURL();
+  }
+
   async updateURL() {
+    if (this.batchState) {
+      this.batchState.url = true;
+      return;
+    }
+    const seq = ++this.urlSeq;
     const item = this.getCurrent();
     if (!item) return;
 
     const encoded = await this.encode(item);
+    // A newer update was requested while encoding: never let this result overwrite it
+    if (seq !== this.urlSeq) return;
     if (!encoded) {
       this.dispatchEvent(new CustomEvent('updateUrl', { 
         detail: { url: '', hash: '', canShare: false, offerDownload: false } 
@@ -1,12 +1,18 @@
 const CACHE = 'lost-js-v2';
+// Web Share Target: shared data waits here until the page reads it (see LostUI.receiveSharedData)
+const SHARE_TARGET_PARAM = 'share-target';
+const SHARE_TARGET_CACHE = 'lost-share-target';
+const SHARE_TARGET_DATA = '/lost-share-target/data';
 const ASSETS = [
   './',
   './lost.css',
   './lost.js',
   './lost-ui.js',
+  './lost-qr.js',
   './vendor/lost/lost.css',
   './vendor/lost/lost.js',
   './vendor/lost/lost-ui.js',
+  './vendor/lost/lost-qr.js',
 ];
 
 self.addEventListener('install', (e) => {
@@ -26,13 +32,41 @@ self.addEventListener('install', (e) => {
 
 self.addEventListener('activate', (e) => {
   e.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+    caches.keys().then(keys => Promise.all(keys.filter(k => k !== CACHE && k !== SHARE_TARGET_CACHE).map(k => caches.delete(k))))
       .then(()=> self.clients.claim())
   );
 });
 
+async function receiveShare(request) {
+  const form = await request.formData();
+  const cache = await caches.open(SHARE_TARGET_CACHE);
+  const shared = {
+    title: form.get('title') || '',
+    text: form.get('text') || '',
+    url: form.get('url') || '',
+    files: []
+  };
+
+  const files = form.getAll('file').filter(file => typeof file !== 'string');
+  await Promise.all(files.map((file, i) => {
+    const key = `/lost-share-target/file-${i}`;
+    shared.files.push({ key, name: file.name, type: file.type });
+    return cache.put(key, new Response(file));
+  }));
+  await cache.put(SHARE_TARGET_DATA, new Response(JSON.stringify(shared), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+
+  // Open the app with a GET request; the parameter tells it to look for the data
+  return Response.redirect(request.url, 303);
+}
+
 self.addEventListener('fetch', (event) => {
   const request = event.request;
+  if (request.method === 'POST' && new URL(request.url).searchParams.has(SHARE_TARGET_PARAM)) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
   if (request.method !== 'GET') return;
   if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
 
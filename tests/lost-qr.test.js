@@ -0,0 +1,157 @@
+/**
+ * Tests for lost-qr.js QR code encoder.
+ */
+import { describe, it, assert } from './test-runner.js';
+import { QRCode } from '/lost-qr.js';
+
+// Dark modules of a finder pattern whose top left corner is at (x, y)
+function isFinder(qr, x, y) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.min(dx, dy, 6 - dx, 6 - dy);
+      if (qr.get(x + dx, y + dy) !== (ring !== 1)) return false;
+    }
+  }
+  return true;
+}
+
+describe('QRCode - Capacity', () => {
+  it('matches the data capacity of the standard', () => {
+    const expected = {
+      1: [19, 16, 13, 9],
+      10: [274, 216, 154, 122],
+      20: [861, 669, 485, 385],
+      40: [2956, 2334, 1666, 1276]
+    };
+    Object.entries(expected).forEach(([version, codewords]) => {
+      ['L', 'M', 'Q', 'H'].forEach((ecc, i) => {
+        assert.equal(QRCode.getNumDataCodewords(Number(version), ecc), codewords[i], `Version ${version}-${ecc}`);
+      });
+    });
+  });
+
+  it('reports byte capacity after mode and length headers', () => {
+    assert.equal(QRCode.getCapacity(1, 'L'), 17, 'Version 1-L');
+    assert.equal(QRCode.getCapacity(40, 'L'), 2953, 'Version 40-L');
+  });
+});
+
+describe('QRCode - Encoding', () => {
+  it('picks the smallest version that fits', () => {
+    assert.equal(QRCode.encode('a'.repeat(17), { ecc: 'L' }).version, 1, 'Fits version 1');
+    assert.equal(QRCode.encode('a'.repeat(18), { ecc: 'L' }).version, 2, 'Needs version 2');
+    assert.ok(QRCode.encode('a'.repeat(17), { ecc: 'H' }).version > 1, 'Higher level needs more room');
+  });
+
+  it('draws the finder patterns and timing pattern', () => {
+    const qr = QRCode.encode('https://example.com/#$H4sIAAAA');
+    assert.equal(qr.size, qr.version * 4 + 17, 'Size matches version');
+    assert.ok(isFinder(qr, 0, 0), 'Top left finder');
+    assert.ok(isFinder(qr, qr.size - 7, 0), 'Top right finder');
+    assert.ok(isFinder(qr, 0, qr.size - 7), 'Bottom left finder');
+    for (let i = 8; i < qr.size - 8; i++) {
+      assert.equal(qr.get(i, 6), i % 2 === 0, `Timing module ${i}`);
+    }
+  });
+
+  it('uses the requested mask or picks one', () => {
+    assert.equal(QRCode.encode('mask', { mask: 5 }).mask, 5, 'Fixed mask');
+    const mask = QRCode.encode('mask').mask;
+    assert.ok(mask >= 0 && mask < 8, 'Chosen mask');
+  });
+
+  it('encodes UTF-8 text', () => {
+    const ascii = QRCode.encode('a'.repeat(16), { ecc: 'M' });
+    const umlauts = QRCode.encode('ä'.repeat(16), { ecc: 'M' });
+    assert.ok(umlauts.version > ascii.version, 'Two bytes per umlaut');
+  });
+
+  it('throws when the text does not fit', () => {
+    assert.throws(() => QRCode.encode('a'.repeat(100), { maxVersion: 2 }), 'Too long for version 2');
+    assert.throws(() => QRCode.encode('a', { ecc: 'X' }), 'Unknown level');
+  });
+});
+
+describe('QRCode - SVG', () => {
+  it('renders one square per dark module with a quiet zone', () => {
+    const qr = QRCode.encode('svg');
+    const svg = qr.toSVG({ margin: 2, dark: '#123456' });
+    const dimension = qr.size + 4;
+    let dark = 0;
+    qr.modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+
+    assert.ok(svg.startsWith('<svg'), 'SVG markup');
+    assert.ok(svg.includes(`viewBox="0 0 ${dimension} ${dimension}"`), 'Margin included');
+    assert.ok(svg.includes('fill="#123456"'), 'Dark color');
+    assert.equal(svg.split('h1v1h-1z').length - 1, dark, 'One square per module');
+    assert.ok(svg.includes('M2,2h1v1h-1z'), 'First finder module offset by margin');
+  });
+});
+
+// RGBA image of a QR code, turned by a quarter turn per `turns`
+function renderImage(qr, scale, turns = 0) {
+  const dimension = (qr.size + 8) * scale;
+  const data = new Uint8ClampedArray(dimension * dimension * 4).fill(255);
+  for (let y = 0; y < dimension; y++) {
+    for (let x = 0; x < dimension; x++) {
+      let [mx, my] = [Math.floor(x / scale) - 4, Math.floor(y / scale) - 4];
+      for (let t = 0; t < turns; t++) [mx, my] = [my, qr.size - 1 - mx];
+      if (qr.get(mx, my)) data.fill(0, (y * dimension + x) * 4, (y * dimension + x) * 4 + 3);
+    }
+  }
+  return { data, width: dimension, height: dimension };
+}
+
+// Data codewords of a version 1-M code from a bit string
+function codewords(bits) {
+  bits = bits.replace(/ /g, '') + '0000';
+  bits = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+  const bytes = bits.match(/.{8}/g).map(byte => parseInt(byte, 2));
+  while (bytes.length < 16) bytes.push(bytes.length % 2 ? 0x11 : 0xEC);
+  return bytes;
+}
+
+describe('QRCode - Decoding', () => {
+  it('reads back encoded modules', () => {
+    ['L', 'M', 'Q', 'H'].forEach(ecc => {
+      const text = 'https://example.com/app?k1#1~!eJzLSM3JyVcozy/KSQEAGgQEXQ ünïcode';
+      assert.equal(QRCode.decodeModules(QRCode.encode(text, { ecc }).modules), text, `Level ${ecc}`);
+    });
+  });
+
+  it('corrects damaged modules', () => {
+    const text = 'x'.repeat(100);
+    const qr = QRCode.encode(text, { ecc: 'H' });
+    const modules = qr.modules.map(row => row.slice());
+    // A smudge over the middle of the code
+    for (let y = 14; y < 20; y++) {
+      for (let x = 14; x < 20; x++) modules[y][x] = !modules[y][x];
+    }
+    assert.equal(QRCode.decodeModules(modules), text, 'Corrected');
+
+    for (let y = 9; y < qr.size - 9; y++) {
+      for (let x = 9; x < qr.size - 9; x++) modules[y][x] = false;
+    }
+    assert.isNull(QRCode.decodeModules(modules), 'Too damaged');
+  });
+
+  it('reads numeric and alphanumeric segments', () => {
+    // Examples from ISO/IEC 18004
+    const numeric = codewords('0001 0000001000 0000001100 0101011001 1000011');
+    assert.equal(QRCode.parseSegments(numeric, 1), '01234567', 'Numeric');
+    const alphanumeric = codewords('0010 000000101 00111001110 11100111001 000010');
+    assert.equal(QRCode.parseSegments(alphanumeric, 1), 'AC-42', 'Alphanumeric');
+  });
+
+  it('finds the code in an image', () => {
+    const text = 'https://example.com/#$H4sIAAAAAAAAA6tWKkktLlGyUlAqzy/KSQEAx4bIsBAAAAA=';
+    const qr = QRCode.encode(text);
+    assert.equal(QRCode.decode(renderImage(qr, 3)), text, 'Upright');
+    assert.equal(QRCode.decode(renderImage(qr, 4, 1)), text, 'Turned');
+  });
+
+  it('returns null without a code', () => {
+    const blank = { data: new Uint8ClampedArray(60 * 60 * 4).fill(255), width: 60, height: 60 };
+    assert.isNull(QRCode.decode(blank), 'Blank image');
+  });
+});
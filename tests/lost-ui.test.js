@@ -3,7 +3,8 @@
  */
 import { describe, it, beforeEach, afterEach, assert } from './test-runner.js';
 import { Lost } from '/lost.js';
-import { LostUI } from '/lost-ui.js';
+import { LostUI, DialogPrompter } from '/lost-ui.js';
+import { QRCode } from '/lost-qr.js';
 
 // Mock localStorage
 const mockStorage = {
@@ -38,6 +39,14 @@ describe('LostUI - Default Configuration', () => {
     assert.equal(titleFn({ title: 'My Item' }), 'My Item', 'Valid title');
   });
 
+  it('formatRelativeTime describes elapsed time', () => {
+    const now = Date.now();
+    assert.equal(LostUI.formatRelativeTime(now - 10 * 1000, now), 'just now');
+    assert.equal(LostUI.formatRelativeTime(now - 5 * 60 * 1000, now), '5 min ago');
+    assert.equal(LostUI.formatRelativeTime(now - 3 * 60 * 60 * 1000, now), '3 h ago');
+    assert.equal(LostUI.formatRelativeTime(now - 4 * 24 * 60 * 60 * 1000, now), '4 days ago');
+  });
+
   it('sidebar.subline returns empty string by default', () => {
     const defaults = LostUI.defaultConfig;
     assert.equal(defaults.sidebar.subline(), '', 'Default subline is empty');
@@ -232,6 +241,42 @@ describe('LostUI - Sidebar Operations', () => {
     assert.equal(items.length, 2, 'Two items rendered');
   });
 
+  it('re-renders only the edited sidebar entry', () => {
+    const first = lost.create({ title: 'First' });
+    lost.create({ title: 'Second' });
+    const entryOf = (id) => Array.from(container.querySelectorAll('.item-item')).find(el => el.dataset.id === id);
+    const untouched = entryOf(first);
+
+    lost.update(lost.currentId, { title: 'Second (edited)' });
+
+    assert.equal(entryOf(first), untouched, 'Other entry kept');
+    assert.equal(entryOf(lost.currentId).querySelector('.item-item-title').textContent, 'Second (edited)', 'Edited entry updated');
+  });
+
+  it('shows recently deleted items', () => {
+    const id = lost.create({ title: 'Trashed' });
+    lost.delete(id);
+
+    assert.notEqual(ui.elements.trashSection.style.display, 'none', 'Trash section visible');
+    const entries = container.querySelectorAll('.trash-item');
+    assert.equal(entries.length, 1, 'One trashed entry');
+    assert.equal(entries[0].querySelector('.item-item-title').textContent, 'Trashed', 'Entry title');
+  });
+
+  it('restore button restores the item', () => {
+    const id = lost.create({ title: 'Restore me' });
+    lost.delete(id);
+
+    container.querySelector('.trash-item .restore-item-btn').click();
+    assert.notNull(lost.getItem(id), 'Item restored');
+    assert.equal(container.querySelectorAll('.trash-item').length, 0, 'Trash list updated');
+  });
+
+  it('hides the trash section when empty', () => {
+    ui.updateSidebarList();
+    assert.equal(ui.elements.trashSection.style.display, 'none', 'Trash section hidden');
+  });
+
   it('getSidebarItemTitle uses custom function', () => {
     ui.config.sidebar.title = (item) => `Custom: ${item.title}`;
     
@@ -388,6 +433,16 @@ describe('LostUI - Share Box', () => {
     assert.equal(ui.elements.downloadBtn.style.display, 'none', 'Download button hidden');
   });
 
+  it('marks the share link as outdated while a new one is encoded', () => {
+    ui.updateShareBox({ url: 'https://example.com#abc', canShare: true });
+    lost.dispatchEvent(new CustomEvent('urlpending'));
+    assert.ok(ui.elements.shareInput.classList.contains('pending'), 'Marked');
+    assert.equal(ui.elements.shareInput.value, 'https://example.com#abc', 'Previous URL kept');
+
+    ui.updateShareBox({ url: 'https://example.com#def', canShare: true });
+    assert.ok(!ui.elements.shareInput.classList.contains('pending'), 'Cleared with the new URL');
+  });
+
   it('setTitle updates header title', () => {
     ui.setTitle('New Title');
     
@@ -399,6 +454,87 @@ describe('LostUI - Share Box', () => {
     
     assert.equal(ui.elements.shareInput.value, 'https://direct.com', 'URL set directly');
   });
+
+  it('share dialog lists part links for oversized items', async () => {
+    lost.chunkedLinks = true;
+    lost.maxUrlSize = 40;
+    await ui.shareItem(lost.currentId);
+
+    const rows = ui.elements.sharePartsList.querySelectorAll('.share-part');
+    assert.ok(rows.length > 1, 'One row per part');
+    assert.ok(rows[0].querySelector('input').value.includes('#&1-'), 'Part URL');
+    assert.equal(ui.elements.shareDialogInput.style.display, 'none', 'Single link hidden');
+
+    lost.maxUrlSize = 8192;
+    await ui.shareItem(lost.currentId);
+    assert.equal(ui.elements.sharePartsList.style.display, 'none', 'List hidden when one link fits');
+    ui.elements.shareDialog.close();
+  });
+
+  it('share dialog encrypts the link with a password', async () => {
+    const id = lost.currentId;
+    await ui.shareItem(id);
+    const plainHash = ui.elements.shareDialogInput.value.split('#')[1];
+    assert.ok(!lost.constructor.isEncrypted(plainHash), 'Plain link by default');
+
+    ui.elements.sharePasswordInput.value = 'secret';
+    await ui.shareItem(id, { reopen: false });
+    const hash = ui.elements.shareDialogInput.value.split('#')[1];
+    assert.ok(lost.constructor.isEncrypted(hash), 'Encrypted link');
+    assert.equal((await lost.decode(hash, { password: 'secret' })).title, 'Share Test', 'Readable with the password');
+
+    await ui.shareItem(id);
+    assert.equal(ui.elements.sharePasswordInput.value, '', 'Password cleared when reopened');
+    ui.elements.shareDialog.close();
+  });
+
+  it('updateShareBox shows the QR button when the link can be shared', () => {
+    ui.updateShareBox({ url: 'https://a.com#abc', hash: 'abc', canShare: true });
+    assert.equal(ui.elements.qrBtn.style.display, 'flex', 'QR button visible');
+
+    ui.updateShareBox({ url: null, hash: 'abc', canShare: false, offerDownload: true });
+    assert.equal(ui.elements.qrBtn.style.display, 'none', 'QR button hidden');
+  });
+
+  it('shows the share link as QR code', async () => {
+    await ui.shareItem(lost.currentId);
+    assert.equal(ui.elements.shareDialogQrBtn.style.display, 'flex', 'QR button in share dialog');
+    await ui.handleQr();
+
+    const dialog = ui.elements.qrDialog;
+    assert.ok(dialog.open, 'QR dialog open');
+    assert.ok(dialog.querySelector('.lost-qr-image svg'), 'QR code rendered');
+    assert.equal(ui.qrUrls[0], ui.elements.shareDialogInput.value, 'Encodes the share link');
+    assert.equal(dialog.querySelector('.lost-qr-next').style.display, 'none', 'No navigation for one code');
+    dialog.close();
+    ui.elements.shareDialog.close();
+  });
+
+  it('splits long links into a sequence of QR codes', async () => {
+    ui.config.qr.maxVersion = 6;
+    const id = lost.create({ title: 'Long', text: 'x'.repeat(500) });
+    const hash = await lost.encode(lost.getItem(id));
+    const urls = ui.getQrUrls(id, hash);
+
+    assert.ok(urls.length > 1, 'Several codes');
+    assert.ok(urls.every(url => url.length <= QRCode.getCapacity(6, 'M')), 'Each fits into version 6-M');
+    assert.ok(urls[1].includes(`#&2-${urls.length}-`), 'Part links');
+
+    ui.showQrCodes(urls);
+    const dialog = ui.elements.qrDialog;
+    assert.equal(dialog.querySelector('.lost-qr-label').textContent, `Part 1 of ${urls.length}`, 'First part');
+    assert.ok(dialog.querySelector('.lost-qr-prev').disabled, 'No previous part');
+    dialog.querySelector('.lost-qr-next').click();
+    assert.equal(dialog.querySelector('.lost-qr-label').textContent, `Part 2 of ${urls.length}`, 'Next part');
+    dialog.close();
+  });
+
+  it('hides QR buttons when disabled', () => {
+    const other = new LostUI(lost, { container, qr: { visible: false } });
+    assert.ok(!other.elements.qrBtn, 'No QR button in the footer');
+    assert.ok(!other.elements.shareDialogQrBtn, 'No QR button in the share dialog');
+    assert.equal(other.config.qr.ecc, 'M', 'Defaults kept');
+  });
 });
 
 describe('LostUI - Event Handling', () => {
@@ -484,3 +620,702 @@ describe('LostUI - Utility Methods', () => {
     assert.ok(!btn.classList.contains('copied'), 'Copied class removed');
   });
 });
+
+describe('LostUI - Undo/Redo', () => {
+  let container, lost, ui;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+
+    container = document.createElement('div');
+    container.style.cssText = 'position:absolute;left:-9999px;visibility:hidden;';
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-undo-' + Date.now() });
+    lost.items = {};
+    lost.create({ title: 'Undo Test' });
+
+    ui = new LostUI(lost, { container });
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  it('creates undo and redo buttons', () => {
+    assert.notNull(ui.elements.undoBtn, 'Undo button exists');
+    assert.notNull(ui.elements.redoBtn, 'Redo button exists');
+    assert.ok(ui.elements.undoBtn.disabled, 'Undo disabled without history');
+  });
+
+  it('enables undo after a change', () => {
+    lost.update(lost.currentId, { title: 'Changed' });
+    assert.ok(!ui.elements.undoBtn.disabled, 'Undo enabled');
+  });
+
+  it('Ctrl+Z undoes the current item change', () => {
+    lost.update(lost.currentId, { title: 'Changed' });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    assert.equal(lost.getCurrent().title, 'Undo Test', 'Change undone');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true, bubbles: true }));
+    assert.equal(lost.getCurrent().title, 'Changed', 'Change redone');
+  });
+
+  it('undo restores the last deleted item', () => {
+    const id = lost.create({ title: 'Doomed' });
+    lost.delete(id);
+    ui.lastDeletedId = id;
+
+    ui.undo();
+    assert.equal(lost.getItem(id).title, 'Doomed', 'Deleted item restored');
+  });
+
+  it('hides buttons when history is disabled', () => {
+    lost.historyLimit = 0;
+    const other = document.createElement('div');
+    container.appendChild(other);
+    const plain = new LostUI(lost, { container: other, keyboardShortcuts: false });
+    assert.equal(plain.elements.undoBtn, undefined, 'No undo button');
+  });
+});
+
+describe('LostUI - Sync Conflicts', () => {
+  let container, lost, ui;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+
+    container = document.createElement('div');
+    container.style.cssText = 'position:absolute;left:-9999px;visibility:hidden;';
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-conflict-' + Date.now() });
+    lost.items = {};
+    lost.create({ title: 'Mine' });
+
+    ui = new LostUI(lost, { container });
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  const conflictFromOtherTab = (id) => {
+    lost.receiveSync({
+      tab: 'other',
+      revisions: { [id]: { rev: lost.revisions[id].rev, base: 0, tab: 'other' } },
+      items: { [id]: { id, title: 'Theirs' } }
+    });
+  };
+
+  it('asks which version to keep', async () => {
+    const id = lost.currentId;
+    let asked = '';
+    lost.prompter = { confirm: async (message) => { asked = message; return true; } };
+
+    conflictFromOtherTab(id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.ok(asked.includes('another tab'), 'User asked');
+    assert.equal(lost.getItem(id).title, 'Theirs', 'Other version loaded');
+  });
+
+  it('resolves with the picked fields', async () => {
+    const id = lost.currentId;
+    lost.update(id, { body: 'kept' });
+    lost.prompter = { merge: async ({ fields }) => ({ [fields[0].key]: 'remote' }) };
+
+    conflictFromOtherTab(id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.equal(lost.getItem(id).title, 'Theirs', 'Picked field taken');
+    assert.equal(lost.getItem(id).body, 'kept', 'Other field kept');
+    assert.equal(lost.getConflicts().length, 0, 'Conflict resolved');
+  });
+
+  it('does not ask when the app resolved the conflict', async () => {
+    const id = lost.currentId;
+    let asked = false;
+    lost.prompter = { confirm: async () => { asked = true; return true; } };
+    lost.addEventListener('conflict', (e) => lost.resolveConflict(e.detail.id, 'local'));
+
+    conflictFromOtherTab(id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.ok(!asked, 'User not asked');
+    assert.equal(lost.getItem(id).title, 'Mine', 'Local version kept');
+  });
+});
+
+describe('LostUI - Dialogs', () => {
+  let container, lost;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+
+    container = document.createElement('div');
+    container.style.cssText = 'position:absolute;left:-9999px;visibility:hidden;';
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-dialogs-' + Date.now() });
+    lost.items = {};
+    lost.create({ title: 'First' });
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  const openDialog = () => container.querySelector('dialog.lost-prompt');
+  const buttons = () => Array.from(openDialog().querySelectorAll('.lost-prompt-btn'));
+
+  it('installs the dialog prompter unless the app provided one', () => {
+    new LostUI(lost, { container });
+    assert.ok(lost.prompter instanceof DialogPrompter, 'Dialog prompter installed');
+
+    const custom = { confirm: async () => true, alert: async () => {}, choice: async () => null };
+    const other = new Lost({ storageKey: 'test-dialogs-custom', prompter: custom });
+    new LostUI(other, { container });
+    assert.equal(other.prompter, custom, 'Custom prompter kept');
+
+    const plain = new Lost({ storageKey: 'test-dialogs-plain' });
+    new LostUI(plain, { container, dialogs: false });
+    assert.ok(plain.prompter.native, 'Window prompter kept');
+  });
+
+  it('confirm resolves with the clicked button', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.confirm('Really?', { title: 'Question', confirmLabel: 'Yes' });
+
+    assert.equal(openDialog().querySelector('.lost-prompt-title').textContent, 'Question', 'Title shown');
+    assert.equal(openDialog().querySelector('.lost-prompt-message').textContent, 'Really?', 'Message shown');
+    buttons().find(b => b.textContent === 'Yes').click();
+
+    assert.equal(await answer, true, 'Confirmed');
+    assert.equal(openDialog(), null, 'Dialog removed');
+  });
+
+  it('confirm resolves false when dismissed', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.confirm('Really?');
+    openDialog().close();
+    assert.equal(await answer, false, 'Cancelled');
+  });
+
+  it('choice resolves with the picked value', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.choice('Which one?', [
+      { value: 'local', label: 'Mine' },
+      { value: 'remote', label: 'Theirs' }
+    ]);
+
+    assert.deepEqual(buttons().map(b => b.textContent), ['Mine', 'Theirs', 'Cancel'], 'Choices and cancel shown');
+    buttons()[1].click();
+    assert.equal(await answer, 'remote', 'Picked value');
+  });
+
+  it('merge shows the fields and returns the picks', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.merge({
+      title: 'Import',
+      fields: [{ key: 'title', local: 'Mine', remote: 'Theirs' }, { key: 'body', local: 'a' }],
+      remoteLabel: 'Imported'
+    });
+
+    const rows = openDialog().querySelectorAll('.lost-merge-table tbody tr');
+    assert.equal(rows.length, 2, 'One row per field');
+    assert.equal(rows[1].querySelectorAll('.lost-merge-value')[1].textContent, '(none)', 'Missing value shown');
+    assert.ok(buttons().some(b => b.textContent === 'Use imported'), 'Whole-version buttons shown');
+
+    rows[1].querySelector('input[value="local"]').click();
+    buttons().find(b => b.textContent === 'Apply selection').click();
+    assert.deepEqual(await answer, { title: 'remote', body: 'local' }, 'Per-field picks');
+  });
+
+  it('merge resolves with a whole version', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.merge({ fields: [{ key: 'title', local: 'Mine', remote: 'Theirs' }] });
+    buttons().find(b => b.textContent === 'Keep both').click();
+    assert.equal(await answer, 'copy', 'Keep both');
+  });
+
+  it('shows a badge above the message', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.confirm('Import?', { badge: { text: 'Signed by official', type: 'signed' } });
+
+    const badge = openDialog().querySelector('.lost-prompt-badge');
+    assert.equal(badge.textContent, 'Signed by official', 'Badge text');
+    assert.ok(badge.classList.contains('signed'), 'Badge type');
+    openDialog().close();
+    await answer;
+  });
+
+  it('password resolves with the entered text', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.password('Enter it', { title: 'Locked' });
+
+    const input = openDialog().querySelector('input[type="password"]');
+    assert.notNull(input, 'Password field shown');
+    input.value = 'secret';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    assert.equal(await answer, 'secret', 'Entered password');
+  });
+
+  it('pick resolves with the checked options', async () => {
+    const prompter = new DialogPrompter(container);
+    const answer = prompter.pick('Which items?', [
+      { value: 'a', label: 'First', detail: 'New' },
+      { value: 'b', label: 'Second', checked: false },
+      { value: 'c', label: 'Third', detail: 'Unchanged', disabled: true }
+    ], { confirmLabel: 'Import' });
+
+    const boxes = openDialog().querySelectorAll('.lost-pick-option input');
+    assert.equal(boxes.length, 3, 'One checkbox per option');
+    assert.equal(openDialog().querySelector('.lost-pick-detail').textContent, 'New', 'Detail shown');
+    assert.ok(boxes[2].disabled && !boxes[2].checked, 'Disabled option unchecked');
+    boxes[1].click();
+    buttons().find(b => b.textContent === 'Import').click();
+    assert.deepEqual(await answer, ['a', 'b'], 'Checked values');
+  });
+
+  it('deleteItem asks through the prompter', async () => {
+    const ui = new LostUI(lost, { container });
+    const id = lost.create({ title: 'Second' });
+    const questions = [];
+    lost.prompter = { confirm: async (message) => { questions.push(message); return false; } };
+
+    await ui.deleteItem(id);
+    assert.notNull(lost.getItem(id), 'Kept when declined');
+    assert.ok(questions[0].includes('Second'), 'Question mentions the item');
+
+    lost.prompter.confirm = async () => true;
+    await ui.deleteItem(id);
+    assert.equal(lost.getItem(id), null, 'Deleted when confirmed');
+  });
+});
+
+describe('LostUI - QR Scanning', () => {
+  let container, lost, source, ui;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-scan-' + Date.now() });
+    lost.items = {};
+    lost.create({ title: 'Local' });
+    ui = new LostUI(lost, { container });
+
+    // The app on the other device
+    source = new Lost({ storageKey: 'test-scan-source-' + Date.now() });
+    source.items = {};
+  });
+
+  afterEach(() => {
+    ui.stopScan();
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  it('adds a Scan button to the sidebar', () => {
+    assert.ok(ui.elements.scanBtn.textContent.includes('Scan'), 'Scan button');
+    const other = new LostUI(lost, { container, sidebar: { showScan: false } });
+    assert.ok(!other.elements.scanBtn, 'Hidden when disabled');
+  });
+
+  it('offers image files when there is no camera', async () => {
+    await ui.scanQrCode();
+    const dialog = ui.elements.scanDialog;
+    assert.ok(dialog.open, 'Scan dialog open');
+    assert.ok(dialog.querySelector('.lost-scan-status').textContent.includes('Choose an image'), 'Explains the fallback');
+
+    ui.stopScan();
+    assert.ok(!dialog.open, 'Closed');
+  });
+
+  it('imports the item of a scanned share link', async () => {
+    const id = source.create({ title: 'Scanned' });
+    const { url } = source.buildShareUrl(id, await source.encode(source.getItem(id)));
+    lost.prompter = { confirm: async () => true };
+
+    assert.ok(await ui.importScannedText(url), 'Imported');
+    assert.ok(Object.values(lost.items).some(item => item.title === 'Scanned'), 'Item added');
+  });
+
+  it('collects part codes before importing', async () => {
+    const id = source.create({ title: 'Parts', text: 'x'.repeat(300) });
+    const parts = Lost.splitHash(await source.encode(source.getItem(id)), 60);
+    lost.prompter = { confirm: async () => true };
+    await ui.scanQrCode();
+    const status = ui.elements.scanDialog.querySelector('.lost-scan-status');
+
+    for (const part of parts.slice(1).reverse()) {
+      assert.equal(await ui.importScannedText(source.buildShareUrl(id, part).url), false, 'Waits for more parts');
+    }
+    assert.ok(status.textContent.includes(`${parts.length - 1} of ${parts.length}`), 'Shows progress');
+    assert.ok(status.textContent.includes('missing: 1'), 'Names the missing part');
+    assert.equal(await ui.importScannedText(parts[1]), false, 'Same code again is ignored');
+
+    assert.ok(await ui.importScannedText(parts[0]), 'Imported with the last part');
+    assert.ok(!ui.elements.scanDialog.open, 'Dialog closed');
+    assert.ok(Object.values(lost.items).some(item => item.title === 'Parts'), 'Item added');
+  });
+
+  it('reports codes that hold no item', async () => {
+    let message = null;
+    lost.prompter = { alert: async (text) => { message = text; } };
+
+    assert.equal(await ui.importScannedText('https://example.com/'), false, 'Nothing imported');
+    assert.ok(message && message.includes('does not contain'), 'User told');
+  });
+
+  it('uses BarcodeDetector when available', async () => {
+    let formats = null;
+    window.BarcodeDetector = class {
+      constructor(options) { formats = options.formats; }
+      async detect() { return [{ rawValue: 'https://example.com/#abc' }]; }
+    };
+    try {
+      assert.equal(await ui.detectQrCode(document.createElement('canvas')), 'https://example.com/#abc', 'Detected text');
+      assert.deepEqual(formats, ['qr_code'], 'Asks for QR codes');
+    } finally {
+      delete window.BarcodeDetector;
+    }
+  });
+});
+
+describe('LostUI - Web Share', () => {
+  let container, lost, shared;
+
+  // In-memory stand-in for the Cache Storage the service worker fills
+  function fakeCaches(entries) {
+    const store = new Map(Object.entries(entries));
+    return {
+      store,
+      async open() {
+        return {
+          async match(key) { return store.has(key) ? new Response(store.get(key)) : undefined; },
+          async delete(key) { return store.delete(key); }
+        };
+      }
+    };
+  }
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-webshare-' + Date.now() });
+    lost.items = {};
+    lost.create({ title: 'Shared Item' });
+
+    shared = [];
+    navigator.share = async (data) => { shared.push(data); };
+  });
+
+  afterEach(() => {
+    delete navigator.share;
+    delete window.caches;
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  it('shows Share buttons only where the browser can share', () => {
+    const ui = new LostUI(lost, { container });
+    assert.notNull(ui.elements.nativeShareBtn, 'Footer button');
+    assert.notNull(ui.elements.shareDialogNativeBtn, 'Share dialog button');
+
+    delete navigator.share;
+    const other = new LostUI(lost, { container });
+    assert.ok(!other.elements.nativeShareBtn, 'No button without navigator.share');
+  });
+
+  it('shares the link of an item', async () => {
+    const ui = new LostUI(lost, { container });
+    const item = lost.getCurrent();
+    assert.ok(await ui.shareNative(item), 'Shared');
+    assert.equal(shared[0].title, 'Shared Item', 'Title');
+    assert.ok(shared[0].url.includes('#'), 'Share URL');
+    assert.ok(!shared[0].files, 'No file');
+  });
+
+  it('shares the file when the link is too long', async () => {
+    const ui = new LostUI(lost, { container });
+    lost.maxUrlSize = 10;
+    assert.ok(await ui.shareNative(lost.getCurrent()), 'Shared');
+    assert.equal(shared[0].files[0].name, 'Shared_Item.lost', 'Download file');
+    assert.ok(!shared[0].url, 'No URL');
+  });
+
+  it('stays quiet when the share sheet is closed', async () => {
+    const ui = new LostUI(lost, { container });
+    let alerted = false;
+    lost.prompter = { alert: async () => { alerted = true; } };
+    navigator.share = async () => { throw new DOMException('Cancelled', 'AbortError'); };
+    assert.equal(await ui.shareNative(lost.getCurrent()), false, 'Not shared');
+    assert.ok(!alerted, 'No error shown');
+  });
+
+  it('finds the item link in shared text', () => {
+    assert.equal(LostUI.findSharedHash({ url: 'https://a.com/app?x#1~abc' }), '1~abc', 'URL field');
+    assert.equal(LostUI.findSharedHash({ text: 'Look at this: https://a.com/#!xyz thanks' }), '!xyz', 'Link in text');
+    assert.equal(LostUI.findSharedHash({ text: ' $H4sIabc ' }), '$H4sIabc', 'Bare hash');
+    assert.isNull(LostUI.findSharedHash({ text: 'Just some words' }), 'No link');
+  });
+
+  it('imports links shared with the installed app', async () => {
+    const source = new Lost({ storageKey: 'test-webshare-source-' + Date.now() });
+    source.items = {};
+    const id = source.create({ title: 'From Another App' });
+    const { url } = source.buildShareUrl(id, await source.encode(source.getItem(id)));
+
+    window.history.replaceState(null, '', '?share-target');
+    const ui = new LostUI(lost, { container });
+    assert.ok(ui.pendingShareTarget, 'Share target noticed');
+    assert.equal(window.location.search, '', 'Parameter removed');
+
+    window.caches = fakeCaches({ '/lost-share-target/data': JSON.stringify({ title: '', text: `Try ${url}`, url: '', files: [] }) });
+    lost.prompter = { confirm: async () => true };
+    assert.ok(await ui.receiveSharedData(), 'Shared data found');
+    assert.ok(Object.values(lost.items).some(item => item.title === 'From Another App'), 'Item imported');
+    assert.equal(window.caches.store.size, 0, 'Cache emptied');
+    assert.equal(await ui.receiveSharedData(), false, 'Only once');
+  });
+
+  it('imports files shared with the installed app', async () => {
+    const ui = new LostUI(lost, { container });
+    const imported = [];
+    ui.importFile = async (file) => { imported.push(file); };
+    window.caches = fakeCaches({
+      '/lost-share-target/data': JSON.stringify({ files: [{ key: '/lost-share-target/file-0', name: 'deck.lost', type: 'text/plain' }] }),
+      '/lost-share-target/file-0': '1~!abc'
+    });
+
+    assert.ok(await ui.receiveSharedData(), 'Shared data found');
+    assert.equal(imported[0].name, 'deck.lost', 'File name kept');
+    assert.equal(await imported[0].text(), '1~!abc', 'File content');
+  });
+
+  it('clears shared data and tells the user when it cannot be used', async () => {
+    const ui = new LostUI(lost, { container });
+    const alerts = [];
+    lost.prompter = { alert: async (message) => { alerts.push(message); } };
+    const error = console.error;
+    console.error = () => {};
+
+    window.caches = fakeCaches({ '/lost-share-target/data': 'not json' });
+    assert.ok(await ui.receiveSharedData(), 'Shared data found');
+    assert.equal(window.caches.store.size, 0, 'Unreadable data removed');
+
+    ui.importFile = async () => { throw new Error('Broken file'); };
+    window.caches = fakeCaches({
+      '/lost-share-target/data': JSON.stringify({ files: [{ key: '/lost-share-target/file-0', name: 'deck.lost', type: 'text/plain' }] }),
+      '/lost-share-target/file-0': 'broken'
+    });
+    assert.ok(await ui.receiveSharedData(), 'Shared data found');
+    console.error = error;
+    assert.equal(window.caches.store.size, 0, 'Data and file removed');
+    assert.equal(alerts.length, 2, 'Told both times');
+  });
+});
+
+describe('LostUI - Bundles', () => {
+  let container, lost, downloads;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-bundles-' + Date.now(), download: 'auto' });
+    lost.items = {};
+    lost.create({ id: 'item_1_a', title: 'First' });
+    lost.create({ id: 'item_2_b', title: 'Second' });
+    downloads = [];
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  function createUI(config = {}) {
+    const ui = new LostUI(lost, { container, header: { title: 'My Cards' }, ...config });
+    ui.triggerDownload = (blob, filename) => { downloads.push({ blob, filename }); };
+    return ui;
+  }
+
+  it('shows the Export button with file downloads', () => {
+    const ui = createUI();
+    ui.updateImportButtonVisibility();
+    assert.equal(ui.elements.exportBtn.style.display, 'flex', 'Shown');
+    assert.ok(!createUI({ sidebar: { showExport: false } }).elements.exportBtn, 'Hidden by config');
+  });
+
+  it('exports the picked items as one file', async () => {
+    const ui = createUI();
+    let offered = null;
+    lost.prompter = { pick: async (message, options) => { offered = options; return ['item_2_b']; } };
+
+    assert.ok(await ui.exportItems(), 'Exported');
+    assert.deepEqual(offered.map(option => option.label), ['First', 'Second'], 'All items offered');
+    assert.equal(downloads[0].filename, 'My_Cards-bundle.lost', 'File name');
+    const bundle = await lost.decodeBundle(new Uint8Array(await downloads[0].blob.arrayBuffer()));
+    assert.deepEqual(bundle.items.map(item => item.title), ['Second'], 'Picked item only');
+  });
+
+  it('exports JSON bundles', async () => {
+    lost.downloadFormat = 'json';
+    const ui = createUI();
+    await ui.exportItems(['item_1_a', 'item_2_b']);
+    const bundle = JSON.parse(await downloads[0].blob.text());
+    assert.equal(bundle.items.length, 2, 'Both items');
+  });
+
+  it('imports bundle files', async () => {
+    const ui = createUI();
+    const binary = await lost.exportBundle(null, { format: 'binary' });
+    const json = await lost.exportBundle(null, { format: 'json' });
+    lost.items = {};
+    const previews = [];
+    lost.prompter = { pick: async (message, options) => { previews.push(options); return options.map(option => option.value); } };
+
+    await ui.importFile(new File([binary], 'cards.lost'));
+    assert.equal(Object.keys(lost.items).length, 2, 'Binary bundle imported');
+
+    lost.getItem('item_1_a').title = 'Changed';
+    await ui.importFile(new File([json], 'cards.lost'));
+    assert.deepEqual(previews[1].map(option => option.detail), ['Update', 'Unchanged'], 'Preview of the JSON bundle');
+    assert.equal(lost.getItem('item_1_a').title, 'First', 'Updated');
+  });
+
+  it('still imports single item files', async () => {
+    const ui = createUI();
+    const hash = await lost.encode({ id: 'item_3_c', title: 'Third' });
+    lost.prompter = { confirm: async () => true };
+    await ui.importFile(new File([Lost.base64ToBytes(Lost.splitMethod(hash).data)], 'third.lost'));
+    assert.equal(lost.getItem('item_3_c').title, 'Third', 'Imported');
+  });
+});
+
+describe('LostUI - Backup', () => {
+  let container, lost, downloads;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-backup-' + Date.now() });
+    lost.items = {};
+    lost.create({ id: 'item_1_a', title: 'First', _local: 'mine' });
+    downloads = [];
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  function createUI(config = {}) {
+    const ui = new LostUI(lost, { container, header: { title: 'My Cards' }, ...config });
+    ui.triggerDownload = (blob, filename) => { downloads.push({ blob, filename }); };
+    return ui;
+  }
+
+  it('shows backup buttons in the settings section', () => {
+    const ui = createUI();
+    assert.notNull(ui.elements.settingsSection.querySelector('summary'), 'Settings section');
+    assert.equal(ui.elements.backupBtn.textContent, 'Back up everything', 'Backup button');
+    assert.ok(!createUI({ sidebar: { showBackup: false } }).elements.backupBtn, 'Hidden by config');
+  });
+
+  it('backs up the workspace with the theme', async () => {
+    const ui = createUI();
+    ui.applyThemePreference('dark');
+    assert.ok(await ui.backupWorkspace(), 'Downloaded');
+    assert.ok(/^My_Cards-backup-\d{4}-\d{2}-\d{2}\.lost$/.test(downloads[0].filename), 'File name');
+
+    const backup = await lost.readBackup(downloads[0].blob);
+    assert.equal(backup.items.item_1_a._local, 'mine', 'Local fields');
+    assert.equal(backup.settings.theme, 'dark', 'Theme');
+  });
+
+  it('restores dropped backup files and their theme', async () => {
+    const ui = createUI();
+    ui.applyThemePreference('dark');
+    const file = new File([await lost.exportBackup({ settings: { theme: 'light' } })], 'backup.lost');
+    lost.create({ id: 'item_2_b', title: 'Second' });
+    lost.prompter = { choice: async () => 'replace' };
+
+    await ui.importFile(file);
+    assert.deepEqual(Object.keys(lost.items), ['item_1_a'], 'Replaced');
+    assert.equal(document.documentElement.dataset.theme, 'light', 'Theme restored');
+    ui.applyThemePreference('system');
+  });
+});
+
+describe('LostUI - Item Metadata', () => {
+  let container, lost;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    lost = new Lost({ storageKey: 'test-meta-' + Date.now() });
+    lost.items = {};
+    lost.create({ id: 'item_1_a', title: 'Old', _meta: { createdAt: 1000, updatedAt: 1000, edits: 0 } });
+    lost.create({ id: 'item_2_b', title: 'Recent', _meta: { createdAt: 500, updatedAt: 3000, edits: 4 } });
+    lost.create({ id: 'item_3_c', title: 'Middle', _meta: { createdAt: 2000, updatedAt: 2000, edits: 0 } });
+  });
+
+  afterEach(() => {
+    container.remove();
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  const titles = (ui) => Array.from(ui.elements.sidebarList.querySelectorAll('.item-item-title')).map(el => el.textContent);
+
+  it('passes the metadata to the subline', () => {
+    const ui = new LostUI(lost, {
+      container,
+      sidebar: { subline: (item, id, isCurrent, meta) => `${meta.edits} edits` }
+    });
+    assert.equal(ui.getSidebarItemSubline(lost.getItem('item_2_b'), 'item_2_b', false), '4 edits', 'Edit count shown');
+  });
+
+  it('sorts the list by recency', () => {
+    const ui = new LostUI(lost, { container, sidebar: { sort: 'updated' } });
+    ui.updateSidebarList();
+    assert.deepEqual(titles(ui), ['Recent', 'Middle', 'Old'], 'Last edited first');
+
+    lost.update('item_1_a', { title: 'Old (edited)' });
+    assert.equal(titles(ui)[0], 'Old (edited)', 'Edited item moves up');
+
+    ui.config.sidebar.sort = 'created';
+    ui.updateSidebarList();
+    assert.deepEqual(titles(ui), ['Middle', 'Old (edited)', 'Recent'], 'Newest first by creation');
+  });
+
+  it('keeps the stored order without sort', () => {
+    const ui = new LostUI(lost, { container });
+    ui.updateSidebarList();
+    assert.deepEqual(titles(ui), ['Old', 'Recent', 'Middle'], 'Stored order');
+  });
+});
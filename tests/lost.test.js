@@ -2,7 +2,7 @@
  * Tests for lost.js core framework.
  */
 import { describe, it, beforeEach, afterEach, assert } from './test-runner.js';
-import { Lost } from '/lost.js';
+import { Lost, MemoryStorageAdapter, WebStorageAdapter, WindowPrompter } from '/lost.js';
 
 // Mock localStorage for testing
 const mockStorage = {
@@ -376,3 +376,1941 @@ describe('Lost - Events', () => {
     assert.ok(!notified, 'Notify skipped when false');
   });
 });
+
+describe('Lost - Storage Adapters', () => {
+  beforeEach(() => {
+    mockStorage.clear();
+    Object.defineProperty(window, 'localStorage', { value: mockStorage, writable: true });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: originalLocalStorage, writable: true });
+  });
+
+  it('defaults to a localStorage adapter', () => {
+    const lost = new Lost({});
+    assert.ok(lost.storage instanceof WebStorageAdapter, 'WebStorageAdapter used');
+    assert.equal(lost.storage.area, 'localStorage', 'Bound to localStorage');
+  });
+
+  it('resolves built-in adapter names', () => {
+    assert.equal(new Lost({ storage: 'session' }).storage.area, 'sessionStorage', 'Session adapter');
+    assert.ok(new Lost({ storage: 'memory' }).storage instanceof MemoryStorageAdapter, 'Memory adapter');
+  });
+
+  it('memory adapter supports get, set, remove and keys', () => {
+    const storage = new MemoryStorageAdapter();
+    storage.set('a', '1');
+    storage.set('b', '2');
+    assert.equal(storage.get('a'), '1', 'Value stored');
+    assert.deepEqual(storage.keys(), ['a', 'b'], 'Keys listed');
+    storage.remove('a');
+    assert.isNull(storage.get('a'), 'Value removed');
+  });
+
+  it('save writes through the configured adapter', () => {
+    const storage = new MemoryStorageAdapter();
+    const lost = new Lost({ storage, storageKey: 'mem-store', currentKey: 'mem-current' });
+    lost.items = {};
+    const id = lost.create({ title: 'Stored' });
+
+    assert.equal(JSON.parse(storage.get('mem-store'))[id].title, 'Stored', 'Items persisted');
+    assert.equal(storage.get('mem-current'), id, 'Current ID persisted');
+    assert.isNull(mockStorage.getItem('mem-store'), 'localStorage untouched');
+  });
+
+  it('load reads existing state from the adapter', async () => {
+    const storage = new MemoryStorageAdapter({
+      'mem-store': JSON.stringify({ item_1: { id: 'item_1', title: 'One' }, item_2: { id: 'item_2', title: 'Two' } }),
+      'mem-current': 'item_2'
+    });
+    const lost = new Lost({ storage, storageKey: 'mem-store', currentKey: 'mem-current' });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+    await lost.load();
+
+    assert.equal(lost.currentId, 'item_2', 'Current ID restored');
+    assert.equal(lost.getCurrent().title, 'Two', 'Items restored');
+  });
+
+  it('load awaits asynchronous adapters', async () => {
+    const memory = new MemoryStorageAdapter({
+      'async-store': JSON.stringify({ item_a: { id: 'item_a', title: 'Async' } })
+    });
+    const storage = {
+      get: async (key) => memory.get(key),
+      set: async (key, value) => memory.set(key, value),
+      remove: async (key) => memory.remove(key),
+      keys: async () => memory.keys()
+    };
+    const lost = new Lost({ storage, storageKey: 'async-store', currentKey: 'async-current' });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+
+    const pending = lost.load();
+    assert.ok(pending instanceof Promise, 'load returns a Promise');
+    await pending;
+    assert.equal(lost.getCurrent().title, 'Async', 'Async state loaded');
+  });
+
+  it('load creates a default item when storage is empty', async () => {
+    const storage = new MemoryStorageAdapter();
+    const lost = new Lost({ storage, storageKey: 'empty-store', defaultData: { title: 'Fresh' } });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+    await lost.load();
+
+    assert.equal(lost.getCurrent().title, 'Fresh', 'Default item created');
+    assert.notNull(storage.get('empty-store'), 'Default item saved');
+  });
+});
+
+describe('Lost - Item Record Storage', () => {
+  let storage, writes, lost;
+
+  beforeEach(() => {
+    writes = [];
+    const memory = new MemoryStorageAdapter();
+    storage = {
+      records: {},
+      get: (key) => memory.get(key),
+      set: (key, value) => memory.set(key, value),
+      remove: (key) => memory.remove(key),
+      keys: () => memory.keys(),
+      readItems: async () => ({ ...storage.records }),
+      writeItems: async (collection, changed, removed) => {
+        writes.push({ collection, changed: Object.keys(changed), removed });
+        Object.assign(storage.records, changed);
+        removed.forEach(id => delete storage.records[id]);
+      }
+    };
+    lost = new Lost({ storage, storageKey: 'records' });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+  });
+
+  it('only writes items changed since the last save', async () => {
+    await lost.load();
+    const id1 = lost.create({ title: 'One' });
+    const id2 = lost.create({ title: 'Two' });
+    writes.length = 0;
+
+    lost.update(id1, { title: 'One!' });
+    await Promise.resolve();
+
+    assert.equal(writes.length, 1, 'Single write');
+    assert.deepEqual(writes[0].changed, [id1], 'Only the updated item written');
+    assert.equal(storage.records[id2].title, 'Two', 'Other record untouched');
+  });
+
+  it('deletes removed item records', async () => {
+    await lost.load();
+    const id = lost.create({ title: 'Gone' });
+    writes.length = 0;
+
+    lost.delete(id);
+
+    assert.deepEqual(writes[0].removed, [id], 'Record deletion requested');
+    assert.deepEqual(writes[0].changed, [], 'Nothing else written');
+  });
+
+  it('loads items from records', async () => {
+    storage.records = { item_x: { id: 'item_x', title: 'From record' } };
+    await lost.load();
+
+    assert.equal(lost.getItem('item_x').title, 'From record', 'Record loaded into memory');
+    assert.equal(lost.getAll().item_x.title, 'From record', 'getAll stays synchronous');
+  });
+
+  it('migrates a stored blob to records', async () => {
+    storage.set('records', JSON.stringify({ item_y: { id: 'item_y', title: 'Blob' } }));
+    await lost.load();
+
+    assert.equal(lost.getCurrent().title, 'Blob', 'Blob loaded');
+    await Promise.resolve();
+    assert.equal(storage.records.item_y.title, 'Blob', 'Blob items written as records');
+  });
+
+  it('writes failed records again on the next save', async () => {
+    await lost.load();
+    const id = lost.create({ title: 'Kept' });
+    await Promise.resolve();
+    const writeItems = storage.writeItems;
+    storage.writeItems = async () => { throw new Error('Disk full'); };
+    const error = console.error;
+    console.error = () => {};
+
+    lost.update(id, { title: 'Failed' });
+    const other = lost.create({ title: 'Other' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    console.error = error;
+    assert.ok(lost.dirtyIds.has(id) && lost.dirtyIds.has(other), 'Still flagged');
+
+    storage.writeItems = writeItems;
+    writes.length = 0;
+    await lost.save();
+    assert.deepEqual(writes[0].changed.sort(), [id, other].sort(), 'Written again');
+    assert.equal(storage.records[id].title, 'Failed', 'Stored');
+  });
+});
+
+describe('Lost - Versioning and Migrations', () => {
+  const migrations = {
+    2: (item) => ({ ...item, cards: (item.rawContent || '').split('\n').filter(Boolean) }),
+    3: (item) => { item.schema = 'v3'; }
+  };
+
+  it('leaves hashes unversioned at version 1', async () => {
+    const lost = new Lost({});
+    const encoded = await lost.encode({ title: 'Plain' });
+    assert.isNull(Lost.splitVersion(encoded).version, 'No version header');
+  });
+
+  it('embeds the version in encoded hashes', async () => {
+    const lost = new Lost({ version: 3, migrations });
+    const encoded = await lost.encode({ title: 'Versioned' });
+    assert.ok(encoded.startsWith('3~!'), 'Version header before compression prefix');
+  });
+
+  it('migrate runs each step after the source version', () => {
+    const lost = new Lost({ version: 3, migrations });
+    const result = lost.migrate({ id: 'item_1', rawContent: 'a\nb' }, 1);
+
+    assert.deepEqual(result.cards, ['a', 'b'], 'Step 2 applied');
+    assert.equal(result.schema, 'v3', 'Mutating step 3 applied');
+    assert.equal(result.id, 'item_1', 'ID preserved');
+  });
+
+  it('decode migrates old unversioned links', async () => {
+    const oldApp = new Lost({});
+    const hash = await oldApp.encode({ id: 'item_1', rawContent: 'x\ny' });
+
+    const lost = new Lost({ version: 3, migrations });
+    const decoded = await lost.decode(hash);
+    assert.deepEqual(decoded.cards, ['x', 'y'], 'Old link migrated');
+  });
+
+  it('decode does not re-run migrations for current links', async () => {
+    let calls = 0;
+    const lost = new Lost({ version: 2, migrations: { 2: (item) => { calls++; return item; } } });
+    const hash = await lost.encode({ id: 'item_1' });
+    await lost.decode(hash);
+    assert.equal(calls, 0, 'No migration for current version');
+  });
+
+  it('load migrates stored items and records the version', async () => {
+    const storage = new MemoryStorageAdapter({
+      'v-store': JSON.stringify({ item_1: { id: 'item_1', rawContent: 'q' } })
+    });
+    const lost = new Lost({ storage, storageKey: 'v-store', version: 3, migrations });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+    await lost.load();
+
+    assert.deepEqual(lost.getItem('item_1').cards, ['q'], 'Stored item migrated');
+    assert.equal(storage.get('v-store-version'), '3', 'Version stored');
+    assert.equal(JSON.parse(storage.get('v-store')).item_1.schema, 'v3', 'Migrated items saved');
+  });
+
+  it('importData migrates using the _version field', () => {
+    const lost = new Lost({ version: 3, migrations });
+    lost.items = {};
+    const result = lost.importData({ id: 'item_9', rawContent: 'z', _version: 2 });
+
+    assert.equal(result.status, 'new', 'Imported as new');
+    assert.isNull(result.data.cards, 'Step 2 skipped for version 2 data');
+    assert.equal(result.data.schema, 'v3', 'Step 3 applied');
+    assert.equal(result.data._version, undefined, 'Version field removed');
+  });
+});
+
+describe('Lost - Undo/Redo History', () => {
+  let lost;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'history-test' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+  });
+
+  it('undo reverts an update and redo re-applies it', () => {
+    const id = lost.create({ title: 'Before' });
+    lost.update(id, { title: 'After' });
+
+    assert.ok(lost.canUndo(id), 'Undo available');
+    assert.ok(lost.undo(id), 'Undo succeeded');
+    assert.equal(lost.getItem(id).title, 'Before', 'Update reverted');
+    assert.ok(lost.canRedo(id), 'Redo available');
+
+    lost.redo(id);
+    assert.equal(lost.getItem(id).title, 'After', 'Update re-applied');
+  });
+
+  it('coalesces rapid updates into one step', () => {
+    const id = lost.create({ title: '' });
+    lost.update(id, { title: 'a' });
+    lost.update(id, { title: 'ab' });
+    lost.update(id, { title: 'abc' });
+
+    lost.undo(id);
+    assert.equal(lost.getItem(id).title, '', 'Single undo reverts the burst');
+    assert.ok(!lost.canUndo(id), 'No further steps');
+  });
+
+  it('keeps separate steps outside the coalescing window', () => {
+    lost.historyCoalesce = 0;
+    const id = lost.create({ title: 'one' });
+    lost.update(id, { title: 'two' });
+    lost.update(id, { title: 'three' });
+
+    lost.undo(id);
+    assert.equal(lost.getItem(id).title, 'two', 'One step reverted');
+  });
+
+  it('ignores changes to local-only fields', () => {
+    const id = lost.create({ title: 'Keep' });
+    lost.update(id, { _session: { step: 1 } }, false);
+    assert.ok(!lost.canUndo(id), 'Local-only change not recorded');
+  });
+
+  it('preserves local-only fields when undoing', () => {
+    const id = lost.create({ title: 'A' });
+    lost.update(id, { title: 'B' });
+    lost.update(id, { _progress: 5 }, false);
+
+    lost.undo(id);
+    assert.equal(lost.getItem(id).title, 'A', 'Shared field reverted');
+    assert.equal(lost.getItem(id)._progress, 5, 'Local field kept');
+  });
+
+  it('undo restores a deleted item', () => {
+    const keep = lost.create({ title: 'Keep' });
+    const gone = lost.create({ title: 'Gone' });
+    lost.delete(gone);
+
+    assert.ok(lost.undo(gone), 'Undo succeeded');
+    assert.equal(lost.getItem(gone).title, 'Gone', 'Item restored');
+    assert.equal(lost.currentId, gone, 'Restored item is current');
+    assert.notNull(lost.getItem(keep), 'Other item untouched');
+  });
+
+  it('dispatches history events', () => {
+    const id = lost.create({ title: 'x' });
+    let detail = null;
+    lost.addEventListener('history', (e) => { detail = e.detail; });
+    lost.update(id, { title: 'y' });
+
+    assert.equal(detail.id, id, 'Event for the item');
+    assert.ok(detail.canUndo, 'Reports undo availability');
+  });
+
+  it('persists history locally when enabled', async () => {
+    lost.persistHistory = true;
+    const id = lost.create({ title: 'p' });
+    lost.update(id, { title: 'q' });
+
+    const stored = JSON.parse(lost.storage.get('history-test-history'));
+    assert.equal(stored[id].undo[0].item.title, 'p', 'History saved');
+
+    const reloaded = new Lost({ storage: lost.storage, storageKey: 'history-test', persistHistory: true });
+    reloaded.initUrlHandling = () => {};
+    reloaded.updateURL = async () => {};
+    await reloaded.load();
+    assert.ok(reloaded.canUndo(id), 'History restored on load');
+  });
+
+  it('records nothing when history is disabled', () => {
+    lost.historyLimit = 0;
+    const id = lost.create({ title: 'a' });
+    lost.update(id, { title: 'b' });
+    assert.ok(!lost.canUndo(id), 'No history');
+  });
+});
+
+describe('Lost - Trash', () => {
+  let lost;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'trash-test' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+  });
+
+  it('delete moves the item to the trash', () => {
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Trashed' });
+    lost.delete(id);
+
+    const trash = lost.getTrash();
+    assert.equal(trash.length, 1, 'One trashed item');
+    assert.equal(trash[0].id, id, 'Trashed item listed');
+    assert.equal(trash[0].item.title, 'Trashed', 'Item data kept');
+    assert.ok(trash[0].deletedAt > 0, 'Deletion timestamp recorded');
+    assert.notNull(JSON.parse(lost.storage.get('trash-test-trash'))[id], 'Trash persisted');
+  });
+
+  it('restore brings the item back and makes it current', () => {
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Back' });
+    lost.delete(id);
+
+    assert.ok(lost.restore(id), 'Restore succeeded');
+    assert.equal(lost.getItem(id).title, 'Back', 'Item restored');
+    assert.equal(lost.currentId, id, 'Restored item is current');
+    assert.equal(lost.getTrash().length, 0, 'Trash emptied');
+  });
+
+  it('dispatches deleted and restored events', () => {
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Evented' });
+    const events = [];
+    lost.addEventListener('deleted', (e) => events.push(['deleted', e.detail.id]));
+    lost.addEventListener('restored', (e) => events.push(['restored', e.detail.id]));
+
+    lost.delete(id);
+    lost.restore(id);
+    assert.deepEqual(events, [['deleted', id], ['restored', id]], 'Event pair dispatched');
+  });
+
+  it('purge removes the item permanently', () => {
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Purge me' });
+    lost.delete(id);
+
+    assert.ok(lost.purge(id), 'Purged');
+    assert.equal(lost.getTrash().length, 0, 'Trash empty');
+    assert.ok(!lost.restore(id), 'Cannot restore purged item');
+  });
+
+  it('purges entries older than the retention period', () => {
+    lost.trashRetention = 1000;
+    lost.trash = {
+      item_old: { item: { id: 'item_old' }, deletedAt: Date.now() - 5000 },
+      item_new: { item: { id: 'item_new' }, deletedAt: Date.now() }
+    };
+
+    const purged = lost.purgeExpiredTrash();
+    assert.deepEqual(purged, ['item_old'], 'Expired entry purged');
+    assert.notNull(lost.trash.item_new, 'Recent entry kept');
+  });
+
+  it('deletes immediately when retention is 0', () => {
+    lost.trashRetention = 0;
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Gone' });
+    lost.delete(id);
+    assert.equal(lost.getTrash().length, 0, 'Nothing trashed');
+  });
+
+  it('undoing a delete takes the item out of the trash', () => {
+    lost.create({ title: 'Keep' });
+    const id = lost.create({ title: 'Undo me' });
+    lost.delete(id);
+    lost.undo(id);
+
+    assert.notNull(lost.getItem(id), 'Item back');
+    assert.equal(lost.getTrash().length, 0, 'Trash emptied');
+  });
+});
+
+describe('Lost - Cross-Tab Sync', () => {
+  let storage, tabA, tabB;
+
+  // Deliver broadcasts of one tab straight to another
+  const link = (from, to) => {
+    from.channel = {
+      postMessage: (message) => to.receiveSync(JSON.parse(JSON.stringify(message))),
+      close() {}
+    };
+  };
+
+  const openTab = async () => {
+    const lost = new Lost({ storage, storageKey: 'sync-test', sync: true });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+    lost.channel = { postMessage() {}, close() {} };
+    await lost.load();
+    return lost;
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorageAdapter();
+    tabA = await openTab();
+    tabB = await openTab();
+    link(tabA, tabB);
+    link(tabB, tabA);
+  });
+
+  it('is enabled by default only for shared storage', () => {
+    assert.ok(new Lost({}).sync, 'localStorage syncs');
+    assert.ok(!new Lost({ storage: 'memory' }).sync, 'Memory storage does not');
+    assert.ok(!new Lost({ storage: 'session' }).sync, 'sessionStorage does not');
+  });
+
+  it('applies changes made in another tab', () => {
+    const id = tabA.currentId;
+    const synced = [];
+    tabB.addEventListener('sync', (e) => synced.push(e.detail));
+
+    tabA.update(id, { title: 'From A' });
+    assert.equal(tabB.getItem(id).title, 'From A', 'Change applied');
+    assert.deepEqual(synced, [{ updated: [id], removed: [] }], 'Sync event dispatched');
+  });
+
+  it('applies creations and deletions from another tab', () => {
+    const id = tabA.create({ title: 'New' });
+    assert.equal(tabB.getItem(id).title, 'New', 'Creation applied');
+
+    tabA.delete(id);
+    assert.equal(tabB.getItem(id), null, 'Deletion applied');
+    assert.equal(tabB.getTrash()[0].id, id, 'Trash shared');
+  });
+
+  it('keeps concurrent edits of the same item as a conflict', () => {
+    const id = tabA.currentId;
+    tabA.channel = { postMessage() {}, close() {} };
+    tabB.channel = { postMessage() {}, close() {} };
+    tabA.update(id, { title: 'A' });
+    tabB.update(id, { title: 'B' });
+    const message = { tab: tabB.tabId, revisions: JSON.parse(JSON.stringify(tabB.revisions)), items: { [id]: tabB.getItem(id) } };
+
+    let conflict = null;
+    tabA.addEventListener('conflict', (e) => { conflict = e.detail; });
+    tabA.receiveSync(message);
+
+    assert.equal(tabA.getItem(id).title, 'A', 'Local edit not overwritten');
+    assert.equal(conflict.id, id, 'Conflict reported');
+    assert.equal(conflict.remote.title, 'B', 'Remote version included');
+    assert.equal(tabA.getConflicts().length, 1, 'Conflict pending');
+  });
+
+  it('resolving a conflict updates the other tab', () => {
+    const id = tabA.currentId;
+    tabA.channel = { postMessage() {}, close() {} };
+    tabB.channel = { postMessage() {}, close() {} };
+    tabA.update(id, { title: 'A' });
+    tabB.update(id, { title: 'B' });
+    tabA.receiveSync({ tab: tabB.tabId, revisions: JSON.parse(JSON.stringify(tabB.revisions)), items: { [id]: tabB.getItem(id) } });
+
+    link(tabA, tabB);
+    let conflicts = 0;
+    tabB.addEventListener('conflict', () => conflicts++);
+    assert.ok(tabA.resolveConflict(id, { title: 'A and B' }), 'Resolved');
+
+    assert.equal(tabA.getItem(id).title, 'A and B', 'Merged locally');
+    assert.equal(tabB.getItem(id).title, 'A and B', 'Other tab took the result');
+    assert.equal(conflicts, 0, 'No new conflict');
+    assert.equal(tabA.getConflicts().length, 0, 'Nothing pending');
+  });
+
+  it('ignores outdated changes and writes its own state back', () => {
+    const id = tabA.currentId;
+    tabB.channel = { postMessage() {}, close() {} };
+    const stale = { tab: tabB.tabId, revisions: JSON.parse(JSON.stringify(tabB.revisions)), items: { [id]: tabB.getItem(id) } };
+    const created = tabA.create({ title: 'Only in A' });
+    tabA.update(id, { title: 'Newer' });
+
+    // Tab B overwrites the blob without knowing about A's changes
+    storage.set('sync-test', JSON.stringify({ [id]: stale.items[id] }));
+    tabA.receiveSync(stale);
+
+    assert.equal(tabA.getItem(id).title, 'Newer', 'Outdated change ignored');
+    const stored = JSON.parse(storage.get('sync-test'));
+    assert.equal(stored[id].title, 'Newer', 'Storage healed');
+    assert.notNull(stored[created], 'Missing item written back');
+  });
+
+  it('sends only the changed revisions and trash entries', () => {
+    const keep = tabA.create({ title: 'Keep' });
+    const gone = tabA.create({ title: 'Gone' });
+    const messages = [];
+    tabA.channel = { postMessage: (message) => messages.push(message), close() {} };
+
+    tabA.update(keep, { title: 'Edited' });
+    tabA.delete(gone);
+
+    assert.deepEqual(Object.keys(messages[0].revisions), [keep], 'Revision of the edited item');
+    assert.ok(!messages[0].trash, 'Trash unchanged');
+    assert.deepEqual(Object.keys(messages[1].revisions), [gone], 'Revision of the deleted item');
+    assert.deepEqual(Object.keys(messages[1].trash), [gone], 'Trashed entry only');
+  });
+
+  it('merges trash entries instead of replacing the trash', () => {
+    const inA = tabA.create({ title: 'Trashed in A' });
+    const inB = tabA.create({ title: 'Trashed in B' });
+    tabB.channel = { postMessage() {}, close() {} };
+    tabB.delete(inB);
+    link(tabB, tabA);
+
+    tabA.channel = { postMessage: (message) => tabB.receiveSync(JSON.parse(JSON.stringify({ ...message, ids: undefined, trashIds: undefined }))), close() {} };
+    tabA.delete(inA);
+    assert.deepEqual(Object.keys(tabB.trash).sort(), [inA, inB].sort(), 'Both trashed items kept');
+  });
+
+  it('ignores storage events that bring nothing new', () => {
+    tabA.update(tabA.currentId, { title: 'Synced' });
+    let synced = 0;
+    let updates = 0;
+    tabB.addEventListener('sync', () => synced++);
+    tabB.addEventListener('update', () => updates++);
+
+    tabB.handleStorageChange(storage.get('sync-test'));
+    assert.equal(synced, 0, 'No sync event');
+    assert.equal(updates, 0, 'No update');
+  });
+
+  it('writes only changed revisions and trash entries as records', async () => {
+    const memory = new MemoryStorageAdapter();
+    const records = {};
+    const writes = [];
+    const recordStorage = {
+      shared: true,
+      get: (key) => memory.get(key),
+      set: (key, value) => memory.set(key, value),
+      remove: (key) => memory.remove(key),
+      keys: () => memory.keys(),
+      readItems: async (collection) => ({ ...(records[collection] || {}) }),
+      writeItems: async (collection, changed, removed) => {
+        writes.push({ collection, changed: Object.keys(changed), removed });
+        records[collection] = { ...(records[collection] || {}), ...changed };
+        removed.forEach(id => delete records[collection][id]);
+      }
+    };
+    const lost = new Lost({ storage: recordStorage, storageKey: 'records-sync', sync: true });
+    lost.initUrlHandling = () => {};
+    lost.updateURL = async () => {};
+    lost.channel = { postMessage() {}, close() {} };
+    await lost.load();
+    const id = lost.create({ title: 'One' });
+    const gone = lost.create({ title: 'Two' });
+    lost.delete(gone);
+    await Promise.resolve();
+    writes.length = 0;
+
+    lost.update(id, { title: 'One!' });
+    await Promise.resolve();
+    const revisionWrites = writes.filter(write => write.collection === lost.revisionsKey);
+    assert.deepEqual(revisionWrites.map(write => write.changed), [[id]], 'Only the changed revision written');
+    assert.ok(!writes.some(write => write.collection === lost.trashKey), 'Trash not written');
+
+    lost.purge(gone);
+    await Promise.resolve();
+    assert.deepEqual(writes.pop(), { collection: lost.trashKey, changed: [], removed: [gone] }, 'Purged entry removed');
+
+    const reloaded = new Lost({ storage: recordStorage, storageKey: 'records-sync', sync: true });
+    reloaded.initUrlHandling = () => {};
+    reloaded.updateURL = async () => {};
+    reloaded.initSync = () => {};
+    await reloaded.load();
+    assert.equal(reloaded.revisions[id].rev, lost.revisions[id].rev, 'Revisions read back');
+  });
+
+  it('compareRevisions tells follow-ups, outdated and concurrent edits apart', () => {
+    const local = { rev: 3, base: 2, tab: 'a' };
+    assert.equal(Lost.compareRevisions(undefined, { rev: 1, base: 0, tab: 'b' }, 'a'), 'apply', 'Unknown item');
+    assert.equal(Lost.compareRevisions(local, { rev: 3, base: 2, tab: 'a' }, 'a'), 'same', 'Same revision');
+    assert.equal(Lost.compareRevisions(local, { rev: 4, base: 3, tab: 'b' }, 'a'), 'apply', 'Follow-up');
+    assert.equal(Lost.compareRevisions(local, { rev: 2, base: 1, tab: 'b' }, 'a'), 'stale', 'Outdated');
+    assert.equal(Lost.compareRevisions(local, { rev: 3, base: 2, tab: 'b' }, 'a'), 'conflict', 'Concurrent');
+  });
+
+  it('syncs through a BroadcastChannel', async () => {
+    if (!('BroadcastChannel' in window)) return;
+    const channel = 'sync-test-' + Date.now();
+    const shared = new MemoryStorageAdapter();
+    const open = async () => {
+      const lost = new Lost({ storage: shared, storageKey: 'bc-test', sync: true, syncChannel: channel });
+      lost.initUrlHandling = () => {};
+      lost.updateURL = async () => {};
+      await lost.load();
+      return lost;
+    };
+    const first = await open();
+    const second = await open();
+
+    const received = new Promise((resolve) => second.addEventListener('sync', resolve, { once: true }));
+    first.update(first.currentId, { title: 'Broadcast' });
+    await Promise.race([received, new Promise(resolve => setTimeout(resolve, 1000))]);
+
+    assert.equal(second.getItem(first.currentId).title, 'Broadcast', 'Received over the channel');
+    first.closeSync();
+    second.closeSync();
+  });
+});
+
+describe('Lost - Change Events', () => {
+  let lost, events;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'events-test' });
+    lost.updateURL = async () => {};
+    events = [];
+    ['itemcreated', 'itemupdated', 'itemdeleted', 'currentchanged', 'update'].forEach(type => {
+      lost.addEventListener(type, (e) => events.push({ type, detail: e.detail }));
+    });
+  });
+
+  const types = () => events.map(e => e.type);
+
+  it('dispatches itemcreated and currentchanged on create', () => {
+    const id = lost.create({ title: 'New' });
+    assert.deepEqual(types(), ['itemcreated', 'currentchanged', 'update'], 'Event order');
+    assert.equal(events[0].detail.id, id, 'Created ID');
+    assert.equal(events[1].detail.id, id, 'New current ID');
+    assert.equal(events[1].detail.previousId, null, 'Previous current ID');
+  });
+
+  it('dispatches itemupdated with changed paths', () => {
+    const id = lost.create({ title: 'Old', stats: { correct: 1, wrong: 0 } });
+    events = [];
+    lost.update(id, { title: 'New', stats: { correct: 2, wrong: 0 } });
+
+    assert.deepEqual(types(), ['itemupdated', 'update'], 'No currentchanged');
+    assert.deepEqual(events[0].detail.changes, [
+      { path: 'title', previous: 'Old', value: 'New' },
+      { path: 'stats.correct', previous: 1, value: 2 }
+    ], 'Changes listed');
+    assert.equal(events[0].detail.previous.title, 'Old', 'Previous item included');
+  });
+
+  it('dispatches itemupdated without notify and skips no-op updates', () => {
+    const id = lost.create({ title: 'Same' });
+    events = [];
+    lost.update(id, { _local: true }, false);
+    lost.update(id, { title: 'Same' }, false);
+
+    assert.deepEqual(types(), ['itemupdated'], 'Only the real change');
+    assert.equal(events[0].detail.changes[0].path, '_local', 'Local-only change reported');
+  });
+
+  it('dispatches itemdeleted and currentchanged when deleting the current item', () => {
+    const first = lost.create({ title: 'First' });
+    const second = lost.create({ title: 'Second' });
+    events = [];
+    lost.delete(second);
+
+    assert.deepEqual(types(), ['itemdeleted', 'currentchanged', 'update'], 'Event order');
+    assert.equal(events[0].detail.item.title, 'Second', 'Deleted item included');
+    assert.equal(events[1].detail.id, first, 'Switched to remaining item');
+    assert.equal(events[1].detail.previousId, second, 'Previous current ID');
+  });
+
+  it('diff compares nested objects and arrays', () => {
+    const changes = Lost.diff(
+      { a: { b: 1 }, list: [1, 2], gone: true },
+      { a: { b: 2 }, list: [1, 3, 4], added: 'x' }
+    );
+    assert.deepEqual(changes, [
+      { path: 'a.b', previous: 1, value: 2 },
+      { path: 'list.1', previous: 2, value: 3 },
+      { path: 'list.2', previous: undefined, value: 4 },
+      { path: 'gone', previous: true, value: undefined },
+      { path: 'added', previous: undefined, value: 'x' }
+    ], 'Leaf changes');
+    assert.deepEqual(Lost.diff({ a: [1] }, { a: [1] }), [], 'Equal values');
+  });
+});
+
+describe('Lost - Watch', () => {
+  let lost;
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'watch-test' });
+    lost.updateURL = async () => {};
+    lost.create({ title: 'Deck', stats: { right: 0, wrong: 0 } });
+  });
+
+  it('calls back when the watched path changes', async () => {
+    const calls = [];
+    lost.watch('stats.right', (value, info) => calls.push({ value, previous: info.previous }));
+
+    lost.update(lost.currentId, { stats: { right: 1, wrong: 0 } });
+    await tick();
+    assert.deepEqual(calls, [{ value: 1, previous: 0 }], 'Called with new and old value');
+  });
+
+  it('ignores changes to other paths', async () => {
+    let calls = 0;
+    lost.watch('stats', () => calls++);
+
+    lost.update(lost.currentId, { title: 'Renamed' });
+    lost.update(lost.currentId, { _session: { active: true } }, false);
+    await tick();
+    assert.equal(calls, 0, 'Not called');
+  });
+
+  it('batches changes made in the same tick', async () => {
+    const values = [];
+    lost.watch('stats.right', (value) => values.push(value));
+
+    lost.update(lost.currentId, { stats: { right: 1, wrong: 0 } });
+    lost.update(lost.currentId, { stats: { right: 2, wrong: 0 } });
+    lost.update(lost.currentId, { stats: { right: 3, wrong: 0 } });
+    await tick();
+    assert.deepEqual(values, [3], 'Called once with the final value');
+  });
+
+  it('follows the current item unless an id is given', async () => {
+    const first = lost.currentId;
+    const current = [];
+    const fixed = [];
+    lost.watch('title', (value) => current.push(value));
+    lost.watch('title', (value) => fixed.push(value), { id: first });
+
+    lost.create({ title: 'Other' });
+    await tick();
+    assert.deepEqual(current, ['Other'], 'Current-item watcher follows the switch');
+    assert.deepEqual(fixed, [], 'Fixed watcher unaffected');
+
+    lost.update(first, { title: 'Deck 2' });
+    await tick();
+    assert.deepEqual(fixed, ['Deck 2'], 'Fixed watcher sees its item');
+    assert.deepEqual(current, ['Other'], 'Current-item watcher unaffected');
+  });
+
+  it('stops after unsubscribing', async () => {
+    let calls = 0;
+    const unwatch = lost.watch('title', () => calls++);
+    unwatch();
+
+    lost.update(lost.currentId, { title: 'Changed' });
+    await tick();
+    assert.equal(calls, 0, 'Not called');
+  });
+
+  it('getPath reads nested values and arrays', () => {
+    const obj = { a: { list: [{ b: 1 }] } };
+    assert.equal(Lost.getPath(obj, 'a.list.0.b'), 1, 'Dot path');
+    assert.equal(Lost.getPath(obj, ['a', 'list', 0, 'b']), 1, 'Array path');
+    assert.equal(Lost.getPath(obj, 'a.missing.b'), undefined, 'Missing path');
+    assert.equal(Lost.getPath(obj, ''), obj, 'Empty path');
+  });
+});
+
+describe('Lost - Patch and Set', () => {
+  let lost, id;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'patch-test' });
+    lost.updateURL = async () => {};
+    id = lost.create({ title: 'Deck', stats: { right: 1, wrong: 2 }, tags: ['a', 'b'] });
+  });
+
+  it('applies a JSON Merge Patch deeply', () => {
+    assert.ok(lost.patch(id, { stats: { right: 5 }, tags: ['c'], title: null }), 'Applied');
+
+    const item = lost.getItem(id);
+    assert.deepEqual(item.stats, { right: 5, wrong: 2 }, 'Nested fields merged');
+    assert.deepEqual(item.tags, ['c'], 'Arrays replaced');
+    assert.ok(!('title' in item), 'null removes a key');
+    assert.equal(item.id, id, 'ID kept');
+  });
+
+  it('applies a JSON Patch', () => {
+    assert.ok(lost.patch(id, [
+      { op: 'test', path: '/stats/right', value: 1 },
+      { op: 'replace', path: '/stats/right', value: 2 },
+      { op: 'add', path: '/tags/-', value: 'c' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'copy', from: '/title', path: '/name' },
+      { op: 'move', from: '/stats/wrong', path: '/wrong' }
+    ]), 'Applied');
+
+    assert.deepEqual(lost.getContent(lost.getItem(id)), {
+      id, title: 'Deck', stats: { right: 2 }, tags: ['b', 'c'], name: 'Deck', wrong: 2
+    }, 'All operations applied');
+  });
+
+  it('leaves the item unchanged when a JSON Patch fails', () => {
+    const before = Lost.clone(lost.getItem(id));
+    const result = lost.patch(id, [
+      { op: 'replace', path: '/title', value: 'Changed' },
+      { op: 'test', path: '/stats/right', value: 99 }
+    ]);
+
+    assert.ok(!result, 'Patch rejected');
+    assert.deepEqual(lost.getItem(id), before, 'Item unchanged');
+    assert.ok(!lost.patch(id, [{ op: 'remove', path: '/missing' }]), 'Missing path rejected');
+  });
+
+  it('escapes JSON Pointer keys', () => {
+    const doc = Lost.applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+      { op: 'replace', path: '/a~1b', value: 3 },
+      { op: 'replace', path: '/c~0d', value: 4 }
+    ]);
+    assert.deepEqual(doc, { 'a/b': 3, 'c~d': 4 }, 'Escaped keys resolved');
+  });
+
+  it('set writes a nested value', () => {
+    assert.ok(lost.set(id, 'stats.right', 7), 'Set');
+    assert.ok(lost.set(id, ['_progress', 'Cat - Felis'], { seen: 1 }), 'Array path with dots in keys');
+
+    const item = lost.getItem(id);
+    assert.equal(item.stats.right, 7, 'Nested value written');
+    assert.equal(item.stats.wrong, 2, 'Siblings kept');
+    assert.deepEqual(item._progress['Cat - Felis'], { seen: 1 }, 'Missing objects created');
+  });
+
+  it('set with undefined removes a key', () => {
+    lost.set(id, 'stats.wrong', undefined);
+    assert.deepEqual(lost.getItem(id).stats, { right: 1 }, 'Key removed');
+  });
+
+  it('set does not modify the previous state', () => {
+    const before = lost.getItem(id);
+    let event = null;
+    lost.addEventListener('itemupdated', (e) => { event = e.detail; });
+    lost.set(id, 'stats.right', 3);
+
+    assert.equal(before.stats.right, 1, 'Previous object untouched');
+    assert.deepEqual(event.changes, [{ path: 'stats.right', previous: 1, value: 3 }], 'Change reported');
+    assert.ok(lost.undo(id), 'Undoable');
+    assert.equal(lost.getItem(id).stats.right, 1, 'Undone');
+  });
+
+  it('set refuses to change the ID', () => {
+    assert.ok(!lost.set(id, 'id', 'other'), 'Rejected');
+    assert.equal(lost.getItem(id).id, id, 'ID kept');
+  });
+});
+
+describe('Lost - Batches', () => {
+  let lost, storage, id;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    lost = new Lost({ storage, storageKey: 'batch-test' });
+    lost.updateURL = async () => {};
+    id = lost.create({ title: 'Deck', cards: [] });
+  });
+
+  const countWrites = () => {
+    let writes = 0;
+    const set = storage.set.bind(storage);
+    storage.set = (key, value) => { if (key === 'batch-test') writes++; return set(key, value); };
+    return () => writes;
+  };
+
+  it('saves once at the end of the batch', () => {
+    const writes = countWrites();
+    lost.batch(() => {
+      for (let i = 0; i < 50; i++) {
+        lost.set(id, ['cards', i], { front: 'Card ' + i });
+      }
+    });
+
+    assert.equal(writes(), 1, 'Single write');
+    assert.equal(JSON.parse(storage.get('batch-test'))[id].cards.length, 50, 'All changes saved');
+  });
+
+  it('defers events and reports each item once', () => {
+    const events = [];
+    ['itemupdated', 'itemcreated', 'update'].forEach(type => {
+      lost.addEventListener(type, (e) => events.push(type));
+    });
+
+    lost.batch(() => {
+      lost.update(id, { title: 'One' });
+      lost.update(id, { title: 'Two' });
+      assert.equal(events.length, 0, 'Nothing dispatched inside the batch');
+      lost.create({ title: 'Other' });
+    });
+
+    assert.deepEqual(events, ['itemupdated', 'itemcreated', 'update'], 'One event per item, one update');
+  });
+
+  it('rolls back when the callback throws', () => {
+    const writes = countWrites();
+    let dispatched = 0;
+    lost.addEventListener('itemupdated', () => dispatched++);
+
+    assert.throws(() => lost.batch(() => {
+      lost.update(id, { title: 'Changed' });
+      lost.create({ title: 'Extra' });
+      throw new Error('Import failed');
+    }), 'Error rethrown');
+
+    assert.equal(lost.getItem(id).title, 'Deck', 'Update rolled back');
+    assert.equal(Object.keys(lost.getAll()).length, 1, 'Creation rolled back');
+    assert.equal(lost.currentId, id, 'Current item restored');
+    assert.equal(writes(), 0, 'Nothing saved');
+    assert.equal(dispatched, 0, 'No events');
+  });
+
+  it('refuses async callbacks', async () => {
+    assert.throws(() => lost.batch(async () => {
+      lost.update(id, { title: 'Async' });
+      await Promise.resolve();
+    }), 'Async callback refused');
+    assert.equal(lost.getItem(id).title, 'Deck', 'Synchronous part rolled back');
+    assert.ok(!lost.batchState, 'Batch closed');
+  });
+
+  it('rolls back only the items changed in the transaction', () => {
+    const other = lost.create({ title: 'Other' });
+    lost.save();
+    const tx = lost.transaction();
+    lost.update(id, { title: 'Draft' });
+    // Meanwhile: a sync conflict is kept aside and the user switches items
+    lost.conflicts[other] = { local: lost.getItem(other), remote: { id: other, title: 'Remote' }, revision: 2 };
+    lost.setCurrent(other);
+    tx.rollback();
+
+    assert.equal(lost.getItem(id).title, 'Deck', 'Changed item restored');
+    assert.ok(lost.conflicts[other], 'Conflict kept');
+    assert.equal(lost.currentId, other, 'Current item kept');
+  });
+
+  it('records a batch as one undo step', () => {
+    lost.historyCoalesce = 0;
+    lost.batch(() => {
+      lost.update(id, { title: 'A' });
+      lost.set(id, 'cards', [1]);
+    });
+
+    assert.ok(lost.undo(id), 'Undone');
+    assert.deepEqual(lost.getContent(lost.getItem(id)), { id, title: 'Deck', cards: [] }, 'Back to the state before the batch');
+    assert.ok(!lost.canUndo(id), 'Single step');
+  });
+
+  it('supports manual transactions', () => {
+    const tx = lost.transaction();
+    lost.update(id, { title: 'Draft' });
+    tx.rollback();
+    assert.equal(lost.getItem(id).title, 'Deck', 'Rolled back');
+
+    const tx2 = lost.transaction();
+    lost.update(id, { title: 'Final' });
+    tx2.commit();
+    assert.equal(JSON.parse(storage.get('batch-test'))[id].title, 'Final', 'Committed and saved');
+  });
+
+  it('keeps outer changes when a nested batch fails', () => {
+    lost.batch(() => {
+      lost.update(id, { title: 'Outer' });
+      try {
+        lost.batch(() => {
+          lost.update(id, { title: 'Inner' });
+          throw new Error('Inner failure');
+        });
+      } catch (e) { /* handled */ }
+    });
+
+    assert.equal(lost.getItem(id).title, 'Outer', 'Only the inner batch rolled back');
+  });
+});
+
+describe('Lost - URL Updates', () => {
+  let lost, id, events, pending;
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'url-test', urlShare: 'no', download: 'no', urlDebounce: 20 });
+    id = lost.create({ title: 'Start' });
+    events = [];
+    pending = 0;
+    lost.addEventListener('updateUrl', (e) => events.push(e.detail));
+    lost.addEventListener('urlpending', () => pending++);
+  });
+
+  it('encodes once after changes settle', async () => {
+    let encodes = 0;
+    lost.encode = async (item) => { encodes++; return item.title; };
+
+    lost.update(id, { title: 'A' });
+    lost.update(id, { title: 'AB' });
+    lost.update(id, { title: 'ABC' });
+    assert.equal(encodes, 0, 'Nothing encoded while typing');
+    assert.equal(pending, 1, 'Pending reported once');
+    assert.equal(events.length, 0, 'No URL event without a URL');
+
+    await wait(50);
+    assert.equal(encodes, 1, 'Encoded once');
+    assert.equal(events.length, 1, 'One URL event');
+    assert.equal(events[0].hash, 'ABC', 'Latest state encoded');
+  });
+
+  it('encodes at least every urlMaxWait during continuous changes', async () => {
+    lost.urlDebounce = 1000;
+    lost.urlMaxWait = 20;
+    lost.encode = async (item) => item.title;
+
+    lost.update(id, { title: 'Typing' });
+    await wait(50);
+    assert.equal(events[events.length - 1].hash, 'Typing', 'Encoded before the debounce ended');
+  });
+
+  it('never lets an older encode overwrite a newer one', async () => {
+    lost.urlDebounce = 0;
+    const resolvers = [];
+    lost.encode = (item) => new Promise(resolve => resolvers.push(() => resolve(item.title)));
+
+    lost.update(id, { title: 'Old' });
+    lost.update(id, { title: 'New' });
+    resolvers[1]();
+    await wait(0);
+    resolvers[0]();
+    await wait(0);
+
+    assert.deepEqual(events.map(e => e.hash), ['New'], 'Only the newest result used');
+  });
+
+  it('updates right away when switching items', async () => {
+    lost.encode = async (item) => item.title;
+    lost.create({ title: 'Other' });
+    await wait(0);
+    assert.equal(events[events.length - 1].hash, 'Other', 'Encoded without waiting');
+  });
+
+  it('flushUrlUpdate runs a scheduled update now', async () => {
+    lost.encode = async (item) => item.title;
+    lost.update(id, { title: 'Copy me' });
+    await lost.flushUrlUpdate();
+    assert.equal(events[events.length - 1].hash, 'Copy me', 'Encoded on demand');
+    assert.ok(!lost.urlPending, 'Nothing pending');
+  });
+});
+
+describe('Lost - Prompter', () => {
+  it('asks the configured prompter before importing', async () => {
+    const questions = [];
+    let answer = false;
+    const prompter = { confirm: async (message) => { questions.push(message); return answer; } };
+    const lost = new Lost({ storage: 'memory', prompter });
+    lost.updateURL = async () => {};
+    lost.create({ title: 'Local' });
+
+    const result = { status: 'new', data: { id: 'item_1_shared', title: 'Shared' } };
+    assert.ok(!await lost.confirmImport({ ...result, data: { ...result.data } }), 'Declined');
+    assert.equal(lost.getItem('item_1_shared'), null, 'Not imported');
+    assert.ok(questions[0].includes('Shared'), 'Question mentions the item');
+
+    answer = true;
+    assert.ok(await lost.confirmImport({ ...result, data: { ...result.data } }), 'Accepted');
+    assert.equal(lost.getItem('item_1_shared').title, 'Shared', 'Imported');
+  });
+
+  it('defaults to window dialogs', () => {
+    const lost = new Lost({});
+    assert.ok(lost.prompter instanceof WindowPrompter, 'Window prompter');
+  });
+});
+
+describe('Lost - Merging', () => {
+  let lost, id;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'merge-test' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+    id = lost.create({ title: 'Notes', body: 'mine', tags: ['a'], _session: 1 });
+  });
+
+  it('lists the differing shared fields', () => {
+    const fields = lost.getMergeFields(lost.getItem(id), { id, title: 'Notes', body: 'theirs', extra: true, _session: 2 });
+    assert.deepEqual(fields, [
+      { key: 'body', local: 'mine', remote: 'theirs' },
+      { key: 'tags', local: ['a'] },
+      { key: 'extra', remote: true }
+    ], 'Changed, removed and added fields');
+  });
+
+  it('merges picked fields', () => {
+    lost.merge(id, { id, title: 'Renamed', body: 'theirs', tags: ['b'] }, { body: 'remote', tags: 'local' });
+    const item = lost.getItem(id);
+    assert.equal(item.title, 'Notes', 'Unpicked field kept');
+    assert.equal(item.body, 'theirs', 'Picked field taken');
+    assert.deepEqual(item.tags, ['a'], 'Local pick kept');
+    assert.ok(lost.canUndo(id), 'Merge can be undone');
+  });
+
+  it('remote takes every shared field but keeps local-only ones', () => {
+    lost.merge(id, { id, title: 'Renamed', body: 'theirs' }, 'remote');
+    const item = lost.getItem(id);
+    assert.equal(item.title, 'Renamed', 'Title taken');
+    assert.ok(!('tags' in item), 'Missing field removed');
+    assert.equal(item._session, 1, 'Local-only field kept');
+  });
+
+  it('copy keeps both versions', () => {
+    const copyId = lost.merge(id, { id, title: 'Notes', body: 'theirs' }, 'copy');
+    assert.notEqual(copyId, id, 'New item created');
+    assert.equal(lost.getItem(id).body, 'mine', 'Original kept');
+    assert.equal(lost.getItem(copyId).title, 'Notes (copy)', 'Copy titled');
+    assert.equal(lost.getItem(copyId).body, 'theirs', 'Copy has imported data');
+    assert.equal(lost.currentId, copyId, 'Copy is current');
+  });
+
+  it('confirmImport asks the prompter to merge', async () => {
+    let asked = null;
+    lost.prompter = { merge: async (options) => { asked = options; return { body: 'remote' }; } };
+
+    const result = lost.importData({ id, title: 'Other', body: 'theirs', tags: ['a'] });
+    assert.equal(result.status, 'exists_diff', 'Classified as changed');
+    assert.ok(await lost.confirmImport(result), 'Imported');
+
+    assert.deepEqual(asked.fields.map(f => f.key), ['title', 'body'], 'Differing fields offered');
+    assert.equal(lost.getItem(id).body, 'theirs', 'Picked field taken');
+    assert.equal(lost.getItem(id).title, 'Notes', 'Other field kept');
+  });
+
+  it('importAsCopy adds a shared item next to the original', async () => {
+    const hash = await lost.encode({ id, title: 'Notes', body: 'theirs' });
+    const copyId = await lost.importAsCopy(hash);
+
+    assert.notEqual(copyId, id, 'Fresh ID');
+    assert.equal(lost.getItem(copyId).title, 'Notes (copy)', 'Title marked as copy');
+    assert.equal(lost.getItem(copyId).body, 'theirs', 'Shared data imported');
+    assert.equal(lost.getItem(id).body, 'mine', 'Original untouched');
+    assert.equal(await lost.importAsCopy('not a hash'), null, 'Invalid hash rejected');
+  });
+
+  it('offers importing as a copy when the item exists', async () => {
+    let copyLabel = null;
+    lost.prompter = { merge: async (options) => { copyLabel = options.copyLabel; return 'copy'; } };
+
+    assert.ok(await lost.confirmImport(lost.importData({ id, title: 'Other' })), 'Imported');
+    assert.equal(copyLabel, 'Import as copy', 'Copy button labelled');
+    assert.equal(Object.keys(lost.getAll()).length, 2, 'Copy added');
+    assert.equal(lost.getItem(id).title, 'Notes', 'Original kept');
+  });
+
+  it('falls back to a choice and leaves the item on cancel', async () => {
+    let choices = null;
+    lost.prompter = { choice: async (message, list) => { choices = list; return null; } };
+
+    assert.ok(!await lost.confirmImport(lost.importData({ id, title: 'Other' })), 'Cancelled');
+    assert.deepEqual(choices.map(c => c.value), ['remote', 'local', 'copy'], 'Choices offered');
+    assert.equal(lost.getItem(id).title, 'Notes', 'Item unchanged');
+  });
+});
+
+describe('Lost - Encrypted Links', () => {
+  let lost;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'crypto-test' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+  });
+
+  it('round-trips data with a password', async () => {
+    const data = { id: 'item_1_secret', title: 'Secret', list: [1, 2] };
+    const hash = await lost.encode(data, { password: 'hunter2' });
+
+    assert.ok(hash.startsWith('@'), 'Encrypted prefix');
+    assert.ok(Lost.isEncrypted(hash), 'Detected as encrypted');
+    assert.ok(!Lost.isEncrypted(await lost.encode(data)), 'Plain hash not encrypted');
+    assert.deepEqual(await lost.decode(hash, { password: 'hunter2' }), data, 'Decrypted');
+    assert.equal(await lost.decode(hash), null, 'Unreadable without password');
+    assert.equal(await lost.decode(hash, { password: 'wrong' }), null, 'Unreadable with wrong password');
+  });
+
+  it('keeps the version header readable', async () => {
+    const versioned = new Lost({ storage: 'memory', version: 2, migrations: { 2: (item) => item } });
+    const hash = await versioned.encode({ id: 'item_1_v', title: 'V' }, { password: 'pw' });
+    assert.equal(Lost.splitVersion(hash).version, 2, 'Version outside the encrypted part');
+    assert.ok(Lost.isEncrypted(hash), 'Encrypted');
+  });
+
+  it('asks for the password when importing, until it is right', async () => {
+    const hash = await lost.encode({ id: 'item_1_locked', title: 'Locked' }, { password: 'right' });
+    const asked = [];
+    const answers = ['wrong', 'right'];
+    lost.prompter = {
+      password: async (message) => { asked.push(message); return answers.shift(); },
+      confirm: async () => true
+    };
+
+    assert.ok(await lost.importAndConfirm(hash), 'Imported');
+    assert.equal(asked.length, 2, 'Asked again after a wrong password');
+    assert.ok(asked[1].includes('Wrong password'), 'Retry explains the failure');
+    assert.equal(lost.getItem('item_1_locked').title, 'Locked', 'Data imported');
+  });
+
+  it('stops when the password prompt is cancelled', async () => {
+    const hash = await lost.encode({ id: 'item_1_locked', title: 'Locked' }, { password: 'right' });
+    lost.prompter = { password: async () => null, confirm: async () => true };
+
+    assert.ok(!await lost.importAndConfirm(hash), 'Not imported');
+    assert.equal(lost.getItem('item_1_locked'), null, 'Nothing added');
+  });
+
+  it('reports invalid content instead of asking again', async () => {
+    const hash = await lost.encode({ id: 'item_1_locked', title: 'Locked' }, { password: 'right' });
+    const strict = new Lost({ storage: 'memory', validator: (data) => Array.isArray(data.cards) });
+    let asked = 0;
+    const alerts = [];
+    strict.prompter = {
+      password: async () => { asked++; return 'right'; },
+      alert: async (message) => { alerts.push(message); }
+    };
+
+    let error = null;
+    try {
+      await strict.decodeHash(hash, { password: 'wrong' });
+    } catch (e) {
+      error = e;
+    }
+    assert.equal(error.name, 'PasswordError', 'Wrong password told apart');
+    assert.isNull(await strict.decodeHash(hash, { password: 'right' }), 'Decrypted but invalid');
+
+    assert.isNull(await strict.decodeShared(hash), 'Not decoded');
+    assert.equal(asked, 1, 'Asked once');
+    assert.ok(alerts[0].includes('valid data'), 'Told the content is invalid');
+  });
+});
+
+describe('Lost - Signed Links', () => {
+  let keys, publisher, reader;
+
+  beforeEach(async () => {
+    keys = keys || await Lost.generateSigningKeys();
+    publisher = new Lost({ storage: 'memory', signingKey: keys.privateKey, signingKeyId: 'official' });
+    reader = new Lost({ storage: 'memory', trustedKeys: { official: keys.publicKey } });
+    reader.items = {};
+    reader.updateURL = async () => {};
+  });
+
+  it('signs hashes and verifies them with a trusted key', async () => {
+    const hash = await publisher.encode({ id: 'item_1_deck', title: 'Deck' });
+    assert.ok(Lost.isSigned(hash), 'Signature appended');
+    assert.equal(Lost.splitSignature(hash).keyId, 'official', 'Key ID stored');
+
+    assert.deepEqual(await reader.verifySignature(hash), { status: 'signed', keyId: 'official' }, 'Verified');
+    assert.equal((await reader.decode(hash)).title, 'Deck', 'Still decodes');
+  });
+
+  it('reports unsigned and tampered hashes', async () => {
+    const plain = await reader.encode({ id: 'item_1_deck', title: 'Deck' });
+    assert.equal((await reader.verifySignature(plain)).status, 'unsigned', 'No signature');
+
+    const hash = await publisher.encode({ id: 'item_1_deck', title: 'Deck' });
+    const { signature } = Lost.splitSignature(hash);
+    const forged = `${await reader.encode({ id: 'item_1_deck', title: 'Forged' })}.official.${signature}`;
+    assert.equal((await reader.verifySignature(forged)).status, 'invalid', 'Altered data rejected');
+
+    const stranger = new Lost({ storage: 'memory' });
+    assert.equal((await stranger.verifySignature(hash)).status, 'invalid', 'Untrusted key rejected');
+  });
+
+  it('signs encrypted hashes too', async () => {
+    const hash = await publisher.encode({ id: 'item_1_deck', title: 'Deck' }, { password: 'pw' });
+    assert.ok(Lost.isEncrypted(hash) && Lost.isSigned(hash), 'Encrypted and signed');
+    assert.equal((await reader.verifySignature(hash)).status, 'signed', 'Verified');
+    assert.equal((await reader.decode(hash, { password: 'pw' })).title, 'Deck', 'Decrypted');
+  });
+
+  it('shows the signature in the import confirmation', async () => {
+    let options = null;
+    let message = '';
+    reader.prompter = { confirm: async (m, o) => { message = m; options = o; return true; } };
+
+    const result = await reader.importFromHash(await publisher.encode({ id: 'item_1_deck', title: 'Deck' }));
+    assert.equal(result.signature, 'signed', 'Result reports the signature');
+    await reader.confirmImport(result);
+    assert.deepEqual(options.badge, { text: 'Signed by official', type: 'signed' }, 'Signed badge');
+
+    const forged = await reader.importFromHash(`${await reader.encode({ id: 'item_2_deck', title: 'Fake' })}.official.AAAA`);
+    await reader.confirmImport(forged);
+    assert.equal(options.badge.type, 'invalid', 'Invalid badge');
+    assert.ok(message.includes('invalid signature'), 'Warning in the message');
+  });
+});
+
+describe('Lost - URL-Safe Hashes', () => {
+  // Enough varied data that standard base64 contains '+' and '/'
+  const data = { id: 'item_1_safe', title: 'Safe', notes: Array.from({ length: 40 }, (_, i) => `note ${i * 7919}`) };
+
+  it('encodes with base64url and its own prefixes', async () => {
+    for (const [compressionMethod, prefix] of [['deflate', '-'], ['gzip', '_'], ['none', '*']]) {
+      const lost = new Lost({ storage: 'memory', compressionMethod, urlSafe: true });
+      const hash = await lost.encode(data);
+      assert.ok(hash.startsWith(prefix), `Prefix for ${compressionMethod}`);
+      assert.ok(/^[A-Za-z0-9_*-]+$/.test(hash), `Only URL-safe characters for ${compressionMethod}`);
+      assert.deepEqual(await lost.decode(hash), data, `Round trip for ${compressionMethod}`);
+    }
+  });
+
+  it('keeps uncompressed hashes apart from signatures', async () => {
+    const keys = await Lost.generateSigningKeys();
+    const lost = new Lost({ storage: 'memory', compressionMethod: 'none', urlSafe: true, signingKey: keys.privateKey, trustedKeys: { default: keys.publicKey } });
+    const hash = await lost.encode(data);
+
+    assert.ok(hash.startsWith('*'), 'Own prefix');
+    assert.equal(hash.split('.').length, 3, 'Only the signature suffix uses dots');
+    assert.equal((await lost.verifySignature(hash)).status, 'signed', 'Signature verifies');
+    assert.deepEqual(await lost.decode(hash), data, 'Round trip');
+  });
+
+  it('still decodes standard hashes', async () => {
+    const standard = new Lost({ storage: 'memory' });
+    const reader = new Lost({ storage: 'memory', urlSafe: true });
+    assert.deepEqual(await reader.decode(await standard.encode(data)), data, 'Standard hash decoded');
+  });
+
+  it('repairs damaged hashes', async () => {
+    const lost = new Lost({ storage: 'memory', compressionMethod: 'gzip' });
+    const hash = await lost.encode(data);
+    assert.ok(/[+/=]/.test(hash), 'Hash has characters that get damaged');
+
+    const percent = hash.replace(/[$+/=]/g, (c) => encodeURIComponent(c));
+    assert.deepEqual(await lost.decode(percent), data, 'Percent-encoding removed');
+
+    const spaced = hash.replace(/\+/g, ' ');
+    assert.deepEqual(await lost.decode(spaced), data, 'Spaces turned back into +');
+
+    const wrapped = '#' + hash.replace(/=+$/, '').replace(/(.{60})/g, '$1\r\n');
+    assert.deepEqual(await lost.decode(wrapped), data, 'Line breaks and missing padding repaired');
+  });
+
+  it('keeps encrypted and signed hashes URL-safe', async () => {
+    const keys = await Lost.generateSigningKeys();
+    const lost = new Lost({ storage: 'memory', urlSafe: true, signingKey: keys.privateKey, trustedKeys: { default: keys.publicKey } });
+    const hash = await lost.encode(data, { password: 'pw' });
+
+    assert.ok(/^@[A-Za-z0-9_.-]+$/.test(hash), 'Only URL-safe characters');
+    assert.equal((await lost.verifySignature(hash)).status, 'signed', 'Signature verifies');
+    assert.deepEqual(await lost.decode(hash, { password: 'pw' }), data, 'Decrypted');
+  });
+});
+
+describe('Lost - Dictionary Packing', () => {
+  const defaultData = {
+    title: 'Untitled deck',
+    rawContent: 'English - Latin\nHello - Salve',
+    settings: { direction: 'forward', shuffle: true, showHints: false },
+    _progress: {}
+  };
+  const item = {
+    id: 'item_1_dict',
+    title: 'Untitled deck',
+    rawContent: 'English - Latin\nHello - Salve',
+    settings: { direction: 'forward', shuffle: false, showHints: true },
+    '~odd': '~tilde'
+  };
+
+  it('derives a dictionary from defaultData', () => {
+    const lost = new Lost({ storage: 'memory', defaultData, dictionary: 'auto' });
+    assert.ok(lost.dictionary.includes('rawContent'), 'Keys included');
+    assert.ok(lost.dictionary.includes('forward'), 'String values included');
+    assert.ok(!lost.dictionary.includes('_progress'), 'Local-only keys left out');
+  });
+
+  it('packs and unpacks data', () => {
+    const dictionary = ['settings', 'direction', 'forward'];
+    const packed = Lost.pack({ settings: { direction: 'forward' }, note: '~x' }, dictionary);
+    assert.deepEqual(packed, { '~0': { '~1': '~2' }, note: '~~x' }, 'Tokens and escapes');
+    assert.deepEqual(Lost.unpack(packed, dictionary), { settings: { direction: 'forward' }, note: '~x' }, 'Restored');
+  });
+
+  it('produces smaller hashes marked with the dictionary', async () => {
+    const plain = new Lost({ storage: 'memory', compressionMethod: 'none' });
+    const packed = new Lost({ storage: 'memory', compressionMethod: 'none', defaultData, dictionary: 'auto' });
+
+    const hash = await packed.encode(item);
+    assert.ok(/^:[0-9a-z]+:/.test(hash), 'Dictionary marker');
+    assert.ok(hash.length < (await plain.encode(item)).length, 'Smaller than without dictionary');
+    assert.deepEqual(await packed.decode(hash), item, 'Round trip');
+    assert.ok(Lost.hasHashHeader(hash), 'Stored as text when downloaded');
+  });
+
+  it('reads links made before entries were appended', async () => {
+    const old = new Lost({ storage: 'memory', dictionary: ['settings', 'direction'] });
+    const grown = new Lost({ storage: 'memory', dictionary: ['settings', 'direction', 'forward'] });
+    const other = new Lost({ storage: 'memory', dictionary: ['direction', 'settings'] });
+
+    const hash = await old.encode(item);
+    assert.deepEqual(await grown.decode(hash), item, 'Appended dictionary still reads it');
+    assert.equal(await other.decode(hash), null, 'Different dictionary rejected');
+  });
+
+  it('works with encryption', async () => {
+    const lost = new Lost({ storage: 'memory', defaultData, dictionary: 'auto' });
+    const hash = await lost.encode(item, { password: 'pw' });
+    assert.ok(Lost.isEncrypted(hash), 'Encrypted');
+    assert.deepEqual(await lost.decode(hash, { password: 'pw' }), item, 'Round trip');
+  });
+});
+
+describe('Lost - Multi-Part Links', () => {
+  let lost;
+  const big = { id: 'item_1_big', title: 'Big', notes: Array.from({ length: 60 }, (_, i) => `note number ${i}`) };
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'parts-test', compressionMethod: 'none', maxUrlSize: 300, chunkedLinks: true });
+    lost.items = {};
+    lost.updateURL = async () => {};
+    lost.prompter = { alert: async () => {}, confirm: async () => true };
+  });
+
+  it('splits a hash into numbered parts that fit maxUrlSize', async () => {
+    const hash = await lost.encode(big);
+    const parts = Lost.splitHash(hash, 300);
+
+    assert.ok(parts.length > 1, 'Several parts');
+    assert.ok(parts.every(part => part.length <= 300), 'Each part fits');
+    const first = Lost.parsePart(parts[0]);
+    assert.equal(first.index, 1, 'Index');
+    assert.equal(first.total, parts.length, 'Total');
+    assert.equal(parts.map(part => Lost.parsePart(part).data).join(''), hash, 'Parts join to the hash');
+  });
+
+  it('reports chunked sharing only when enabled', () => {
+    assert.ok(lost.getShareStatus(1000).chunked, 'Chunked when too large');
+    assert.ok(!lost.getShareStatus(100).chunked, 'Single link when it fits');
+    assert.ok(!new Lost({ storage: 'memory', maxUrlSize: 300 }).getShareStatus(1000).chunked, 'Off by default');
+  });
+
+  it('getShareUrls returns one URL per part', async () => {
+    lost.create({ ...big });
+    const urls = await lost.getShareUrls(big.id);
+    assert.ok(urls.length > 1, 'Several URLs');
+    assert.ok(urls.every(url => url.includes('#&')), 'Part hashes');
+  });
+
+  it('imports once all parts arrived, in any order', async () => {
+    const parts = Lost.splitHash(await lost.encode(big), 300);
+    const messages = [];
+    const events = [];
+    lost.prompter.alert = async (message) => { messages.push(message); };
+    lost.addEventListener('partreceived', (e) => events.push(e.detail));
+
+    for (const part of parts.slice(1).reverse()) {
+      assert.ok(!await lost.importAndConfirm(part), 'Waiting for more parts');
+    }
+    assert.equal(events.length, parts.length - 1, 'Progress reported');
+    assert.deepEqual(events[events.length - 1].missing, [1], 'Missing part named');
+    assert.ok(messages[0].includes(`of ${parts.length} parts`), 'User told about progress');
+    assert.notNull(JSON.parse(lost.storage.get('parts-test-chunks')), 'Parts kept in storage');
+
+    assert.ok(await lost.importAndConfirm(parts[0]), 'Imported with the last part');
+    assert.deepEqual(lost.getItem(big.id).notes, big.notes, 'Data complete');
+    assert.equal(lost.storage.get('parts-test-chunks'), null, 'Stored parts removed');
+  });
+
+  it('rejects parts that do not fit together', async () => {
+    const parts = Lost.splitHash(await lost.encode(big), 300);
+    const tampered = parts.map(part => part.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A')));
+    for (const part of tampered.slice(1)) await lost.receivePart(part);
+    assert.equal(await lost.receivePart(tampered[0]), null, 'Checksum mismatch');
+  });
+
+  it('forgets incomplete links after chunkRetention', async () => {
+    const parts = Lost.splitHash(await lost.encode(big), 300);
+    await lost.receivePart(parts[0]);
+
+    lost.chunkRetention = -1;
+    const other = Lost.splitHash(await lost.encode({ ...big, title: 'Other' }), 300);
+    await lost.receivePart(other[0]);
+    const stored = JSON.parse(lost.storage.get('parts-test-chunks'));
+    const { checksum, total } = Lost.parsePart(other[0]);
+    assert.deepEqual(Object.keys(stored), [`${checksum}-${total}`], 'Old link dropped');
+  });
+
+  it('refuses links with too many parts', async () => {
+    assert.isNull(Lost.parsePart('&1-999999999-abc-x'), 'Crafted total');
+    assert.isNull(await lost.receivePart('&1-999999999-abc-x'), 'Not stored');
+    assert.notNull(Lost.parsePart('&1-64-abc-x'), 'Largest allowed total');
+    assert.throws(() => Lost.splitHash('x'.repeat(10000), 100), 'Split refused');
+    assert.ok(!lost.getShareStatus(64 * 300).chunked, 'Not offered as parts');
+  });
+
+  it('keeps splits of different sizes apart', async () => {
+    const hash = await lost.encode(big);
+    const large = Lost.splitHash(hash, 300);
+    const small = Lost.splitHash(hash, 150);
+    await lost.receivePart(small[0]);
+    for (const part of large.slice(1)) await lost.receivePart(part);
+
+    const result = await lost.receivePart(large[0]);
+    assert.ok(result.complete, 'Larger split complete');
+    assert.equal(result.hash, hash, 'Joined correctly');
+    const stored = JSON.parse(lost.storage.get('parts-test-chunks'));
+    assert.equal(Object.keys(stored).length, 1, 'Smaller split still waiting');
+  });
+});
+
+describe('Lost - Bundles', () => {
+  let lost;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'bundle-test' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+    lost.create({ id: 'item_1_a', title: 'First', _local: 'mine' });
+    lost.create({ id: 'item_2_b', title: 'Second' });
+  });
+
+  it('collects items without local-only fields', () => {
+    const bundle = lost.createBundle();
+    assert.ok(Lost.isBundle(bundle), 'Bundle');
+    assert.equal(bundle.items.length, 2, 'All items');
+    assert.ok(!('_local' in bundle.items[0]), 'Filtered');
+    assert.equal(lost.createBundle(['item_2_b', 'missing']).items.length, 1, 'Selected items only');
+    assert.ok(!Lost.isBundle({ id: 'item_1_a', title: 'First' }), 'Item is no bundle');
+  });
+
+  it('exports JSON and compressed bundles that read back', async () => {
+    const json = await lost.exportBundle(null, { format: 'json' });
+    assert.equal(JSON.parse(json).items[1].title, 'Second', 'JSON');
+
+    const bytes = await lost.exportBundle(['item_1_a'], { format: 'binary' });
+    assert.ok(bytes instanceof Uint8Array, 'Binary');
+    const bundle = await lost.decodeBundle(bytes);
+    assert.equal(bundle.items[0].title, 'First', 'Decompressed');
+
+    const single = Lost.base64ToBytes(Lost.splitMethod(await lost.encode(lost.getItem('item_1_a'))).data);
+    assert.isNull(await lost.decodeBundle(single), 'Single item file');
+  });
+
+  it('classifies items as new, changed or identical', () => {
+    const bundle = lost.createBundle();
+    bundle.items.push({ id: 'item_3_c', title: 'Third' }, 'broken');
+    bundle.items[1].title = 'Second (edited)';
+
+    const { entries, invalid } = lost.readBundle(bundle);
+    assert.deepEqual(entries.map(entry => entry.status), ['exists_identical', 'exists_diff', 'new'], 'Statuses');
+    assert.equal(invalid, 1, 'Invalid item counted');
+    assert.equal(lost.currentId, 'item_2_b', 'Current item unchanged');
+  });
+
+  it('migrates bundle items from older versions', () => {
+    const versioned = new Lost({
+      storage: 'memory',
+      storageKey: 'bundle-versioned',
+      version: 2,
+      migrations: { 2: data => ({ ...data, title: data.name, name: undefined }) }
+    });
+    versioned.items = {};
+    const { entries } = versioned.readBundle({ _bundle: 1, _version: 1, items: [{ id: 'item_1_old', name: 'Old' }] });
+    assert.equal(entries[0].data.title, 'Old', 'Migrated');
+  });
+
+  it('imports the picked items', async () => {
+    const bundle = lost.createBundle();
+    bundle.items.push({ id: 'item_3_c', title: 'Third' }, { id: 'item_4_d', title: 'Fourth' });
+    bundle.items[1].title = 'Second (edited)';
+
+    let shown = null;
+    lost.prompter = {
+      pick: async (message, options) => {
+        shown = options;
+        return [1, 3];
+      }
+    };
+    const ids = await lost.confirmBundle(bundle);
+
+    assert.deepEqual(shown.map(option => option.detail), ['Unchanged', 'Update', 'New', 'New'], 'Preview');
+    assert.ok(shown[0].disabled, 'Identical item cannot be picked');
+    assert.deepEqual(ids, ['item_2_b', 'item_4_d'], 'Imported IDs');
+    assert.equal(lost.getItem('item_2_b').title, 'Second (edited)', 'Updated');
+    assert.equal(lost.getItem('item_4_d').title, 'Fourth', 'Added');
+    assert.isNull(lost.getItem('item_3_c'), 'Not picked');
+    assert.equal(lost.getItem('item_1_a')._local, 'mine', 'Local-only fields kept');
+    assert.equal(lost.currentId, 'item_2_b', 'First imported item is current');
+  });
+
+  it('updates keep local-only fields', () => {
+    const bundle = lost.createBundle(['item_1_a']);
+    bundle.items[0].title = 'First (edited)';
+    lost.importBundle(lost.readBundle(bundle).entries);
+
+    assert.equal(lost.getItem('item_1_a').title, 'First (edited)', 'Updated');
+    assert.equal(lost.getItem('item_1_a')._local, 'mine', 'Local field kept');
+  });
+
+  it('asks once without a pick dialog', async () => {
+    const bundle = lost.createBundle();
+    bundle.items.push({ id: 'item_3_c', title: 'Third' });
+    const messages = [];
+    lost.prompter = { confirm: async (message) => { messages.push(message); return true; } };
+
+    assert.deepEqual(await lost.confirmBundle(bundle), ['item_3_c'], 'New item imported');
+    assert.ok(messages[0].includes('1 new, 0 changed'), 'Summary');
+
+    lost.prompter = { alert: async (message) => { messages.push(message); } };
+    assert.deepEqual(await lost.confirmBundle(bundle), [], 'Nothing left to import');
+    assert.ok(messages[1].includes('already here'), 'Told');
+  });
+});
+
+describe('Lost - Backup', () => {
+  let lost;
+
+  beforeEach(() => {
+    lost = new Lost({ storage: 'memory', storageKey: 'backup-test', compressionMethod: 'gzip' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+    lost.create({ id: 'item_1_a', title: 'First', _local: 'mine' });
+    lost.create({ id: 'item_2_b', title: 'Second' });
+    lost.create({ id: 'item_3_c', title: 'Trashed' });
+    lost.delete('item_3_c');
+    lost.setCurrent('item_1_a');
+  });
+
+  it('keeps local-only fields, the trash and the current item', () => {
+    const backup = lost.createBackup({ settings: { theme: 'dark' } });
+    assert.ok(Lost.isBackup(backup), 'Backup');
+    assert.equal(backup.items.item_1_a._local, 'mine', 'Local field kept');
+    assert.ok(backup.trash.item_3_c, 'Trash included');
+    assert.equal(backup.currentId, 'item_1_a', 'Current item');
+    assert.equal(backup.settings.theme, 'dark', 'Settings');
+    assert.equal(backup.storageKey, 'backup-test', 'Storage key');
+    assert.ok(!Lost.isBackup(lost.createBundle()), 'Bundle is no backup');
+  });
+
+  it('writes JSON and compressed files that read back', async () => {
+    const json = await lost.exportBackup({ format: 'json' });
+    assert.equal(json.type, 'application/json', 'JSON');
+    assert.equal((await lost.readBackup(json)).items.item_2_b.title, 'Second', 'JSON read back');
+
+    const binary = await lost.exportBackup({ format: 'binary' });
+    assert.equal((await lost.readBackup(binary)).items.item_2_b.title, 'Second', 'Compressed read back');
+    assert.isNull(await lost.readBackup(new Blob(['{"id":"item_1_a"}'])), 'Item file');
+  });
+
+  it('previews the differences', () => {
+    const backup = lost.createBackup();
+    lost.update('item_2_b', { title: 'Second (edited)' });
+    lost.create({ id: 'item_4_d', title: 'New here' });
+    delete backup.items.item_1_a;
+    lost.delete('item_1_a');
+
+    const preview = lost.previewBackup(backup);
+    assert.equal(preview.items, 1, 'Items in backup');
+    assert.deepEqual(preview.changed, ['item_2_b'], 'Changed');
+    assert.deepEqual(preview.removed, ['item_4_d'], 'Only here');
+  });
+
+  it('replaces the workspace', async () => {
+    const backup = lost.createBackup();
+    lost.update('item_1_a', { title: 'Edited' });
+    lost.create({ id: 'item_4_d', title: 'New here' });
+    lost.emptyTrash();
+    let event = null;
+    lost.addEventListener('backuprestored', (e) => { event = e.detail; });
+
+    const result = await lost.restoreBackup(backup, { mode: 'replace' });
+    assert.deepEqual(Object.keys(lost.items).sort(), ['item_1_a', 'item_2_b'], 'Same items as the backup');
+    assert.equal(lost.getItem('item_1_a').title, 'First', 'Edit replaced');
+    assert.equal(lost.getItem('item_1_a')._local, 'mine', 'Local field restored');
+    assert.ok(lost.trash.item_3_c, 'Trash restored');
+    assert.equal(lost.currentId, 'item_1_a', 'Current item restored');
+    assert.deepEqual(result.ids, ['item_1_a'], 'Replaced items');
+    assert.equal(lost.trash.item_4_d.item.title, 'New here', 'Item only here moved to the trash');
+    assert.equal(event.mode, 'replace', 'Event');
+
+    assert.ok(lost.restore('item_4_d'), 'Removed item can be restored');
+  });
+
+  it('merges missing items and keeps the rest', async () => {
+    const backup = lost.createBackup();
+    lost.items = {};
+    lost.trash = {};
+    lost.create({ id: 'item_1_a', title: 'Edited' });
+    lost.create({ id: 'item_4_d', title: 'New here' });
+
+    const result = await lost.restoreBackup(backup, { mode: 'merge' });
+    assert.deepEqual(result.ids, ['item_2_b'], 'Missing item added');
+    assert.equal(lost.getItem('item_1_a').title, 'Edited', 'Local version kept');
+    assert.ok(lost.getItem('item_4_d'), 'Own item kept');
+    assert.ok(lost.trash.item_3_c, 'Trashed item added');
+    assert.equal(lost.currentId, 'item_4_d', 'Current item kept');
+  });
+
+  it('asks whether to replace or merge', async () => {
+    const backup = lost.createBackup();
+    lost.create({ id: 'item_4_d', title: 'New here' });
+    let question = null;
+    lost.prompter = { choice: async (message, choices) => { question = { message, choices }; return null; } };
+
+    assert.isNull(await lost.restoreBackup(backup), 'Cancelled');
+    assert.deepEqual(question.choices.map(choice => choice.value), ['replace', 'merge'], 'Choices');
+    assert.ok(question.message.includes('moves 1 item'), 'Warns about items only here');
+    assert.ok(lost.getItem('item_4_d'), 'Nothing changed');
+  });
+
+  it('migrates old backups and refuses newer ones', async () => {
+    const backup = lost.createBackup();
+    const messages = [];
+    const versioned = new Lost({
+      storage: 'memory',
+      storageKey: 'backup-test',
+      version: 2,
+      migrations: { 2: item => ({ ...item, migrated: true }) },
+      prompter: { alert: async (message) => { messages.push(message); } }
+    });
+    versioned.items = {};
+    versioned.updateURL = async () => {};
+    await versioned.restoreBackup(backup, { mode: 'replace' });
+    assert.ok(versioned.getItem('item_2_b').migrated, 'Migrated');
+
+    lost.prompter = versioned.prompter;
+    assert.isNull(await lost.restoreBackup(versioned.createBackup(), { mode: 'replace' }), 'Newer backup refused');
+    assert.ok(messages[0].includes('newer version'), 'Told');
+  });
+
+  it('leaves out items the validator rejects', async () => {
+    const backup = lost.createBackup();
+    backup.items.item_5_e = { id: 'item_5_e', title: 42 };
+    backup.items.item_6_f = null;
+    const strict = new Lost({
+      storage: 'memory',
+      storageKey: 'backup-test',
+      validator: item => typeof item.title === 'string'
+    });
+    strict.items = {};
+    strict.updateURL = async () => {};
+
+    const preview = strict.previewBackup(backup);
+    assert.equal(preview.items, 2, 'Valid items');
+    assert.equal(preview.invalid, 2, 'Invalid items counted');
+
+    await strict.restoreBackup(backup, { mode: 'replace' });
+    assert.deepEqual(Object.keys(strict.items).sort(), ['item_1_a', 'item_2_b'], 'Invalid items left out');
+
+    const messages = [];
+    strict.prompter = { alert: async (message) => { messages.push(message); } };
+    assert.isNull(await strict.restoreBackup({ ...backup, items: { item_5_e: backup.items.item_5_e } }, { mode: 'replace' }), 'Nothing valid');
+    assert.ok(messages[0].includes('no valid items'), 'Told');
+  });
+
+  it('asks before restoring a backup of another app', async () => {
+    const backup = { ...lost.createBackup(), storageKey: 'other-app' };
+    lost.create({ id: 'item_4_d', title: 'New here' });
+    let asked = null;
+    lost.prompter = { confirm: async (message) => { asked = message; return false; } };
+
+    assert.isNull(await lost.restoreBackup(backup, { mode: 'replace' }), 'Declined');
+    assert.ok(asked.includes('other-app'), 'Names the other app');
+    assert.ok(lost.getItem('item_4_d'), 'Nothing changed');
+
+    lost.prompter = { confirm: async () => true };
+    assert.notNull(await lost.restoreBackup(backup, { mode: 'replace' }), 'Restored after confirming');
+  });
+});
+
+describe('Lost - Item Metadata', () => {
+  let lost, id;
+  const past = { createdAt: 1000, updatedAt: 2000, edits: 3 };
+
+  beforeEach(() => {
+    // Shared metadata, so imports can compare it
+    lost = new Lost({ storage: 'memory', storageKey: 'meta-test', metaKey: '$meta' });
+    lost.items = {};
+    lost.updateURL = async () => {};
+    lost.prompter = { confirm: async () => true, alert: async () => {} };
+    id = lost.create({ title: 'Deck', $meta: { ...past } });
+  });
+
+  it('stamps new items and keeps the metadata of imported ones', () => {
+    const fresh = lost.create({ title: 'Fresh' });
+    const meta = lost.getMeta(fresh);
+    assert.ok(meta.createdAt > 0, 'Created');
+    assert.equal(meta.updatedAt, meta.createdAt, 'Updated at creation');
+    assert.equal(meta.edits, 0, 'No edits yet');
+    assert.deepEqual(lost.getMeta(id), past, 'Imported metadata kept');
+  });
+
+  it('advances on edits of shared fields only', () => {
+    lost.update(id, { title: 'Renamed' });
+    const meta = lost.getMeta(id);
+    assert.equal(meta.edits, 4, 'One more edit');
+    assert.ok(meta.updatedAt > past.updatedAt, 'Edit time');
+    assert.equal(meta.createdAt, past.createdAt, 'Creation time kept');
+
+    lost.set(id, '_progress', { seen: 1 });
+    lost.update(id, { title: 'Renamed' });
+    assert.equal(lost.getMeta(id).edits, 4, 'Local-only and no-op changes do not count');
+  });
+
+  it('does not let edits overwrite the metadata', () => {
+    lost.patch(id, { $meta: null, title: 'Patched' });
+    assert.equal(lost.getMeta(id).edits, 4, 'Restamped');
+    lost.update(id, { $meta: { edits: 10 } });
+    assert.equal(lost.getMeta(id).edits, 4, 'Metadata alone is no edit');
+  });
+
+  it('counts undo as an edit', () => {
+    lost.update(id, { title: 'Renamed' });
+    lost.undo(id);
+    assert.equal(lost.getItem(id).title, 'Deck', 'Undone');
+    assert.equal(lost.getMeta(id).edits, 5, 'Counted');
+  });
+
+  it('leaves metadata out of change events and merge fields', () => {
+    let changes = null;
+    lost.addEventListener('itemupdated', (e) => { changes = e.detail.changes; });
+    lost.update(id, { title: 'Renamed' });
+    assert.deepEqual(changes.map(change => change.path), ['title'], 'Only content');
+
+    const remote = { ...lost.getItem(id), title: 'Theirs', $meta: { ...past, edits: 9 } };
+    assert.deepEqual(lost.getMergeFields(lost.getItem(id), remote).map(field => field.key), ['title'], 'Merge fields');
+  });
+
+  it('falls back to the ID time for items without metadata', () => {
+    lost.items.item_1700000000000_abc = { id: 'item_1700000000000_abc', title: 'Old' };
+    assert.deepEqual(lost.getMeta('item_1700000000000_abc'), { createdAt: 1700000000000, updatedAt: 1700000000000, edits: 0 }, 'From ID');
+  });
+
+  it('tells which copy of an imported item is newer', async () => {
+    const item = lost.getItem(id);
+    assert.equal(lost.classifyImport({ ...item, $meta: { ...past, updatedAt: 5000 } }).status, 'exists_identical', 'Same content');
+
+    const newer = lost.classifyImport({ ...item, title: 'Theirs', $meta: { ...past, updatedAt: 5000, edits: 4 } });
+    assert.equal(newer.newer, 'remote', 'Imported copy newer');
+    const older = lost.classifyImport({ ...item, title: 'Theirs', $meta: { ...past, updatedAt: 1500, edits: 2 } });
+    assert.equal(older.newer, 'local', 'Stored copy newer');
+    assert.isNull(lost.classifyImport({ id, title: 'Theirs' }).newer, 'Unknown without metadata');
+
+    let message = null;
+    lost.prompter = { choice: async (text) => { message = text; return 'local'; } };
+    await lost.confirmImport(older);
+    assert.ok(message.includes('Your version was edited more recently'), 'Told in the merge question');
+  });
+
+  it('does not check bundle items older than the stored ones', async () => {
+    lost.create({ id: 'item_2_b', title: 'Second', $meta: { ...past } });
+    const bundle = lost.createBundle();
+    bundle.items[0].title = 'Old title';
+    bundle.items[0].$meta = { ...past, updatedAt: 1500 };
+    bundle.items[1].title = 'New title';
+    bundle.items[1].$meta = { ...past, updatedAt: 9000 };
+
+    let options = null;
+    lost.prompter = { pick: async (message, shown) => { options = shown; return null; } };
+    await lost.confirmBundle(bundle);
+    assert.deepEqual(options.map(option => option.detail), ['Older', 'Update'], 'Details');
+    assert.deepEqual(options.map(option => option.checked), [false, true], 'Older copy unchecked');
+  });
+
+  it('gives copies their own metadata', () => {
+    const copy = lost.createCopy(lost.getItem(id));
+    assert.equal(lost.getMeta(copy).edits, 0, 'Fresh metadata');
+  });
+
+  it('keeps the default metadata out of links and bundles', async () => {
+    const local = new Lost({ storage: 'memory', storageKey: 'meta-local' });
+    local.items = {};
+    local.updateURL = async () => {};
+    const localId = local.create({ title: 'A' });
+    assert.ok(local.getItem(localId)._meta.createdAt > 0, 'Stored under _meta');
+    assert.deepEqual(await local.decode(await local.encode(local.getItem(localId))), { id: localId, title: 'A' }, 'Not in links');
+    assert.ok(!('_meta' in local.createBundle().items[0]), 'Not in bundles');
+    assert.ok(local.createBackup().items[localId]._meta, 'Kept in backups');
+  });
+
+  it('uses the configured field or none', () => {
+    const custom = new Lost({ storage: 'memory', storageKey: 'meta-custom', metaKey: '_info' });
+    custom.items = {};
+    const customId = custom.create({ title: 'A' });
+    assert.equal(custom.getItem(customId)._info.edits, 0, 'Custom field');
+
+    const off = new Lost({ storage: 'memory', storageKey: 'meta-off', metaKey: null });
+    off.items = {};
+    const offId = off.create({ title: 'A' });
+    assert.deepEqual(off.getItem(offId), { id: offId, title: 'A' }, 'No metadata');
+  });
+});